@@ -109,7 +109,7 @@ export default class ChatInterface {
    */
   addMessage(type, content) {
     const timestamp = new Date().toLocaleTimeString();
-    const messageId = `msg-${Date.now()}`;
+    const messageId = `msg-${Date.now()}-${this.messages.length}`;
     
     const message = {
       id: messageId,
@@ -135,7 +135,8 @@ export default class ChatInterface {
     messageElement.id = message.id;
     
     const avatar = message.type === 'ai' ? '🤖' : '👤';
-    const formattedContent = this.formatMessageContent(message.content);
+    // Messages are kept as plain text (they go to the assistant and into the ticket)
+    const formattedContent = this.formatMessageContent(this.escapeHtml(message.content));
     
     messageElement.innerHTML = `
       <div class="message-header">
@@ -148,6 +149,66 @@ export default class ChatInterface {
     this.chatContainer.appendChild(messageElement);
   }
 
+  /**
+   * Add an empty message that is filled in as tokens stream in
+   */
+  startStreamingMessage(type) {
+    const message = this.addMessage(type, '');
+    const element = this.chatContainer.querySelector(`#${message.id}`);
+    if (element) {
+      element.classList.add('streaming');
+    }
+    return message;
+  }
+
+  /**
+   * Append a streamed token to an existing message
+   */
+  appendToMessage(messageId, token) {
+    const message = this.messages.find(m => m.id === messageId);
+    if (!message) return;
+
+    message.content += token;
+    this.updateMessageContent(message);
+  }
+
+  /**
+   * Mark a streamed message as complete
+   */
+  finishStreamingMessage(messageId) {
+    const element = this.chatContainer.querySelector(`#${messageId}`);
+    if (element) {
+      element.classList.remove('streaming');
+    }
+  }
+
+  /**
+   * Remove a message (e.g. an empty streamed reply after a failure)
+   */
+  removeMessage(messageId) {
+    this.messages = this.messages.filter(m => m.id !== messageId);
+    this.chatContainer.querySelector(`#${messageId}`)?.remove();
+  }
+
+  /**
+   * Re-render the content of an already rendered message
+   */
+  updateMessageContent(message) {
+    const contentElement = this.chatContainer.querySelector(`#${message.id} .message-content`);
+    if (contentElement) {
+      contentElement.innerHTML = this.formatMessageContent(this.escapeHtml(message.content));
+      this.scrollToBottom();
+    }
+  }
+
+  /**
+   * Enable or disable the message input while the assistant is replying
+   */
+  setInputEnabled(enabled) {
+    this.messageInput.disabled = !enabled;
+    this.sendButton.disabled = !enabled;
+  }
+
   /**
    * Format message content with markdown-like formatting
    */
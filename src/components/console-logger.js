@@ -3,20 +3,50 @@
  * Captures console logs and network requests for debugging
  */
 
+import { compileRedactionRules, redactNetworkLog, redactBody, summarizeRedactions } from '../utils/network-redaction.js';
+import { networkLogsToHar, harToNetworkLogs, getResourceTiming } from '../utils/har.js';
+import { getEarlyCapture } from '../core/early-capture.js';
+import { StackSymbolicator } from '../core/stack-symbolicator.js';
+import { parseStackTrace, formatStackTrace, fingerprintError } from '../utils/stack-trace.js';
+
 export default class ConsoleLogger {
   constructor(options = {}) {
     this.options = {
       maxConsoleLogs: 50,
       maxNetworkLogs: 30,
+      maxStreamMessages: 100, // WebSocket frames / EventSource events kept per connection
+      maxMessageLength: 2000, // Longer frames and events are cut
+      maxErrorGroups: 50,
       onLogsCaptured: null,
+      redaction: {}, // Extra rules for utils/network-redaction.js, or false to turn it off
+      sourceMaps: null, // { baseUrl, maps } for core/stack-symbolicator.js
       ...options
     };
 
     this.consoleLogs = [];
     this.networkLogs = [];
+    // A HAR file opened for viewing ({ name, networkLogs }); never part of a report
+    this.importedHar = null;
+    // Entries taken over from the early-capture snippet, on top of the limits above
+    this.adoptedCounts = null;
+    this.capturingSince = null;
+    this.redactionRules = compileRedactionRules(this.options.redaction);
     this.originalConsole = {};
     this.isCapturing = false;
     this.networkInterceptors = [];
+    this.originalNetwork = {};
+
+    // Repeats of an error share a group, and only the latest occurrence stays in consoleLogs
+    this.errorGroups = new Map();
+    this.errorEntries = new Map();
+    this.symbolicatedGroups = new Set();
+    this.symbolicator = this.options.sourceMaps
+      ? new StackSymbolicator({
+        // Source map requests shouldn't show up in the report's network logs
+        fetch: (...args) => (this.originalNetwork.fetch || window.fetch)(...args),
+        ...this.options.sourceMaps
+      })
+      : null;
 
     this.init();
   }
@@ -35,6 +65,7 @@ export default class ConsoleLogger {
     if (this.isCapturing) return;
 
     this.isCapturing = true;
+    this.capturingSince = this.capturingSince || Date.now();
     this.interceptConsole();
     this.interceptNetworkRequests();
     this.interceptErrors();
@@ -76,19 +107,25 @@ export default class ConsoleLogger {
   /**
    * Capture console log entry
    */
-  captureConsoleLog(level, args) {
+  captureConsoleLog(level, args, error = null) {
+    const thrown = error || args.find(arg => arg instanceof Error) || null;
     const logEntry = {
       level: level,
       message: args.map(arg => this.formatLogArgument(arg)).join(' '),
       timestamp: Date.now(),
-      stack: this.getStackTrace()
+      stack: thrown?.stack || this.getStackTrace()
     };
 
+    if (level === 'error') {
+      this.groupErrorEntry(logEntry, thrown);
+    }
+
     this.consoleLogs.push(logEntry);
     
     // Keep only recent logs
-    if (this.consoleLogs.length > this.options.maxConsoleLogs) {
-      this.consoleLogs = this.consoleLogs.slice(-this.options.maxConsoleLogs);
+    const maxConsoleLogs = this.options.maxConsoleLogs + (this.adoptedCounts?.console || 0);
+    if (this.consoleLogs.length > maxConsoleLogs) {
+      this.consoleLogs = this.consoleLogs.slice(-maxConsoleLogs);
     }
     
     // Trigger callback
@@ -103,6 +140,8 @@ export default class ConsoleLogger {
   formatLogArgument(arg) {
     if (typeof arg === 'string') {
       return arg;
+    } else if (arg instanceof Error) {
+      return `${arg.name}: ${arg.message}`;
     } else if (typeof arg === 'object') {
       try {
         return JSON.stringify(arg, null, 2);
@@ -125,12 +164,127 @@ export default class ConsoleLogger {
     }
   }
 
+  /**
+   * Add an error to its group. An earlier occurrence still in the buffer is replaced
+   * by this one, which carries the group's count, so repeats don't crowd out other logs.
+   */
+  groupErrorEntry(logEntry, error) {
+    const group = this.recordErrorGroup(logEntry, error);
+    const previous = this.errorEntries.get(group.fingerprint);
+    const index = previous ? this.consoleLogs.indexOf(previous) : -1;
+    if (index !== -1) {
+      this.consoleLogs.splice(index, 1);
+    }
+
+    Object.assign(logEntry, {
+      fingerprint: group.fingerprint,
+      count: group.count,
+      firstSeen: group.firstSeen,
+      ...(group.originalStack ? { originalStack: group.originalStack } : {})
+    });
+    this.errorEntries.set(group.fingerprint, logEntry);
+  }
+
+  /**
+   * Count an occurrence in the error's fingerprinted group, creating the group if needed
+   */
+  recordErrorGroup(logEntry, error) {
+    const frames = parseStackTrace(logEntry.stack);
+    const name = error?.name || 'Error';
+    const message = error?.message || logEntry.message;
+    const fingerprint = fingerprintError({ name, message, frames });
+
+    let group = this.errorGroups.get(fingerprint);
+    if (!group) {
+      group = {
+        fingerprint,
+        name,
+        message,
+        count: 0,
+        firstSeen: logEntry.timestamp,
+        lastSeen: logEntry.timestamp,
+        stack: logEntry.stack,
+        frames
+      };
+      this.errorGroups.set(fingerprint, group);
+      this.evictErrorGroups();
+    }
+
+    group.count++;
+    group.firstSeen = Math.min(group.firstSeen, logEntry.timestamp);
+    group.lastSeen = Math.max(group.lastSeen, logEntry.timestamp);
+    return group;
+  }
+
+  /**
+   * Drop the least recently seen groups beyond maxErrorGroups
+   */
+  evictErrorGroups() {
+    while (this.errorGroups.size > this.options.maxErrorGroups) {
+      const [oldest] = [...this.errorGroups.values()].sort((a, b) => a.lastSeen - b.lastSeen);
+      this.errorGroups.delete(oldest.fingerprint);
+      this.errorEntries.delete(oldest.fingerprint);
+    }
+  }
+
+  /**
+   * Error groups, most recently seen first:
+   * [{ fingerprint, name, message, count, firstSeen, lastSeen, stack, frames, originalStack?, originalFrames? }]
+   */
+  getErrorGroups() {
+    return [...this.errorGroups.values()]
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .map(group => ({ ...group }));
+  }
+
+  /**
+   * Whether some error groups haven't been through the source maps yet
+   */
+  hasPendingSymbolication() {
+    return !!this.symbolicator &&
+      [...this.errorGroups.keys()].some(fingerprint => !this.symbolicatedGroups.has(fingerprint));
+  }
+
+  /**
+   * Map the error groups' stacks to original files and lines with the configured
+   * source maps. Each group is tried once; resolves with whether any stack changed.
+   */
+  async symbolicateErrors() {
+    if (!this.symbolicator) return false;
+
+    const groups = [...this.errorGroups.values()].filter(group => !this.symbolicatedGroups.has(group.fingerprint));
+    groups.forEach(group => this.symbolicatedGroups.add(group.fingerprint));
+
+    const results = await Promise.all(groups.map(async group => {
+      if (group.frames.length === 0) return false;
+
+      try {
+        const frames = await this.symbolicator.symbolicate(group.frames);
+        if (!frames.some(frame => frame.generated)) return false;
+
+        group.originalFrames = frames;
+        group.originalStack = formatStackTrace(group.name, group.message, frames);
+
+        const logEntry = this.errorEntries.get(group.fingerprint);
+        if (logEntry) logEntry.originalStack = group.originalStack;
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }));
+
+    return results.some(Boolean);
+  }
+
   /**
    * Intercept network requests
    */
   interceptNetworkRequests() {
     this.interceptFetch();
     this.interceptXHR();
+    this.interceptWebSocket();
+    this.interceptEventSource();
+    this.interceptBeacon();
   }
 
   /**
@@ -138,6 +292,7 @@ export default class ConsoleLogger {
    */
   interceptFetch() {
     const originalFetch = window.fetch;
+    this.originalNetwork.fetch = originalFetch;
     
     window.fetch = async (...args) => {
       const startTime = Date.now();
@@ -176,26 +331,28 @@ export default class ConsoleLogger {
       try {
         const response = await originalFetch(...args);
         
-        // Clone response to read body without consuming original
-        const responseClone = response.clone();
         let responseData = null;
         
-        try {
-          // Try to read response as text
-          const responseText = await responseClone.text();
-          responseData = responseText;
-          
-          // If it looks like JSON, try to parse and format it
-          if (responseText && (responseText.startsWith('{') || responseText.startsWith('['))) {
-            try {
-              const jsonData = JSON.parse(responseText);
-              responseData = JSON.stringify(jsonData, null, 2);
-            } catch (e) {
-              // Keep as text if JSON parsing fails
+        // An event stream only ends when the server closes it; reading it here would
+        // hold the response back from the caller until then, so its body isn't logged
+        if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+          try {
+            // Clone response to read body without consuming original
+            const responseText = await response.clone().text();
+            responseData = responseText;
+            
+            // If it looks like JSON, try to parse and format it
+            if (responseText && (responseText.startsWith('{') || responseText.startsWith('['))) {
+              try {
+                const jsonData = JSON.parse(responseText);
+                responseData = JSON.stringify(jsonData, null, 2);
+              } catch (e) {
+                // Keep as text if JSON parsing fails
+              }
             }
+          } catch (e) {
+            responseData = '[Unable to read response]';
           }
-        } catch (e) {
-          responseData = '[Unable to read response]';
         }
         
         // Log successful request with payload and response data
@@ -211,6 +368,7 @@ export default class ConsoleLogger {
           requestHeaders: requestHeaders,
           requestPayload: requestPayload,
           responseData: responseData,
+          startedAt: startTime,
           timestamp: Date.now()
         });
         
@@ -228,6 +386,7 @@ export default class ConsoleLogger {
           requestHeaders: requestHeaders,
           requestPayload: requestPayload,
           error: error.message,
+          startedAt: startTime,
           timestamp: Date.now()
         });
         
@@ -242,6 +401,7 @@ export default class ConsoleLogger {
   interceptXHR() {
     const originalXHR = window.XMLHttpRequest;
     const self = this;
+    this.originalNetwork.XMLHttpRequest = originalXHR;
     
     window.XMLHttpRequest = function() {
       const xhr = new originalXHR();
@@ -322,6 +482,7 @@ export default class ConsoleLogger {
             requestHeaders: requestHeaders,
             requestPayload: requestPayload,
             responseData: responseData,
+            startedAt: startTime,
             timestamp: Date.now()
           };
           
@@ -337,9 +498,254 @@ export default class ConsoleLogger {
   }
 
   /**
-   * Capture network log entry
+   * Intercept WebSocket connections: one log entry per socket, with its frames
+   */
+  interceptWebSocket() {
+    const OriginalWebSocket = window.WebSocket;
+    if (typeof OriginalWebSocket !== 'function') return;
+
+    const self = this;
+    this.originalNetwork.WebSocket = OriginalWebSocket;
+
+    // A Proxy keeps instanceof, the readyState constants, subclasses (new.target)
+    // and the TypeError for calls without new working as before
+    window.WebSocket = new Proxy(OriginalWebSocket, {
+      construct(target, args, newTarget) {
+        const socket = Reflect.construct(target, args, newTarget);
+        self.trackWebSocket(socket);
+        return socket;
+      }
+    });
+  }
+
+  /**
+   * Log a socket's handshake, frames in both directions and how it closed
+   */
+  trackWebSocket(socket) {
+    const self = this;
+    const startedAt = Date.now();
+    const logEntry = this.captureNetworkLog({
+      method: 'GET',
+      url: socket.url,
+      status: 0,
+      statusText: 'Connecting',
+      duration: 0,
+      size: 0,
+      type: 'websocket',
+      state: 'connecting',
+      messages: [],
+      messageCount: 0,
+      startedAt,
+      timestamp: startedAt
+    });
+    const update = (fields) => Object.assign(logEntry, fields, { duration: Date.now() - startedAt });
+
+    socket.addEventListener('open', () => {
+      update({ status: 101, statusText: 'Switching Protocols', state: 'open', protocol: socket.protocol || null });
+    });
+    socket.addEventListener('message', (event) => {
+      this.captureStreamMessage(logEntry, event.data, { direction: 'received' });
+    });
+    socket.addEventListener('error', () => {
+      update({ error: 'WebSocket error' });
+    });
+    socket.addEventListener('close', (event) => {
+      update({ state: 'closed', closeCode: event.code, closeReason: event.reason || '', wasClean: event.wasClean });
+    });
+
+    const send = socket.send;
+    socket.send = function(data) {
+      self.captureStreamMessage(logEntry, data, { direction: 'sent' });
+      return send.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Intercept EventSource (server-sent events): one log entry per stream, with its events
+   */
+  interceptEventSource() {
+    const OriginalEventSource = window.EventSource;
+    if (typeof OriginalEventSource !== 'function') return;
+
+    const self = this;
+    this.originalNetwork.EventSource = OriginalEventSource;
+
+    // Wrapped like WebSocket, so subclasses keep their own prototype
+    window.EventSource = new Proxy(OriginalEventSource, {
+      construct(target, args, newTarget) {
+        const source = Reflect.construct(target, args, newTarget);
+        self.trackEventSource(source);
+        return source;
+      }
+    });
+  }
+
+  /**
+   * Log a stream's events, errors and the browser's automatic reconnects
+   */
+  trackEventSource(source) {
+    const startedAt = Date.now();
+    const logEntry = this.captureNetworkLog({
+      method: 'GET',
+      url: source.url,
+      status: 0,
+      statusText: 'Connecting',
+      duration: 0,
+      size: 0,
+      type: 'eventsource',
+      state: 'connecting',
+      reconnects: 0,
+      requestHeaders: { Accept: 'text/event-stream' },
+      messages: [],
+      messageCount: 0,
+      startedAt,
+      timestamp: startedAt
+    });
+    const update = (fields) => Object.assign(logEntry, fields, { duration: Date.now() - startedAt });
+    const addEventListener = source.addEventListener;
+    const watchedTypes = new Set();
+    let hasOpened = false;
+
+    const watch = (type) => {
+      if (watchedTypes.has(type)) return;
+      watchedTypes.add(type);
+      addEventListener.call(source, type, (event) => {
+        this.captureStreamMessage(logEntry, event.data, { event: type, id: event.lastEventId || null });
+      });
+    };
+
+    watch('message');
+    // Named events only reach listeners for their type, so follow the page's listeners
+    source.addEventListener = function(type) {
+      watch(type);
+      return addEventListener.apply(this, arguments);
+    };
+
+    addEventListener.call(source, 'open', () => {
+      const event = hasOpened ? 'reconnect' : 'open';
+      if (hasOpened) logEntry.reconnects++;
+      hasOpened = true;
+      update({ status: 200, statusText: 'OK', state: 'open', error: null });
+      this.captureStreamMessage(logEntry, null, { event });
+    });
+
+    addEventListener.call(source, 'error', () => {
+      // The browser retries by itself unless the server ended the stream for good
+      const isClosed = source.readyState === source.CLOSED;
+      update({
+        state: isClosed ? 'closed' : 'connecting',
+        error: isClosed ? 'Stream closed' : 'Connection lost, reconnecting'
+      });
+      this.captureStreamMessage(logEntry, null, { event: 'error' });
+    });
+
+    const close = source.close;
+    source.close = function() {
+      update({ state: 'closed' });
+      return close.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Intercept navigator.sendBeacon; beacons get no response, only whether the browser queued them
+   */
+  interceptBeacon() {
+    const originalSendBeacon = navigator.sendBeacon;
+    if (typeof originalSendBeacon !== 'function') return;
+
+    const self = this;
+    this.originalNetwork.sendBeacon = originalSendBeacon;
+
+    navigator.sendBeacon = function(url, data) {
+      const queued = originalSendBeacon.apply(this, arguments);
+      const payload = self.describePayload(data);
+      const now = Date.now();
+
+      self.captureNetworkLog({
+        method: 'POST',
+        url: String(url),
+        status: 0,
+        statusText: queued ? 'Queued' : 'Rejected',
+        duration: 0,
+        size: payload.size,
+        type: 'beacon',
+        requestHeaders: payload.contentType ? { 'Content-Type': payload.contentType } : {},
+        requestPayload: payload.text,
+        error: queued ? null : 'The browser did not queue the beacon (payload too large?)',
+        startedAt: now,
+        timestamp: now
+      });
+
+      return queued;
+    };
+  }
+
+  /**
+   * Text, size and implied content type of a beacon body or WebSocket frame
+   */
+  describePayload(data) {
+    if (data === undefined || data === null) {
+      return { text: null, size: 0, contentType: null };
+    }
+    if (typeof data === 'string') {
+      return { text: data, size: data.length, contentType: 'text/plain;charset=UTF-8' };
+    }
+    if (data instanceof URLSearchParams) {
+      const text = data.toString();
+      return { text, size: text.length, contentType: 'application/x-www-form-urlencoded;charset=UTF-8' };
+    }
+    if (data instanceof FormData) {
+      const text = 'FormData: ' + Array.from(data.entries())
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : `[File ${value.name}]`}`)
+        .join(', ');
+      return { text, size: text.length, contentType: 'multipart/form-data' };
+    }
+    if (data instanceof Blob) {
+      return { text: `[Blob ${data.type || 'binary'}, ${data.size} bytes]`, size: data.size, contentType: data.type || null, binary: true };
+    }
+
+    const size = data.byteLength || 0;
+    return { text: `[Binary, ${size} bytes]`, size, contentType: null, binary: true };
+  }
+
+  /**
+   * Add a WebSocket frame or EventSource event to its connection's entry:
+   * redacted, cut to maxMessageLength, and only the last maxStreamMessages kept
+   */
+  captureStreamMessage(logEntry, data, fields) {
+    const payload = this.describePayload(data);
+    const count = (rule, amount = 1) => {
+      logEntry.redactions[rule] = (logEntry.redactions[rule] || 0) + amount;
+    };
+
+    let text = payload.text;
+    if (text && !payload.binary && this.redactionRules) {
+      text = redactBody(text, this.redactionRules, count);
+    }
+    if (text && text.length > this.options.maxMessageLength) {
+      text = `${text.slice(0, this.options.maxMessageLength)}… [${text.length - this.options.maxMessageLength} more characters]`;
+    }
+
+    logEntry.messages.push({ ...fields, binary: !!payload.binary, data: text, size: payload.size, timestamp: Date.now() });
+    logEntry.messageCount++;
+    logEntry.size += payload.size;
+
+    if (logEntry.messages.length > this.options.maxStreamMessages) {
+      logEntry.messages.shift();
+    }
+  }
+
+  /**
+   * Capture network log entry; returns the stored entry
    */
-  captureNetworkLog(logEntry) {
+  captureNetworkLog(rawEntry) {
+    // Redact before the entry is stored or the replication commands are built from it
+    const { entry: logEntry, applied } = redactNetworkLog(rawEntry, this.redactionRules);
+    logEntry.redactions = applied;
+
+    // Connection phases for the HAR export, looked up by the URL as requested
+    logEntry.timing = rawEntry.timing || getResourceTiming(rawEntry.url, rawEntry.startedAt);
+
     // Add curl command for replication
     logEntry.curlCommand = this.generateCurlCommand(logEntry);
     
@@ -348,16 +754,43 @@ export default class ConsoleLogger {
     
     this.networkLogs.push(logEntry);
     
-    // Keep only recent logs
-    if (this.networkLogs.length > this.options.maxNetworkLogs) {
-      this.networkLogs = this.networkLogs.slice(-this.options.maxNetworkLogs);
+    // Keep only recent logs; open WebSocket and EventSource connections stay until they close
+    const maxNetworkLogs = this.options.maxNetworkLogs + (this.adoptedCounts?.network || 0);
+    let excess = this.networkLogs.length - maxNetworkLogs;
+    if (excess > 0) {
+      this.networkLogs = this.networkLogs.filter(log => {
+        if (excess > 0 && (!log.state || log.state === 'closed')) {
+          excess--;
+          return false;
+        }
+        return true;
+      });
     }
+
+    return logEntry;
+  }
+
+  /**
+   * Which redaction rules removed values from the stored network logs:
+   * [{ rule: 'header:authorization', count: 3 }, { rule: 'body:$..password', count: 1 }]
+   */
+  getRedactionSummary() {
+    const counts = {};
+    this.networkLogs.forEach(({ redactions = {} }) => {
+      Object.entries(redactions).forEach(([rule, count]) => {
+        counts[rule] = (counts[rule] || 0) + count;
+      });
+    });
+    return summarizeRedactions(counts);
   }
 
   /**
    * Generate curl command for network request
    */
   generateCurlCommand(logEntry) {
+    // WebSocket frames can't be replayed with curl
+    if (logEntry.type === 'websocket') return null;
+
     let curl = `curl -X ${logEntry.method} '${logEntry.url}'`;
     
     if (logEntry.headers) {
@@ -373,6 +806,16 @@ export default class ConsoleLogger {
    * Generate fetch command for network request
    */
   generateFetchCommand(logEntry) {
+    if (logEntry.type === 'websocket') {
+      return `new WebSocket('${logEntry.url}')`;
+    }
+    if (logEntry.type === 'eventsource') {
+      return `new EventSource('${logEntry.url}')`;
+    }
+    if (logEntry.type === 'beacon') {
+      return `navigator.sendBeacon('${logEntry.url}'${logEntry.requestPayload ? `, ${JSON.stringify(logEntry.requestPayload)}` : ''})`;
+    }
+
     const options = {
       method: logEntry.method
     };
@@ -423,13 +866,19 @@ export default class ConsoleLogger {
   interceptErrors() {
     // Intercept unhandled errors
     window.addEventListener('error', (event) => {
+      // Cross-origin scripts report no error object; their location still groups and maps
+      const error = event.error || {
+        name: 'Error',
+        message: event.message,
+        stack: `Error: ${event.message}\n    at ${event.filename}:${event.lineno}:${event.colno}`
+      };
+
       this.captureConsoleLog('error', [
         `Unhandled Error: ${event.message}`,
         `File: ${event.filename}`,
         `Line: ${event.lineno}`,
-        `Column: ${event.colno}`,
-        `Stack: ${event.error?.stack || 'N/A'}`
-      ]);
+        `Column: ${event.colno}`
+      ], error);
     });
     
     // Intercept unhandled promise rejections
@@ -437,7 +886,7 @@ export default class ConsoleLogger {
       this.captureConsoleLog('error', [
         `Unhandled Promise Rejection: ${event.reason}`,
         `Promise: ${event.promise}`
-      ]);
+      ], event.reason instanceof Error ? event.reason : null);
     });
   }
 
@@ -454,9 +903,13 @@ export default class ConsoleLogger {
    * Restore original network request methods
    */
   restoreNetworkRequests() {
-    // Note: In a real implementation, you would need to store and restore the original fetch and XMLHttpRequest
-    // For now, we'll just note that they should be restored
-    }
+    if (this.originalNetwork.fetch) window.fetch = this.originalNetwork.fetch;
+    if (this.originalNetwork.XMLHttpRequest) window.XMLHttpRequest = this.originalNetwork.XMLHttpRequest;
+    if (this.originalNetwork.WebSocket) window.WebSocket = this.originalNetwork.WebSocket;
+    if (this.originalNetwork.EventSource) window.EventSource = this.originalNetwork.EventSource;
+    if (this.originalNetwork.sendBeacon) navigator.sendBeacon = this.originalNetwork.sendBeacon;
+    this.originalNetwork = {};
+  }
 
   /**
    * Restore original error handlers
@@ -487,6 +940,8 @@ export default class ConsoleLogger {
   clearLogs() {
     this.consoleLogs = [];
     this.networkLogs = [];
+    this.errorGroups.clear();
+    this.errorEntries.clear();
   }
 
   /**
@@ -494,6 +949,8 @@ export default class ConsoleLogger {
    */
   clearConsoleLogs() {
     this.consoleLogs = [];
+    this.errorGroups.clear();
+    this.errorEntries.clear();
   }
 
   /**
@@ -523,10 +980,114 @@ export default class ConsoleLogger {
     }
     
     if (logsData.networkLogs) {
-      this.networkLogs = logsData.networkLogs;
+      // Imported logs may come from a build without redaction
+      this.networkLogs = this.redactImportedLogs(logsData.networkLogs);
     }
   }
 
+  /**
+   * Apply this logger's redaction rules to entries it didn't capture itself,
+   * keeping the counts of rules applied earlier
+   */
+  redactImportedLogs(networkLogs) {
+    return networkLogs.map(entry => {
+      const { entry: redacted, applied } = redactNetworkLog(entry, this.redactionRules);
+      return { ...redacted, redactions: { ...applied, ...(entry.redactions || {}) } };
+    });
+  }
+
+  /**
+   * Take over what the early-capture snippet buffered before this logger started,
+   * possibly across reloads, so a report covers the minutes before the widget opened.
+   * Later entries are the logger's own. Runs once; returns whether anything was adopted.
+   */
+  adoptEarlyCapture() {
+    const earlyCapture = getEarlyCapture();
+    if (!earlyCapture || this.adoptedCounts) return false;
+
+    const before = (entry) => (entry.startedAt || entry.timestamp) < this.capturingSince;
+    const { consoleLogs, networkLogs } = earlyCapture.getLogs();
+    const earlyConsoleLogs = this.groupAdoptedErrors(consoleLogs.filter(before));
+    const earlyNetworkLogs = this.redactImportedLogs(networkLogs.filter(before)).map(logEntry => ({
+      ...logEntry,
+      curlCommand: this.generateCurlCommand(logEntry),
+      fetchCommand: this.generateFetchCommand(logEntry)
+    }));
+
+    this.consoleLogs = [...earlyConsoleLogs, ...this.consoleLogs];
+    this.networkLogs = [...earlyNetworkLogs, ...this.networkLogs];
+    this.adoptedCounts = { console: earlyConsoleLogs.length, network: earlyNetworkLogs.length };
+
+    return earlyConsoleLogs.length + earlyNetworkLogs.length > 0;
+  }
+
+  /**
+   * Count adopted errors into their groups, keeping one entry per group: the
+   * logger's own if it has one, otherwise the latest adopted occurrence
+   */
+  groupAdoptedErrors(entries) {
+    const latest = new Map();
+    entries.forEach(entry => {
+      if (entry.level !== 'error') return;
+      entry.fingerprint = this.recordErrorGroup(entry, null).fingerprint;
+      latest.set(entry.fingerprint, entry);
+    });
+
+    return entries.filter(entry => {
+      const group = entry.level === 'error' && this.errorGroups.get(entry.fingerprint);
+      if (!group) return true;
+
+      const current = this.errorEntries.get(group.fingerprint);
+      const target = current && this.consoleLogs.includes(current) ? current : latest.get(group.fingerprint);
+      Object.assign(target, { count: group.count, firstSeen: group.firstSeen });
+      this.errorEntries.set(group.fingerprint, target);
+      return target === entry;
+    });
+  }
+
+  /**
+   * Export network logs as a HAR 1.2 document for DevTools and HAR viewers
+   */
+  exportHar(options = {}) {
+    return networkLogsToHar(this.networkLogs, {
+      pageUrl: window.location.href,
+      pageTitle: document.title,
+      ...options
+    });
+  }
+
+  /**
+   * Open a HAR document (object or JSON text) for viewing, e.g. the traffic attached
+   * to a report. It is kept apart from the captured network logs, so it never ends up
+   * in a submission. Returns the number of entries.
+   */
+  importHar(har, name = 'HAR file') {
+    // Imported files may come from a build without redaction
+    const networkLogs = this.redactImportedLogs(harToNetworkLogs(har));
+
+    networkLogs.forEach(logEntry => {
+      logEntry.curlCommand = this.generateCurlCommand(logEntry);
+      logEntry.fetchCommand = this.generateFetchCommand(logEntry);
+    });
+
+    this.importedHar = { name, networkLogs };
+    return networkLogs.length;
+  }
+
+  /**
+   * The HAR file opened with importHar(), or null
+   */
+  getImportedHar() {
+    return this.importedHar;
+  }
+
+  /**
+   * Close the imported HAR file and go back to the captured requests
+   */
+  closeImportedHar() {
+    this.importedHar = null;
+  }
+
   /**
    * Get logs summary
    */
@@ -0,0 +1,353 @@
+/**
+ * Element Picker Component
+ * Inspect-style picker: highlights the element under the pointer and lets the
+ * reporter click the one the report is about
+ */
+
+import StepReplication from './step-replication.js';
+import { findPii } from '../utils/pii-patterns.js';
+import { compileRedactionRules, redactUrl } from '../utils/network-redaction.js';
+
+// Elements of the widget itself can't be picked
+const WIDGET_SELECTOR = '#visualFeedbackModal, .help-button, #stopRecordingFloating, #captureBarFloating, .vfw-picker-hint';
+
+const REPORTED_STYLES = [
+  'display', 'position', 'visibility', 'opacity', 'z-index', 'overflow',
+  'width', 'height', 'margin', 'padding', 'border', 'box-sizing',
+  'color', 'background-color', 'font-family', 'font-size', 'font-weight', 'line-height', 'text-align',
+  'cursor', 'pointer-events', 'transform'
+];
+
+const IMPLICIT_ROLES = {
+  BUTTON: 'button', SELECT: 'combobox', TEXTAREA: 'textbox', IMG: 'img',
+  NAV: 'navigation', MAIN: 'main', HEADER: 'banner', FOOTER: 'contentinfo', ASIDE: 'complementary',
+  FORM: 'form', UL: 'list', OL: 'list', LI: 'listitem', TABLE: 'table', TR: 'row', TD: 'cell',
+  TH: 'columnheader', DIALOG: 'dialog', H1: 'heading', H2: 'heading', H3: 'heading',
+  H4: 'heading', H5: 'heading', H6: 'heading', PROGRESS: 'progressbar', OPTION: 'option'
+};
+
+const INPUT_ROLES = {
+  button: 'button', submit: 'button', reset: 'button', image: 'button', checkbox: 'checkbox',
+  radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox'
+};
+
+const MAX_HTML_LENGTH = 2000;
+
+// Attributes kept on masked elements in the snippet; the rest may carry their content
+const MASK_KEPT_ATTRIBUTES = ['id', 'class', 'role', 'type', 'name'];
+const MASKED = '[masked]';
+
+export default class ElementPicker {
+  constructor(options = {}) {
+    this.options = {
+      maskPii: true,
+      maskSelectors: ['[data-vfw-mask]', '.pii'],
+      maskTextPatterns: ['email', 'phone', 'iban'],
+      redaction: {}, // Network redaction rules, applied to page_url
+      ...options
+    };
+    this.redactionRules = compileRedactionRules(this.options.redaction);
+
+    this.selection = null;
+    this.hoveredElement = null;
+    this.highlight = null;
+    this.hint = null;
+    this.finishPick = null;
+
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Let the reporter pick an element. Resolves with the element, or null when cancelled.
+   */
+  pick() {
+    this.stop();
+
+    return new Promise((resolve) => {
+      this.finishPick = resolve;
+      this.createOverlay();
+
+      // Capture phase, so the page never sees the clicks and keys meant for the picker
+      window.addEventListener('mousemove', this.handleMouseMove, true);
+      window.addEventListener('click', this.handleClick, true);
+      window.addEventListener('mousedown', this.suppressEvent, true);
+      window.addEventListener('mouseup', this.suppressEvent, true);
+      window.addEventListener('keydown', this.handleKeyDown, true);
+    });
+  }
+
+  /**
+   * Create the highlight box and the instructions bar
+   */
+  createOverlay() {
+    this.highlight = document.createElement('div');
+    this.highlight.className = 'vfw-element-highlight';
+    this.highlight.innerHTML = '<span class="vfw-element-label"></span>';
+    this.highlight.style.display = 'none';
+
+    this.hint = document.createElement('div');
+    this.hint.className = 'vfw-picker-hint';
+    this.hint.textContent = '🎯 Click the element you want to report · Esc to cancel';
+
+    document.body.appendChild(this.highlight);
+    document.body.appendChild(this.hint);
+  }
+
+  /**
+   * The pickable element at a pointer event, if any
+   */
+  getTarget(e) {
+    const element = document.elementFromPoint(e.clientX, e.clientY);
+    if (!element || element === document.body || element === document.documentElement) {
+      return null;
+    }
+    return element.closest(WIDGET_SELECTOR) ? null : element;
+  }
+
+  handleMouseMove(e) {
+    const element = this.getTarget(e);
+    if (element === this.hoveredElement) return;
+
+    this.hoveredElement = element;
+    if (!element) {
+      this.highlight.style.display = 'none';
+      return;
+    }
+
+    const rect = element.getBoundingClientRect();
+    Object.assign(this.highlight.style, {
+      display: 'block',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    this.highlight.querySelector('.vfw-element-label').textContent =
+      `${StepReplication.generateUniqueSelector(element)} · ${Math.round(rect.width)}×${Math.round(rect.height)}`;
+  }
+
+  handleClick(e) {
+    if (e.target.closest?.('.vfw-picker-hint')) return;
+
+    this.suppressEvent(e);
+    const element = this.getTarget(e);
+    if (element) {
+      this.stop(element);
+    }
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      this.suppressEvent(e);
+      this.stop(null);
+    }
+  }
+
+  suppressEvent(e) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  /**
+   * End picking and resolve the pending pick()
+   */
+  stop(element = null) {
+    window.removeEventListener('mousemove', this.handleMouseMove, true);
+    window.removeEventListener('click', this.handleClick, true);
+    window.removeEventListener('mousedown', this.suppressEvent, true);
+    window.removeEventListener('mouseup', this.suppressEvent, true);
+    window.removeEventListener('keydown', this.handleKeyDown, true);
+
+    this.highlight?.remove();
+    this.hint?.remove();
+    this.highlight = null;
+    this.hint = null;
+    this.hoveredElement = null;
+
+    if (this.finishPick) {
+      const finishPick = this.finishPick;
+      this.finishPick = null;
+      finishPick(element);
+    }
+  }
+
+  /**
+   * Everything a developer needs to find the element again
+   */
+  describeElement(element) {
+    const rect = element.getBoundingClientRect();
+    const computed = window.getComputedStyle(element);
+
+    return {
+      selector: StepReplication.generateUniqueSelector(element),
+      tag: element.tagName.toLowerCase(),
+      role: ElementPicker.getRole(element),
+      accessible_name: this.maskText(ElementPicker.getAccessibleName(element, node => this.isMasked(node))),
+      outer_html: this.getHtmlSnippet(element),
+      computed_styles: Object.fromEntries(
+        REPORTED_STYLES.map(name => [name, computed.getPropertyValue(name)])
+      ),
+      bounding_box: {
+        x: Math.round(rect.left),
+        y: Math.round(rect.top),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        page_x: Math.round(rect.left + window.scrollX),
+        page_y: Math.round(rect.top + window.scrollY)
+      },
+      page_url: this.redactionRules ? redactUrl(window.location.href, this.redactionRules) : window.location.href
+    };
+  }
+
+  /**
+   * Whether the element is (inside) something masked in screenshots via maskSelectors
+   */
+  isMasked(element) {
+    if (!this.options.maskPii) return false;
+
+    return (this.options.maskSelectors || []).some(selector => {
+      try {
+        return !!element.closest(selector);
+      } catch (error) {
+        return false; // Invalid selector in the configuration
+      }
+    });
+  }
+
+  /**
+   * outerHTML, shortened, with masked elements blanked and personal data and
+   * password values removed
+   */
+  getHtmlSnippet(element) {
+    const copy = element.cloneNode(true);
+    const blank = (node) => {
+      [...node.attributes]
+        .filter(({ name }) => !MASK_KEPT_ATTRIBUTES.includes(name))
+        .forEach(({ name }) => node.removeAttribute(name));
+      node.textContent = MASKED;
+    };
+
+    if (this.isMasked(element)) {
+      blank(copy);
+    } else if (this.options.maskPii) {
+      (this.options.maskSelectors || []).forEach(selector => {
+        try {
+          copy.querySelectorAll(selector).forEach(blank);
+        } catch (error) {
+          // Invalid selector in the configuration
+        }
+      });
+    }
+
+    let html = copy.outerHTML;
+    if (html.length > MAX_HTML_LENGTH) {
+      html = `${html.slice(0, MAX_HTML_LENGTH)}…`;
+    }
+
+    html = html.replace(/<input\b[^>]*>/gi, (tag) => (
+      /\btype=["']?password\b/i.test(tag) ? tag.replace(/\bvalue=(["'])[^"']*\1/gi, 'value=$1[redacted]$1') : tag
+    ));
+    return this.maskText(html);
+  }
+
+  maskText(text) {
+    if (!text || !this.options.maskPii) return text;
+
+    return findPii(text, this.options.maskTextPatterns)
+      .reverse()
+      .reduce((masked, { type, index, length }) => (
+        `${masked.slice(0, index)}[${type}]${masked.slice(index + length)}`
+      ), text);
+  }
+
+  /**
+   * ARIA role: explicit, or the implicit role of the tag
+   */
+  static getRole(element) {
+    const explicit = element.getAttribute('role');
+    if (explicit) {
+      return explicit.split(/\s+/)[0];
+    }
+
+    if (element.tagName === 'A') {
+      return element.hasAttribute('href') ? 'link' : null;
+    }
+    if (element.tagName === 'INPUT') {
+      return INPUT_ROLES[(element.getAttribute('type') || 'text').toLowerCase()] || 'textbox';
+    }
+    if (element.tagName === 'IMG' && element.getAttribute('alt') === '') {
+      return 'presentation';
+    }
+    if (element.tagName === 'SELECT' && (element.multiple || element.size > 1)) {
+      return 'listbox';
+    }
+
+    return IMPLICIT_ROLES[element.tagName] || null;
+  }
+
+  /**
+   * Approximate accessible name: ARIA labels, associated <label>, alt/title/placeholder, then text.
+   * Text from elements for which isMasked() is true is left out.
+   */
+  static getAccessibleName(element, isMasked = () => false) {
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+    const textOf = (node) => {
+      if (!node) return '';
+      if (node.nodeType === Node.TEXT_NODE) return node.nodeValue;
+      if (node.nodeType !== Node.ELEMENT_NODE) return '';
+      if (isMasked(node)) return ` ${MASKED} `;
+      return [...node.childNodes].map(textOf).join('');
+    };
+
+    if (isMasked(element)) return MASKED;
+
+    const label = element.getAttribute('aria-label');
+    if (label) return clean(label);
+
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => textOf(document.getElementById(id)))
+        .join(' ');
+      if (clean(text)) return clean(text);
+    }
+
+    const fieldLabel = textOf(element.labels?.[0]);
+    if (clean(fieldLabel)) return clean(fieldLabel);
+
+    for (const name of ['alt', 'title', 'placeholder']) {
+      const value = element.getAttribute(name);
+      if (value) return clean(value);
+    }
+
+    return clean(textOf(element));
+  }
+
+  /**
+   * Remember the element attached to the report
+   */
+  setSelection(selection) {
+    this.selection = selection;
+  }
+
+  getSelection() {
+    return this.selection;
+  }
+
+  /**
+   * Forget the selection (new report)
+   */
+  reset() {
+    this.stop(null);
+    this.selection = null;
+  }
+
+  /**
+   * Destroy the picker and clean up
+   */
+  destroy() {
+    this.reset();
+  }
+}
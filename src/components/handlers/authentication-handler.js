@@ -8,7 +8,14 @@ import { AuthClient } from '../../utils/auth-client.js';
 export default class AuthenticationHandler {
   constructor(options = {}) {
     this.options = options;
-    this.authClient = new AuthClient(options.apiUrl);
+    this.authClient = new AuthClient(options.apiUrl, {
+      tokenStorage: options.tokenStorage,
+      legacyTokenKeys: options.legacyTokenKeys,
+      organizationId: options.organizationId,
+      ssoProviders: options.ssoProviders,
+      ssoMode: options.ssoMode,
+      ssoRedirectUri: options.ssoRedirectUri
+    });
     this.isAuthenticated = false;
     this.authUnsubscribe = null;
     this.onStateChangeCallback = null;
@@ -81,6 +88,54 @@ export default class AuthenticationHandler {
     }
   }
 
+  /**
+   * Handle single sign-on through the organization's identity provider
+   */
+  async handleSsoLogin() {
+    try {
+      const result = await this.authClient.loginWithSso();
+      
+      if (result.success) {
+        this.isAuthenticated = true;
+        return { success: true };
+      }
+      return { success: false, error: result.error, redirecting: !!result.redirecting };
+    } catch (error) {
+      return { success: false, error: 'An unexpected error occurred during sign-in' };
+    }
+  }
+
+  /**
+   * Check if SSO is configured for the organization
+   */
+  isSsoAvailable() {
+    return this.authClient.isSsoAvailable();
+  }
+
+  /**
+   * Authenticate with the host application's user (see AuthClient.identify)
+   */
+  async identify(identity) {
+    const result = await this.authClient.identify(identity);
+    this.isAuthenticated = result.success;
+    return result.success ? { success: true } : { success: false, error: result.error };
+  }
+
+  /**
+   * Drop the host-provided identity
+   */
+  clearIdentity() {
+    this.authClient.clearIdentity();
+    this.isAuthenticated = false;
+  }
+
+  /**
+   * Check if the session comes from the host application
+   */
+  hasHostIdentity() {
+    return this.authClient.hasHostIdentity();
+  }
+
   /**
    * Handle logout
    */
@@ -110,10 +165,12 @@ export default class AuthenticationHandler {
         return { success: true, data: result.data };
       } else {
         this.isAuthenticated = false;
+        this.authClient.invalidateValidation();
         return { success: false, error: result.error };
       }
     } catch (error) {
       this.isAuthenticated = false;
+      this.authClient.invalidateValidation();
       return { success: false, error: 'An unexpected error occurred during session refresh' };
     }
   }
@@ -129,6 +186,7 @@ export default class AuthenticationHandler {
    * Clean up authentication handler
    */
   destroy() {
+    this.authClient.destroy();
     if (this.authUnsubscribe) {
       this.authUnsubscribe();
       this.authUnsubscribe = null;
@@ -0,0 +1,146 @@
+/**
+ * Conversation Handler
+ * Connects the chat interface to the AI triage assistant
+ */
+
+import { HttpConversationProvider } from '../../core/conversation-provider.js';
+
+export default class ConversationHandler {
+  constructor(options = {}, components = {}) {
+    this.options = options;
+    this.components = components;
+    this.provider = this.createProvider();
+    this.isReplying = false;
+    this.isAvailable = !!this.provider;
+    this.abortController = null;
+  }
+
+  /**
+   * Use a host-supplied provider or fall back to the HTTP endpoint
+   */
+  createProvider() {
+    if (this.options.enableAiChat === false) {
+      return null;
+    }
+
+    if (this.options.chatProvider && typeof this.options.chatProvider.sendMessage === 'function') {
+      return this.options.chatProvider;
+    }
+
+    const endpoint = this.options.chatEndpoint || (this.options.apiUrl ? `${this.options.apiUrl}/widget/chat` : null);
+    if (!endpoint) {
+      return null;
+    }
+
+    return new HttpConversationProvider({
+      endpoint,
+      projectId: this.options.projectId
+    });
+  }
+
+  /**
+   * Send the conversation so far to the assistant and stream its reply
+   */
+  async handleUserMessage() {
+    if (!this.isAvailable || this.isReplying) return;
+
+    const chat = this.components.chatInterface;
+    this.isReplying = true;
+    this.abortController = new AbortController();
+    chat.setInputEnabled(false);
+
+    const messages = this.buildMessageHistory();
+    const reply = chat.startStreamingMessage('ai');
+
+    try {
+      await this.provider.sendMessage(
+        { messages, context: this.buildContext() },
+        {
+          signal: this.abortController.signal,
+          onToken: (token) => chat.appendToMessage(reply.id, token),
+          onFollowUp: (question) => {
+            chat.finishStreamingMessage(reply.id);
+            chat.addMessage('ai', question);
+          }
+        }
+      );
+
+      chat.finishStreamingMessage(reply.id);
+      if (!chat.getMessages().find(m => m.id === reply.id)?.content) {
+        chat.removeMessage(reply.id);
+      }
+    } catch (error) {
+      chat.removeMessage(reply.id);
+
+      if (error.name !== 'AbortError') {
+        // Don't keep retrying a broken backend for the rest of the session
+        this.isAvailable = false;
+        chat.addMessage('ai', 'The assistant is not available right now. Keep describing the issue - everything you write is included in your report.');
+      }
+    } finally {
+      this.isReplying = false;
+      this.abortController = null;
+      chat.setInputEnabled(true);
+    }
+  }
+
+  /**
+   * Convert chat messages to the provider's role/content format
+   */
+  buildMessageHistory() {
+    return this.components.chatInterface.getMessages()
+      .filter(message => message.content)
+      .map(message => ({
+        role: message.type === 'user' ? 'user' : 'assistant',
+        content: message.content
+      }));
+  }
+
+  /**
+   * Summarize console errors, failed requests and the page for the assistant
+   */
+  buildContext() {
+    const logger = this.components.consoleLogger;
+    const consoleErrors = (logger?.getLogs() || [])
+      .filter(log => log.level === 'error')
+      .slice(-10)
+      .map(log => ({ message: log.message.substring(0, 500), timestamp: log.timestamp }));
+
+    const networkFailures = (logger?.getNetworkLogs() || [])
+      .filter(log => log.status === 0 || log.status >= 400)
+      .slice(-10)
+      .map(log => ({
+        method: log.method,
+        url: log.url,
+        status: log.status,
+        statusText: log.statusText,
+        error: log.error || null
+      }));
+
+    return {
+      url: window.location.href,
+      title: document.title,
+      consoleErrors,
+      networkFailures
+    };
+  }
+
+  /**
+   * Stop any reply that is still streaming
+   */
+  reset() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    this.isAvailable = !!this.provider;
+  }
+
+  /**
+   * Clean up conversation handler
+   */
+  destroy() {
+    this.reset();
+    this.provider = null;
+    this.isAvailable = false;
+  }
+}
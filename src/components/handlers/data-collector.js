@@ -7,25 +7,74 @@ export default class DataCollector {
   constructor(components, modalElement) {
     this.components = components;
     this.modalElement = modalElement;
+    this.submissionId = null;
   }
 
   /**
-   * Collect all feedback data
+   * Get the submission ID for the current report, generating it on first use.
+   * Stays the same across retries so the report can't be submitted twice.
    */
-  collectFeedbackData() {
+  getSubmissionId() {
+    if (!this.submissionId) {
+      this.submissionId = this.generateSubmissionId();
+    }
+    return this.submissionId;
+  }
+
+  /**
+   * Start a new report with a fresh submission ID
+   */
+  resetSubmissionId() {
+    this.submissionId = null;
+  }
+
+  /**
+   * Collect all feedback data; screenshots are compressed for submission
+   */
+  async collectFeedbackData() {
+    const screenshots = await this.components.screenshotCapture.exportScreenshots();
+
+    // Original file and line numbers for error stacks, when source maps are configured
+    await this.components.consoleLogger?.symbolicateErrors();
+
     const feedbackData = {
-      screenshot: this.components.screenshotCapture.getScreenshotData(),
-      annotations: this.components.screenshotCapture.getAnnotations(),
+      screenshot: screenshots[0]?.dataUrl || null,
+      screenshots,
+      // Flat list across screenshots; `screenshot` is the 1-based position of the image
+      annotations: screenshots.flatMap((screenshot, index) => (
+        screenshot.annotations.map(annotation => ({ ...annotation, screenshot: index + 1 }))
+      )),
+      screenshotRedacted: screenshots.some(screenshot => screenshot.redacted),
+      screenshotMasking: this.mergeMaskReports(screenshots.map(screenshot => screenshot.masking)),
+      selectedElement: this.components.elementPicker?.getSelection() || null,
       chatMessages: this.components.chatInterface.getMessages(),
       systemInfo: this.components.systemInfo.getData(),
       replicationData: this.components.stepReplication?.getRecordingData() || null,
       consoleLogs: this.components.consoleLogger?.getLogs() || [],
+      errorGroups: this.components.consoleLogger?.getErrorGroups() || [],
+      // Redacted when captured; the summary lists the rules that removed something
+      networkLogs: this.components.consoleLogger?.getNetworkLogs() || [],
+      networkRedaction: this.components.consoleLogger?.getRedactionSummary() || [],
+      // Same requests as a HAR file, attached to the ticket
+      networkHar: this.components.consoleLogger?.exportHar() || null,
+      submissionId: this.getSubmissionId(),
       submittedAt: new Date().toISOString()
     };
 
     return feedbackData;
   }
 
+  /**
+   * Combine the masking reports of several screenshots, adding up the counts per rule
+   */
+  mergeMaskReports(reports) {
+    const counts = new Map();
+    reports.flat().forEach(({ rule, count }) => {
+      counts.set(rule, (counts.get(rule) || 0) + count);
+    });
+    return [...counts].map(([rule, count]) => ({ rule, count }));
+  }
+
   /**
    * Build detailed ticket description from feedback data
    */
@@ -43,10 +92,72 @@ export default class DataCollector {
     
     // Add visual feedback info
     description += '### Visual Feedback Data:\n';
-    description += `- **Screenshot**: ${feedbackData.screenshot ? '✅ Captured' : '❌ Not captured'}\n`;
+    const screenshotCount = feedbackData.screenshots?.length || 0;
+    if (screenshotCount > 1) {
+      description += `- **Screenshots**: ✅ ${screenshotCount} captured\n`;
+    } else {
+      description += `- **Screenshot**: ${feedbackData.screenshot ? '✅ Captured' : '❌ Not captured'}\n`;
+    }
     description += `- **Annotations**: ${feedbackData.annotations.length} drawings\n`;
+    if (feedbackData.screenshotRedacted) {
+      description += `- **Redacted**: Parts of the screenshot were hidden by the reporter\n`;
+    }
+    if (feedbackData.screenshotMasking?.length > 0) {
+      const rules = feedbackData.screenshotMasking.map(({ rule, count }) => `${rule} (${count})`).join(', ');
+      description += `- **Automatically Masked**: ${rules}\n`;
+    }
     description += `- **Console Logs**: ${feedbackData.consoleLogs.length} entries (raw JSON included in metadata)\n`;
     
+    // With several screenshots, say which one a note or step is on
+    const onScreenshot = (annotation) => (
+      screenshotCount > 1 && annotation.screenshot ? ` (screenshot ${annotation.screenshot})` : ''
+    );
+    
+    // Add notes written on the screenshot
+    const notes = feedbackData.annotations.filter(annotation => annotation.type === 'text');
+    if (notes.length > 0) {
+      description += `\n### Screenshot Notes:\n`;
+      notes.forEach((note, index) => {
+        description += `${index + 1}. ${note.text.replace(/\n+/g, ' ')}${onScreenshot(note)}\n`;
+      });
+    }
+    
+    // Add the numbered step markers
+    const steps = feedbackData.annotations
+      .filter(annotation => annotation.type === 'marker')
+      .sort((a, b) => (a.screenshot || 0) - (b.screenshot || 0) || a.number - b.number);
+    if (steps.length > 0) {
+      description += `\n### Steps to Reproduce:\n`;
+      steps.forEach(step => {
+        description += `Step ${step.number}${onScreenshot(step)}: ${step.note || `(see marker ${step.number} on the screenshot)`}\n`;
+      });
+    }
+    
+    // Add the element the report is about
+    const element = feedbackData.selectedElement;
+    if (element) {
+      const box = element.bounding_box;
+      description += `\n### Selected Element:\n`;
+      description += `- **Selector**: \`${element.selector}\`\n`;
+      description += `- **Role**: ${element.role || 'none'}${element.accessible_name ? ` "${element.accessible_name.slice(0, 80)}"` : ''}\n`;
+      description += `- **Position**: ${box.width}×${box.height} at (${box.page_x}, ${box.page_y})\n`;
+      description += `- **Details**: markup, computed styles${element.screenshot ? ' and a cropped screenshot' : ''} included\n`;
+    }
+    
+    // Add the distinct errors, most frequent first
+    const errorGroups = [...(feedbackData.errorGroups || [])].sort((a, b) => b.count - a.count);
+    if (errorGroups.length > 0) {
+      description += `\n### Errors:\n`;
+      errorGroups.slice(0, 5).forEach(group => {
+        const [frame] = group.originalFrames || group.frames;
+        const location = frame ? ` at ${frame.fileName}:${frame.lineNumber}:${frame.columnNumber}` : '';
+        description += `- \`${group.name}: ${group.message.replace(/\s+/g, ' ').slice(0, 120)}\` ×${group.count}${location}\n`;
+      });
+      if (errorGroups.length > 5) {
+        description += `- …and ${errorGroups.length - 5} more (see error_groups in metadata)\n`;
+      }
+    }
+    
     // Add page context
     description += `\n### Page Context:\n`;
     description += `- **URL**: ${feedbackData.systemInfo.url}\n`;
@@ -57,7 +168,10 @@ export default class DataCollector {
     description += `\n### Network Info:\n`;
     description += `- **IP Address**: ${feedbackData.systemInfo.ip || 'Not available'}\n`;
     description += `- **Connection Type**: ${feedbackData.systemInfo.connectionType || 'Unknown'}\n`;
-    description += `- **Network Logs**: ${feedbackData.systemInfo.networkLogs?.length || 0} requests\n`;
+    description += `- **Network Logs**: ${(feedbackData.networkLogs || feedbackData.systemInfo.networkLogs)?.length || 0} requests\n`;
+    if (feedbackData.networkRedaction?.length > 0) {
+      description += `- **Redacted**: ${feedbackData.networkRedaction.map(({ rule, count }) => `${rule} ×${count}`).join(', ')}\n`;
+    }
     
     description += `\n### Submission Details:\n`;
     description += `- **Submitted**: ${feedbackData.submittedAt}\n`;
@@ -111,11 +225,13 @@ export default class DataCollector {
       category: 'task',
       priority: this.determinePriority(feedbackData),
       requester_id: userId,
+      submission_id: feedbackData.submissionId,
       metadata: {
         // Widget-specific feedback data only
         feedback_context: {
           widget_version: '1.2.0',
           submission_method: 'visual_feedback_modal',
+          submission_id: feedbackData.submissionId,
           submitted_at: feedbackData.submittedAt,
           
           // User interaction data
@@ -123,11 +239,40 @@ export default class DataCollector {
           
           // Visual feedback data
           screenshot_captured: !!feedbackData.screenshot,
+          screenshots: (feedbackData.screenshots || []).map((screenshot, index) => ({
+            position: index + 1,
+            url: screenshot.url,
+            captured_at: screenshot.capturedAt,
+            capture_mode: screenshot.captureMode,
+            viewport: screenshot.viewport || null,
+            format: screenshot.format || 'image/png',
+            width: screenshot.width,
+            height: screenshot.height,
+            original_width: screenshot.originalWidth,
+            original_height: screenshot.originalHeight,
+            bytes: screenshot.blob?.size,
+            annotations_count: screenshot.annotations.length,
+            redacted: !!screenshot.redacted
+          })),
+          screenshot_redacted: !!feedbackData.screenshotRedacted,
+          screenshot_masking: feedbackData.screenshotMasking || [],
           annotations_count: feedbackData.annotations.length,
           
+          // Element picked by the reporter; the cropped image is uploaded as an attachment
+          selected_element: feedbackData.selectedElement
+            ? this.formatSelectedElement(feedbackData.selectedElement)
+            : null,
+          
           // Console logs (raw data in JSON)
           console_logs: feedbackData.consoleLogs,
           
+          // Errors grouped by fingerprint, with source-mapped stacks where available
+          error_groups: (feedbackData.errorGroups || []).map(group => this.formatErrorGroup(group)),
+          
+          // Network requests, with credentials and personal data already redacted
+          network_logs: (feedbackData.networkLogs || []).map(log => this.formatNetworkLog(log)),
+          network_redaction: feedbackData.networkRedaction || [],
+          
           // System info from modal (includes network info)
           system_info: feedbackData.systemInfo
         }
@@ -135,6 +280,77 @@ export default class DataCollector {
     };
   }
 
+  /**
+   * Network log entry for ticket metadata
+   */
+  formatNetworkLog(log) {
+    return {
+      method: log.method,
+      url: log.url,
+      status: log.status,
+      status_text: log.statusText,
+      type: log.type,
+      duration: log.duration,
+      size: log.size,
+      timestamp: log.timestamp,
+      error: log.error || null,
+      request_headers: log.requestHeaders || null,
+      request_payload: log.requestPayload || null,
+      response_headers: log.headers || null,
+      response_data: log.responseData || null,
+      curl_command: log.curlCommand || null,
+      // WebSocket frames and EventSource events, with how the connection ended
+      ...(log.messages ? {
+        state: log.state,
+        messages: log.messages,
+        message_count: log.messageCount
+      } : {}),
+      ...(log.closeCode !== undefined ? {
+        close_code: log.closeCode,
+        close_reason: log.closeReason,
+        was_clean: log.wasClean
+      } : {}),
+      ...(log.type === 'eventsource' ? { reconnects: log.reconnects || 0 } : {})
+    };
+  }
+
+  /**
+   * Error group for ticket metadata
+   */
+  formatErrorGroup(group) {
+    return {
+      fingerprint: group.fingerprint,
+      name: group.name,
+      message: group.message,
+      count: group.count,
+      first_seen: group.firstSeen,
+      last_seen: group.lastSeen,
+      stack: group.stack || null,
+      original_stack: group.originalStack || null
+    };
+  }
+
+  /**
+   * Picked element for ticket metadata, without the image data
+   */
+  formatSelectedElement(selectedElement) {
+    const { screenshot, ...details } = selectedElement;
+    return { ...details, has_screenshot: !!screenshot };
+  }
+
+  /**
+   * Format ticket data for a guest; the server matches or creates the requester by email
+   */
+  formatGuestTicketData(feedbackData, title, description, guest) {
+    const ticketData = this.formatTicketData(feedbackData, title, description, null);
+    delete ticketData.requester_id;
+
+    ticketData.guest = { name: guest.name, email: guest.email };
+    ticketData.metadata.feedback_context.submission_method = 'visual_feedback_modal_guest';
+
+    return ticketData;
+  }
+
   /**
    * Extract title from user messages
    */
@@ -218,7 +434,7 @@ export default class DataCollector {
         metadata: {
           feedbackVersion: '1.0.0',
           widgetVersion: '1.0.0',
-          submissionId: this.generateSubmissionId()
+          submissionId: this.getSubmissionId()
         }
       };
       
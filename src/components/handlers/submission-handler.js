@@ -4,6 +4,11 @@
  */
 
 import { ApiClient } from '../../core/api-client.js';
+import { SubmissionOutbox } from '../../core/submission-outbox.js';
+import { dataUrlToBlob } from '../../utils/helpers.js';
+import { getImageExtension } from '../../utils/image-encoder.js';
+import { validateFileSize } from '../../utils/validation.js';
+import { solveProofOfWork } from '../../utils/proof-of-work.js';
 
 export default class SubmissionHandler {
   constructor(options = {}) {
@@ -11,8 +16,27 @@ export default class SubmissionHandler {
     this.apiClient = new ApiClient({
       apiUrl: options.apiUrl,
       organizationId: options.organizationId,
-      projectId: options.projectId
+      projectId: options.projectId,
+      guestEndpoint: options.guestEndpoint
     });
+
+    // Reports that couldn't be delivered are kept here and retried in the background
+    this.outbox = new SubmissionOutbox({
+      onSend: this.sendQueuedSubmission.bind(this),
+      onChange: (pendingCount) => {
+        if (this.options.onPendingChange) {
+          this.options.onPendingChange(pendingCount);
+        }
+      },
+      onFailed: (item) => this.showAttachmentFailureMessage(item)
+    });
+  }
+
+  /**
+   * Start background delivery of queued submissions
+   */
+  startOutbox() {
+    this.outbox.start().catch(() => {});
   }
 
   /**
@@ -27,11 +51,274 @@ export default class SubmissionHandler {
           const ticket = result.data?.ticket || result.ticket;
           return { success: true, ticket: ticket };
         } else {
-        throw new Error(result.error.message);
+        return {
+          success: false,
+          error: result.error.message,
+          code: result.error.code,
+          retryable: this.isRetryableFailure(result.error.code)
+        };
       }
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, retryable: false };
+    }
+  }
+
+  /**
+   * Submit feedback from a visitor without an account through the guest endpoint
+   */
+  async submitGuestTicket(ticketData) {
+    try {
+      const challenge = await this.solveGuestChallenge(ticketData);
+      const result = await this.apiClient.createGuestTicket(ticketData, challenge);
+
+      if (result.success) {
+        const ticket = result.data?.ticket || result.ticket;
+        return {
+          success: true,
+          ticket,
+          // Scoped token the server issues so the guest can attach files to this ticket
+          uploadToken: result.data?.upload_token || null
+        };
+      }
+
+      return {
+        success: false,
+        error: result.error.code === '429'
+          ? this.formatRateLimitMessage(result.error.details)
+          : result.error.message,
+        code: result.error.code,
+        retryable: false
+      };
+    } catch (error) {
+      return { success: false, error: error.message, retryable: false };
+    }
+  }
+
+  /**
+   * Run the configured anti-abuse checks: a host-provided captcha hook
+   * and/or a server-issued proof-of-work challenge
+   */
+  async solveGuestChallenge(ticketData) {
+    const challenge = {};
+
+    if (typeof this.options.guestChallenge === 'function') {
+      challenge.captcha_token = await this.options.guestChallenge({
+        email: ticketData.guest.email,
+        name: ticketData.guest.name
+      });
+    }
+
+    if (this.options.guestProofOfWork) {
+      const result = await this.apiClient.getGuestChallenge();
+      if (!result.success) {
+        throw new Error('Could not load the verification challenge. Please try again.');
+      }
+
+      const { challenge: value, difficulty } = result.data;
+      challenge.proof_of_work = {
+        challenge: value,
+        nonce: await solveProofOfWork(value, difficulty)
+      };
+    }
+
+    return Object.keys(challenge).length > 0 ? challenge : null;
+  }
+
+  formatRateLimitMessage(details) {
+    const seconds = parseInt(details?.retry_after, 10);
+    const wait = seconds > 0 ? ` in ${Math.ceil(seconds / 60)} minute(s)` : ' later';
+    return `You have sent several reports in a short time. Please try again${wait}.`;
+  }
+
+  /**
+   * Whether a failed submission is worth queueing for a later retry
+   */
+  isRetryableFailure(code) {
+    return code === 'NETWORK_ERROR' || parseInt(code, 10) >= 500;
+  }
+
+  /**
+   * Queue a ticket that couldn't be submitted, including its binary attachments
+   */
+  async queueSubmission(ticketData, feedbackData) {
+    try {
+      await this.outbox.enqueue({
+        id: ticketData.submission_id,
+        // Round-trip through JSON so only cloneable data ends up in IndexedDB
+        ticketData: JSON.parse(JSON.stringify(ticketData)),
+        feedbackData: {
+          screenshot: feedbackData.screenshot,
+          screenshots: (feedbackData.screenshots || []).map(({ dataUrl }) => ({ dataUrl })),
+          selectedElement: feedbackData.selectedElement?.screenshot
+            ? { screenshot: feedbackData.selectedElement.screenshot }
+            : null,
+          replicationData: feedbackData.replicationData?.videoBlob
+            ? { videoBlob: feedbackData.replicationData.videoBlob }
+            : null,
+          networkHar: feedbackData.networkHar || null
+        }
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Deliver a queued submission (called by the outbox)
+   */
+  async sendQueuedSubmission(item) {
+    let ticket = item.ticket;
+
+    if (!ticket) {
+      const result = await this.submitTicket(item.ticketData);
+      if (!result.success) {
+        return {
+          success: false,
+          // A signed-out user can log in later, so keep the report around
+          retryable: result.retryable || result.code === 'AUTHENTICATION_REQUIRED',
+          error: result.error
+        };
+      }
+      ticket = result.ticket;
+    }
+
+    const uploadedKinds = item.uploadedKinds || [];
+    const attachments = await this.uploadAttachments(ticket.id, item.feedbackData, null, uploadedKinds);
+    const allUploadedKinds = [...uploadedKinds, ...attachments.uploaded.map(file => file.kind)];
+
+    // The ticket exists now; only the failed attachments are retried, a few times at most.
+    // After that the report is kept as failed and the user decides whether to try again.
+    if (attachments.failed.length > 0) {
+      return {
+        success: false,
+        retryable: item.attempts < 5,
+        failed: item.attempts >= 5,
+        error: attachments.failed.map(file => `${file.name}: ${file.error}`).join(', '),
+        item: { ticket, uploadedKinds: allUploadedKinds }
+      };
+    }
+
+    return { success: true, ticket };
+  }
+
+  /**
+   * Remove a submission from the outbox once it has been delivered directly
+   */
+  async dequeueSubmission(submissionId) {
+    try {
+      await this.outbox.remove(submissionId);
+    } catch (error) {
+      // Nothing was queued or IndexedDB is unavailable
+    }
+  }
+
+  /**
+   * Build the list of files that should be attached to a ticket
+   */
+  buildAttachments(feedbackData, skipKinds = []) {
+    const attachments = [];
+    const stamp = Date.now();
+
+    // One file per screenshot; reports queued before multiple screenshots only have `screenshot`.
+    // Queued reports keep the data URL only, so the blob is rebuilt from it.
+    const screenshots = feedbackData.screenshots?.length > 0
+      ? feedbackData.screenshots.map(({ blob, dataUrl }) => blob || dataUrlToBlob(dataUrl))
+      : [feedbackData.screenshot].filter(Boolean).map(dataUrlToBlob);
+
+    screenshots.forEach((blob, index) => {
+      const suffix = index === 0 ? '' : `-${index + 1}`;
+      attachments.push({
+        kind: `screenshot${suffix}`,
+        file: new File([blob], `screenshot${suffix}-${stamp}.${getImageExtension(blob.type)}`, { type: blob.type })
+      });
+    });
+
+    if (feedbackData.selectedElement?.screenshot) {
+      const blob = dataUrlToBlob(feedbackData.selectedElement.screenshot);
+      attachments.push({
+        kind: 'selected-element',
+        file: new File([blob], `selected-element-${stamp}.${getImageExtension(blob.type)}`, { type: blob.type })
+      });
+    }
+
+    const videoBlob = feedbackData.replicationData?.videoBlob;
+    if (videoBlob && videoBlob.size > 0) {
+      attachments.push({
+        kind: 'recording',
+        file: new File([videoBlob], `recording-${stamp}.webm`, { type: videoBlob.type || 'video/webm' })
+      });
+    }
+
+    if (feedbackData.networkHar?.log?.entries?.length > 0) {
+      attachments.push({
+        kind: 'network-har',
+        file: new File([JSON.stringify(feedbackData.networkHar)], `network-${stamp}.har`, { type: 'application/json' })
+      });
+    }
+
+    return attachments.filter(({ kind }) => !skipKinds.includes(kind));
+  }
+
+  /**
+   * Upload screenshots and recording for a created ticket.
+   * Failures are reported per file so one bad upload doesn't fail the submission.
+   */
+  async uploadAttachments(ticketId, feedbackData, onProgress, skipKinds = [], apiClient = this.apiClient) {
+    const result = { uploaded: [], failed: [] };
+    const attachments = this.buildAttachments(feedbackData, skipKinds);
+
+    for (const { kind, file } of attachments) {
+      // Large files (recordings) go through the resumable chunked protocol
+      const chunked = file.size > (this.options.chunkedUploadThreshold || Infinity);
+      const maxSize = chunked ? this.options.maxChunkedFileSize : this.options.maxFileSize;
+
+      if (maxSize && !validateFileSize(file, maxSize)) {
+        result.failed.push({ kind, name: file.name, error: 'File exceeds the maximum upload size' });
+        continue;
+      }
+
+      const uploadOptions = {
+        chunkSize: this.options.chunkSize,
+        // File names carry a timestamp, so resumable uploads are matched by ticket and kind
+        resumeKey: kind,
+        onProgress: (progress) => {
+          if (onProgress) {
+            onProgress({ kind, name: file.name, ...progress });
+          }
+        }
+      };
+
+      const upload = chunked
+        ? await apiClient.uploadFileResumable(file, ticketId, uploadOptions)
+        : await apiClient.uploadFile(file, ticketId, uploadOptions);
+
+      if (upload.success) {
+        const reference = upload.data?.data || upload.data?.file || upload.data;
+        result.uploaded.push({
+          kind,
+          id: reference?.id,
+          url: reference?.url,
+          name: reference?.filename || file.name,
+          type: file.type,
+          size: file.size
+        });
+      } else {
+        result.failed.push({ kind, name: file.name, error: upload.error.message });
+      }
+    }
+
+    if (result.uploaded.length > 0) {
+      const attach = await apiClient.attachFilesToTicket(ticketId, result.uploaded);
+      if (!attach.success) {
+        result.uploaded.forEach(({ kind, name }) => {
+          result.failed.push({ kind, name, error: attach.error.message });
+        });
+        result.uploaded = [];
+      }
     }
+
+    return result;
   }
 
   /**
@@ -73,10 +360,11 @@ export default class SubmissionHandler {
 🏷️  Category: ${ticket.category}
 
 📋 **FEEDBACK DATA COLLECTED:**
-• 📸 Screenshot: ${feedbackData.screenshot ? '✅ Captured' : '❌ Not captured'}
+• 📸 Screenshots: ${feedbackData.screenshot ? `✅ ${feedbackData.screenshots?.length || 1} captured` : '❌ Not captured'}
 • ✏️ Annotations: ${feedbackData.annotations.length} drawings
 • 💬 Chat Messages: ✅ Included
 • 🖥️ Console Logs: ${feedbackData.consoleLogs.length} entries (raw JSON included)
+${this.formatAttachmentSummary(feedbackData.attachments)}
 
 📊 **SYSTEM INFO:**
 • 🌐 Browser: ${feedbackData.systemInfo.browser} ${feedbackData.systemInfo.browserVersion}
@@ -99,6 +387,22 @@ Thank you for your feedback! Your ticket contains all the necessary information
     }
   }
 
+  /**
+   * Format attachment upload results for the success message
+   */
+  formatAttachmentSummary(attachments) {
+    if (!attachments) {
+      return '';
+    }
+
+    const lines = attachments.uploaded.map(file => `• 📎 ${file.name}: ✅ Attached`);
+    attachments.failed.forEach(file => {
+      lines.push(`• 📎 ${file.name}: ❌ Upload failed (${file.error})`);
+    });
+
+    return lines.join('\n');
+  }
+
   /**
    * Show legacy feedback success message
    */
@@ -131,6 +435,34 @@ Thank you for your detailed feedback!`);
     }
   }
 
+  /**
+   * Show message for a submission that was queued for later delivery
+   */
+  showQueuedMessage(onComplete) {
+    alert(`📮 We couldn't reach the server right now.
+
+Your report, including the screenshot, annotations and logs, has been saved on this device and will be sent automatically as soon as the connection is back.`);
+
+    if (onComplete) {
+      onComplete();
+    }
+  }
+
+  /**
+   * Tell the user that a queued report's attachments kept failing, and offer to try again
+   */
+  showAttachmentFailureMessage(item) {
+    const retry = confirm(`⚠️ Ticket #${item.ticket.ticket_number} was created, but some attachments could not be uploaded:
+
+${item.lastError}
+
+The files are kept on this device. Try uploading them again now?`);
+
+    if (retry) {
+      this.outbox.retryFailed(item.id).catch(() => {});
+    }
+  }
+
   /**
    * Show error message
    */
@@ -165,4 +497,11 @@ Thank you for your detailed feedback!`);
     
     this.options = { ...this.options, ...newConfig };
   }
+
+  /**
+   * Clean up submission handler
+   */
+  destroy() {
+    this.outbox.destroy();
+  }
 }
\ No newline at end of file
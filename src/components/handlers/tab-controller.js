@@ -3,6 +3,8 @@
  * Manages tab switching and content display in the modal
  */
 
+import { downloadBlob } from '../../utils/helpers.js';
+
 export default class TabController {
   constructor(modalElement, components) {
     this.modalElement = modalElement;
@@ -152,14 +154,25 @@ export default class TabController {
         return;
       }
 
+      // Source maps are fetched in the background; show the mapped stacks once they're in
+      if (this.components.consoleLogger.hasPendingSymbolication?.()) {
+        this.components.consoleLogger.symbolicateErrors().then(changed => {
+          if (changed) this.displayConsoleLogs();
+        });
+      }
+
       // Generate console logs HTML with browser-like styling
       const consoleLogsHtml = consoleLogs.map(log => {
         const timestamp = new Date(log.timestamp).toLocaleTimeString();
+        const repeats = log.count > 1
+          ? `<span class="log-count" title="First seen ${new Date(log.firstSeen).toLocaleTimeString()}, last seen ${timestamp}">${log.count}</span>`
+          : '';
+        const stack = log.originalStack || log.stack;
         
         return `
           <div class="console-log-entry ${log.level}">
-            <span class="log-message">${log.message}</span>
-            ${log.stack ? `<div class="log-stack"><pre>${log.stack}</pre></div>` : ''}
+            ${repeats}<span class="log-message">${this.escapeHtml(log.message)}</span>
+            ${stack ? `<div class="log-stack"><pre>${this.escapeHtml(stack)}</pre></div>` : ''}
           </div>
         `;
       }).join('');
@@ -193,22 +206,29 @@ export default class TabController {
     if (!networkTab) return;
 
     if (this.components.consoleLogger) {
-      const networkLogs = this.components.consoleLogger.getNetworkLogs();
+      // An imported HAR file is shown read-only in place of the captured requests
+      const importedHar = this.components.consoleLogger.getImportedHar();
+      const networkLogs = importedHar ? importedHar.networkLogs : this.components.consoleLogger.getNetworkLogs();
       
-      if (networkLogs.length === 0) {
+      if (networkLogs.length === 0 && !importedHar) {
         networkTab.innerHTML = `
           <div class="network-info">
             <h4>🌐 Network Logs</h4>
             <p>No network requests captured yet. Network requests will appear here as they happen.</p>
             <small>Tip: Refresh the page or interact with the application to see network activity.</small>
+            <div class="log-actions">
+              ${this.renderHarActions(false)}
+            </div>
           </div>
         `;
+        this.bindHarActions(networkTab);
         return;
       }
 
-      // Generate network logs HTML
+      // Generate network logs HTML. Every field is escaped: entries of an imported
+      // HAR file come from outside the page
       const networkLogsHtml = networkLogs.map((log, index) => {
-        const statusClass = log.status >= 400 ? 'error' : log.status >= 300 ? 'warning' : 'success';
+        const statusClass = this.getNetworkStatusClass(log);
         const timestamp = new Date(log.timestamp).toLocaleTimeString();
         
         // Generate collapsible sections for headers, payload, and response
@@ -218,7 +238,7 @@ export default class TabController {
               📤 Request Headers (${Object.keys(log.requestHeaders).length})
             </button>
             <div class="collapsible-content" style="display: none;">
-              <pre>${JSON.stringify(log.requestHeaders, null, 2)}</pre>
+              <pre>${this.escapeHtml(JSON.stringify(log.requestHeaders, null, 2))}</pre>
             </div>
           </div>
         ` : '';
@@ -229,8 +249,8 @@ export default class TabController {
               📦 Request Payload
             </button>
             <div class="collapsible-content" style="display: none;">
-              <pre>${log.requestPayload}</pre>
-              <button class="copy-btn" onclick="navigator.clipboard.writeText(\`${log.requestPayload.replace(/`/g, '\\`')}\`)">📋 Copy Payload</button>
+              <pre>${this.escapeHtml(log.requestPayload)}</pre>
+              <button class="copy-btn" data-copy="requestPayload" data-log-index="${index}">📋 Copy Payload</button>
             </div>
           </div>
         ` : '';
@@ -241,7 +261,7 @@ export default class TabController {
               📥 Response Headers (${Object.keys(log.headers).length})
             </button>
             <div class="collapsible-content" style="display: none;">
-              <pre>${JSON.stringify(log.headers, null, 2)}</pre>
+              <pre>${this.escapeHtml(JSON.stringify(log.headers, null, 2))}</pre>
             </div>
           </div>
         ` : '';
@@ -252,8 +272,8 @@ export default class TabController {
               📄 Response Data
             </button>
             <div class="collapsible-content" style="display: none;">
-              <pre>${log.responseData}</pre>
-              <button class="copy-btn" onclick="navigator.clipboard.writeText(\`${log.responseData.replace(/`/g, '\\`')}\`)">📋 Copy Response</button>
+              <pre>${this.escapeHtml(log.responseData)}</pre>
+              <button class="copy-btn" data-copy="responseData" data-log-index="${index}">📋 Copy Response</button>
             </div>
           </div>
         ` : '';
@@ -261,28 +281,31 @@ export default class TabController {
         return `
           <div class="network-log-entry ${statusClass}">
             <div class="log-header">
-              <span class="method ${log.method}">${log.method}</span>
-              <span class="status status-${statusClass}">${log.status}</span>
-              <span class="url">${log.url}</span>
+              <span class="method ${this.escapeHtml(log.method)}">${this.escapeHtml(log.method)}</span>
+              <span class="status status-${statusClass}">${this.escapeHtml(this.getNetworkStatusLabel(log))}</span>
+              <span class="url">${this.escapeHtml(log.url)}</span>
               <span class="timestamp">${timestamp}</span>
             </div>
             <div class="log-details">
               <div class="detail-item">
-                <strong>Duration:</strong> ${log.duration}ms
+                <strong>Duration:</strong> ${this.escapeHtml(log.duration)}ms
               </div>
               <div class="detail-item">
-                <strong>Size:</strong> ${log.size} bytes
+                <strong>Size:</strong> ${this.escapeHtml(log.size)} bytes
               </div>
               <div class="detail-item">
-                <strong>Type:</strong> ${log.type}
+                <strong>Type:</strong> ${this.escapeHtml(log.type)}
               </div>
-              ${log.error ? `<div class="detail-item error"><strong>Error:</strong> ${log.error}</div>` : ''}
+              ${log.closeCode !== undefined ? `<div class="detail-item"><strong>Close:</strong> ${this.escapeHtml(log.closeCode)}${log.closeReason ? ` ${this.escapeHtml(log.closeReason)}` : ''}${log.wasClean ? '' : ' (not clean)'}</div>` : ''}
+              ${log.reconnects > 0 ? `<div class="detail-item"><strong>Reconnects:</strong> ${this.escapeHtml(log.reconnects)}</div>` : ''}
+              ${log.error ? `<div class="detail-item error"><strong>Error:</strong> ${this.escapeHtml(log.error)}</div>` : ''}
             </div>
             
             ${requestHeadersHtml}
             ${requestPayloadHtml}
             ${responseHeadersHtml}
             ${responseDataHtml}
+            ${this.renderStreamMessages(log)}
             
             ${log.curlCommand ? `
               <div class="collapsible-section">
@@ -290,8 +313,8 @@ export default class TabController {
                   💻 cURL Command
                 </button>
                 <div class="collapsible-content" style="display: none;">
-                  <button class="copy-btn" onclick="navigator.clipboard.writeText('${log.curlCommand}')">📋 Copy cURL</button>
-                  <pre><code>${log.curlCommand}</code></pre>
+                  <button class="copy-btn" data-copy="curlCommand" data-log-index="${index}">📋 Copy cURL</button>
+                  <pre><code>${this.escapeHtml(log.curlCommand)}</code></pre>
                 </div>
               </div>
             ` : ''}
@@ -299,6 +322,24 @@ export default class TabController {
         `;
       }).join('');
 
+      if (importedHar) {
+        networkTab.innerHTML = `
+          <div class="network-info">
+            <h4>📂 ${this.escapeHtml(importedHar.name)} (${networkLogs.length})</h4>
+            <small>Viewing an imported HAR file. These requests are not part of your report.</small>
+            <div class="network-logs-container">
+              ${networkLogsHtml}
+            </div>
+            <div class="log-actions">
+              <button class="har-btn" data-har-action="close">✖ Back to captured requests</button>
+            </div>
+          </div>
+        `;
+        this.bindCopyButtons(networkTab, networkLogs);
+        this.bindHarActions(networkTab);
+        return;
+      }
+
       networkTab.innerHTML = `
         <div class="network-info">
           <h4>🌐 Network Logs (${networkLogs.length})</h4>
@@ -306,10 +347,13 @@ export default class TabController {
             ${networkLogsHtml}
           </div>
           <div class="log-actions">
+            ${this.renderHarActions(true)}
             <button class="clear-logs-btn" onclick="if(this.closest('.visual-feedback-modal').components?.consoleLogger) this.closest('.visual-feedback-modal').components.consoleLogger.clearNetworkLogs(); this.closest('.visual-feedback-modal').displayNetworkLogs();">🗑️ Clear Logs</button>
           </div>
         </div>
       `;
+      this.bindCopyButtons(networkTab, networkLogs);
+      this.bindHarActions(networkTab);
     } else {
       networkTab.innerHTML = `
         <div class="network-info">
@@ -320,6 +364,130 @@ export default class TabController {
     }
   }
 
+  /**
+   * Copy buttons read the payload, response or cURL command from the log entry itself,
+   * so nothing captured ends up in an inline handler
+   */
+  bindCopyButtons(networkTab, networkLogs) {
+    networkTab.querySelectorAll('[data-copy]').forEach(button => {
+      button.addEventListener('click', () => {
+        const log = networkLogs[Number(button.dataset.logIndex)];
+        if (log && log[button.dataset.copy]) {
+          navigator.clipboard.writeText(log[button.dataset.copy]);
+        }
+      });
+    });
+  }
+
+  /**
+   * Color of a network entry: failed requests and broken connections stand out
+   */
+  getNetworkStatusClass(log) {
+    if (log.type === 'websocket' || log.type === 'eventsource') {
+      if (log.error && log.state !== 'open') return 'error';
+      return log.closeCode !== undefined && !log.wasClean ? 'warning' : 'success';
+    }
+    if (log.type === 'beacon') {
+      return log.error ? 'error' : 'success';
+    }
+    return log.status >= 400 ? 'error' : log.status >= 300 ? 'warning' : 'success';
+  }
+
+  /**
+   * Status badge: the HTTP status, or the connection state for sockets, streams and beacons
+   */
+  getNetworkStatusLabel(log) {
+    if (log.type === 'websocket' || log.type === 'eventsource') {
+      return log.state || 'closed';
+    }
+    if (log.type === 'beacon') {
+      return log.statusText.toLowerCase();
+    }
+    return log.status;
+  }
+
+  /**
+   * Collapsible list of WebSocket frames (↑ sent, ↓ received) or EventSource events
+   */
+  renderStreamMessages(log) {
+    if (!Array.isArray(log.messages) || log.messages.length === 0) return '';
+
+    const dropped = (log.messageCount || 0) - log.messages.length;
+    const title = log.type === 'websocket' ? '💬 Frames' : '📡 Events';
+    const messagesHtml = log.messages.map(message => {
+      const time = new Date(message.timestamp).toLocaleTimeString();
+      const label = message.direction
+        ? (message.direction === 'sent' ? '↑' : '↓')
+        : this.escapeHtml(message.event);
+      return `<div class="stream-message ${message.direction || 'event'}"><span class="stream-message-label">${label}</span> <span class="stream-message-time">${time}</span> ${message.data !== null ? this.escapeHtml(message.data) : ''}</div>`;
+    }).join('');
+
+    return `
+      <div class="collapsible-section">
+        <button class="collapsible-header" onclick="this.nextElementSibling.style.display = this.nextElementSibling.style.display === 'none' ? 'block' : 'none'">
+          ${title} (${log.messages.length}${dropped > 0 ? ` of ${log.messageCount}, oldest dropped` : ''})
+        </button>
+        <div class="collapsible-content" style="display: none;">
+          <pre>${messagesHtml}</pre>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Escape text captured from the page before it is put into the tab's HTML
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * HAR buttons for the network tab; export only makes sense with captured requests
+   */
+  renderHarActions(canExport) {
+    return `
+      ${canExport ? '<button class="har-btn" data-har-action="export" title="Download as a HAR file for DevTools or a HAR viewer">💾 Export HAR</button>' : ''}
+      <button class="har-btn" data-har-action="import" title="Show the requests of a HAR file, e.g. one attached to a report">📂 Import HAR</button>
+      <input type="file" class="har-file-input" accept=".har,application/json" hidden>
+    `;
+  }
+
+  /**
+   * Download the network logs as a HAR file, or open one to browse a report's traffic
+   */
+  bindHarActions(networkTab) {
+    const consoleLogger = this.components.consoleLogger;
+    const fileInput = networkTab.querySelector('.har-file-input');
+
+    networkTab.querySelector('[data-har-action="export"]')?.addEventListener('click', () => {
+      const har = JSON.stringify(consoleLogger.exportHar(), null, 2);
+      downloadBlob(new Blob([har], { type: 'application/json' }), `network-${Date.now()}.har`);
+    });
+
+    networkTab.querySelector('[data-har-action="import"]')?.addEventListener('click', () => fileInput?.click());
+
+    networkTab.querySelector('[data-har-action="close"]')?.addEventListener('click', () => {
+      consoleLogger.closeImportedHar();
+      this.displayNetworkLogs();
+    });
+
+    fileInput?.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+
+      try {
+        consoleLogger.importHar(await file.text(), file.name);
+        this.displayNetworkLogs();
+      } catch (error) {
+        alert(`Could not import ${file.name}: ${error.message}`);
+      }
+    });
+  }
+
   /**
    * Display step recording interface in the steps tab
    */
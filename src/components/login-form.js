@@ -3,12 +3,18 @@
  * Simple authentication form for the widget modal
  */
 
+import { validateEmail, validateRequired } from '../utils/validation.js';
+
 export default class LoginForm {
   constructor(options = {}) {
     this.options = {
       container: null,
       onLogin: null,
       onCancel: null,
+      onSsoLogin: null,
+      ssoEnabled: false,
+      onGuestContinue: null,
+      allowGuest: false,
       apiUrl: '',
       ...options
     };
@@ -19,6 +25,8 @@ export default class LoginForm {
     this.passwordInput = null;
     this.submitButton = null;
     this.cancelButton = null;
+    this.ssoButton = null;
+    this.guestForm = null;
     this.errorElement = null;
     this.loadingElement = null;
 
@@ -126,6 +134,74 @@ export default class LoginForm {
           </div>
         </form>
         
+        ${this.options.ssoEnabled ? `
+          <div class="login-sso">
+            <div class="login-divider"><span>or</span></div>
+            <button type="button" class="btn-sso" id="ssoButton">
+              <span class="btn-content">
+                <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <rect x="4" y="2" width="16" height="20" rx="2"/>
+                  <line x1="9" y1="6" x2="9" y2="6.01"/>
+                  <line x1="15" y1="6" x2="15" y2="6.01"/>
+                  <line x1="9" y1="10" x2="9" y2="10.01"/>
+                  <line x1="15" y1="10" x2="15" y2="10.01"/>
+                  <path d="M10 22v-4h4v4"/>
+                </svg>
+                <span class="btn-text">Sign in with your organization</span>
+              </span>
+              <span class="btn-loading" style="display: none;">
+                <div class="loading-spinner"></div>
+                <span>Waiting for sign-in...</span>
+              </span>
+            </button>
+          </div>
+        ` : ''}
+        
+        ${this.options.allowGuest ? `
+          <div class="login-guest" id="guestSection">
+            <button type="button" class="guest-link" id="guestToggle">Continue without an account</button>
+          </div>
+          
+          <form class="login-form guest-form is-hidden" id="guestForm">
+            <div class="form-field">
+              <label for="guestName" class="field-label">Name</label>
+              <input 
+                type="text" 
+                id="guestName" 
+                name="name" 
+                placeholder="Your name"
+                required
+                autocomplete="name"
+                class="field-input"
+              >
+            </div>
+            
+            <div class="form-field">
+              <label for="guestEmail" class="field-label">Email</label>
+              <input 
+                type="email" 
+                id="guestEmail" 
+                name="email" 
+                placeholder="So we can follow up on your report"
+                required
+                autocomplete="email"
+                class="field-input"
+              >
+            </div>
+            
+            <div class="form-actions">
+              <button type="button" class="btn btn-secondary" id="guestBackButton">
+                Back
+              </button>
+              <button type="submit" class="btn btn-primary" id="guestContinueButton">
+                <span class="btn-content">
+                  <span class="btn-text">Continue</span>
+                </span>
+              </button>
+            </div>
+          </form>
+        ` : ''}
+        
         <div class="login-footer">
           <p>Don't have access? Contact your system administrator</p>
         </div>
@@ -138,6 +214,8 @@ export default class LoginForm {
     this.passwordInput = this.options.container.querySelector('#loginPassword');
     this.submitButton = this.options.container.querySelector('#submitButton');
     this.cancelButton = this.options.container.querySelector('#cancelButton');
+    this.ssoButton = this.options.container.querySelector('#ssoButton');
+    this.guestForm = this.options.container.querySelector('#guestForm');
     this.errorElement = this.options.container.querySelector('#loginError');
     this.passwordToggle = this.options.container.querySelector('#passwordToggle');
   }
@@ -159,6 +237,27 @@ export default class LoginForm {
       }
     });
 
+    // Single sign-on
+    if (this.ssoButton) {
+      this.ssoButton.addEventListener('click', () => {
+        this.handleSsoLogin();
+      });
+    }
+
+    // Guest mode
+    if (this.guestForm) {
+      this.options.container.querySelector('#guestToggle').addEventListener('click', () => {
+        this.showGuestForm(true);
+      });
+      this.options.container.querySelector('#guestBackButton').addEventListener('click', () => {
+        this.showGuestForm(false);
+      });
+      this.guestForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleGuestSubmit();
+      });
+    }
+
     // Password toggle
     this.passwordToggle.addEventListener('click', () => {
       this.togglePasswordVisibility();
@@ -230,6 +329,79 @@ export default class LoginForm {
     }
   }
 
+  /**
+   * Handle "Sign in with your organization"
+   */
+  async handleSsoLogin() {
+    if (this.isLoading || !this.options.onSsoLogin) return;
+
+    this.setLoading(true, this.ssoButton);
+    this.clearError();
+
+    try {
+      const result = await this.options.onSsoLogin();
+
+      // In redirect mode the page is navigating away - keep the loading state
+      if (result.redirecting) return;
+
+      if (!result.success) {
+        this.showError(result.error || 'Sign-in with your organization failed.');
+      }
+    } catch (error) {
+      this.showError('An unexpected error occurred. Please try again.');
+    }
+
+    this.setLoading(false, this.ssoButton);
+  }
+
+  /**
+   * Switch between the sign-in form and the guest details form
+   */
+  showGuestForm(show) {
+    const container = this.options.container;
+    const title = container.querySelector('.login-title h1');
+    const subtitle = container.querySelector('.login-title p');
+    const sso = container.querySelector('.login-sso');
+
+    this.formElement.classList.toggle('is-hidden', show);
+    container.querySelector('#guestSection').classList.toggle('is-hidden', show);
+    sso?.classList.toggle('is-hidden', show);
+    this.guestForm.classList.toggle('is-hidden', !show);
+
+    title.textContent = show ? 'Send feedback as a guest' : 'Welcome back';
+    subtitle.textContent = show
+      ? 'Tell us who you are so we can follow up on your report'
+      : 'Please sign in to submit feedback to the ticket portal';
+
+    this.clearError();
+    const firstInput = show ? container.querySelector('#guestName') : this.emailInput;
+    firstInput?.focus();
+  }
+
+  /**
+   * Handle the guest details form
+   */
+  async handleGuestSubmit() {
+    const name = this.guestForm.querySelector('#guestName').value.trim();
+    const email = this.guestForm.querySelector('#guestEmail').value.trim();
+
+    if (!validateRequired(name) || !validateRequired(email)) {
+      this.showError('Please enter your name and email address');
+      return;
+    }
+
+    if (!validateEmail(email)) {
+      this.showError('Please enter a valid email address');
+      return;
+    }
+
+    this.clearError();
+
+    if (this.options.onGuestContinue) {
+      await this.options.onGuestContinue({ name, email });
+    }
+  }
+
   /**
    * Toggle password visibility
    */
@@ -252,11 +424,11 @@ export default class LoginForm {
   /**
    * Set loading state
    */
-  setLoading(loading) {
+  setLoading(loading, activeButton = this.submitButton) {
     this.isLoading = loading;
     
-    const btnContent = this.submitButton.querySelector('.btn-content');
-    const btnLoading = this.submitButton.querySelector('.btn-loading');
+    const btnContent = activeButton.querySelector('.btn-content');
+    const btnLoading = activeButton.querySelector('.btn-loading');
     
     if (loading) {
       btnContent.style.display = 'none';
@@ -273,6 +445,11 @@ export default class LoginForm {
       this.emailInput.disabled = false;
       this.passwordInput.disabled = false;
     }
+
+    if (this.ssoButton) {
+      this.ssoButton.disabled = loading;
+      this.ssoButton.classList.toggle('is-loading', loading && activeButton === this.ssoButton);
+    }
   }
 
   /**
@@ -339,6 +516,8 @@ export default class LoginForm {
     this.passwordInput = null;
     this.submitButton = null;
     this.cancelButton = null;
+    this.ssoButton = null;
+    this.guestForm = null;
     this.errorElement = null;
   }
 }
\ No newline at end of file
@@ -8,6 +8,8 @@ export default class AnnotationEngine {
     this.options = {
       canvas: null,
       onAnnotationComplete: null,
+      onAnnotationUpdate: null,
+      getAnnotations: () => [],
       ...options
     };
 
@@ -25,6 +27,21 @@ export default class AnnotationEngine {
     this.currentPath = null;
     this.tempImageData = null;
 
+    // Text tool state
+    this.textOptions = {
+      fontSize: 18,
+      background: true
+    };
+    this.textEditor = null;
+    this.lastTextEvent = null;
+
+    // Redaction tool: 'fill' (solid black) or 'pixelate'
+    this.redactionMode = 'fill';
+
+    // Step markers and highlighter
+    this.markerRadius = 14;
+    this.highlightOpacity = 0.35;
+
     // Performance optimization
     this.drawFrame = null;
     this.lastDrawEvent = null;
@@ -63,6 +80,24 @@ export default class AnnotationEngine {
    * Handle mouse down - check if it's for drawing (not panning)
    */
   handleMouseDown(e) {
+    // Selection is handled by SelectionController
+    if (this.currentTool === 'select') return;
+
+    if ((this.currentTool === 'text' || this.currentTool === 'marker') && e.button === 0 && !e.ctrlKey) {
+      // Keep focus in the text editor instead of moving it to the canvas.
+      // The orchestrator forwards mousedown as well, so only place text once per event.
+      e.preventDefault();
+      if (e !== this.lastTextEvent) {
+        this.lastTextEvent = e;
+        if (this.currentTool === 'marker') {
+          this.placeMarker(e);
+        } else {
+          this.placeText(e);
+        }
+      }
+      return;
+    }
+
     if (e.button === 0 && !e.ctrlKey) {
       // Left mouse button for drawing (not pan mode)
       this.startDrawing(e);
@@ -200,7 +235,7 @@ export default class AnnotationEngine {
       this.lastX = currentX;
       this.lastY = currentY;
     } else {
-      // For shapes (rectangle/arrow): use preview mode with temporary overlay
+      // For shapes (rectangle/arrow/highlight): use preview mode with temporary overlay
       // Restore canvas to state before preview, then draw new preview
       this.ctx.putImageData(this.tempImageData, 0, 0);
       
@@ -218,6 +253,10 @@ export default class AnnotationEngine {
         );
       } else if (this.currentTool === 'arrow') {
         this.drawArrow(this.startX, this.startY, currentX, currentY);
+      } else if (this.currentTool === 'redact') {
+        this.drawRedactionPreview(this.startX, this.startY, currentX, currentY);
+      } else if (this.currentTool === 'highlight') {
+        this.drawHighlight(this.currentColor, this.startX, this.startY, currentX, currentY);
       }
     }
   }
@@ -254,6 +293,18 @@ export default class AnnotationEngine {
         timestamp: Date.now()
       };
       
+      if (this.currentTool === 'redact') {
+        // CanvasManager burns the redaction into the base image on the next redraw
+        this.ctx.putImageData(this.tempImageData, 0, 0);
+        annotation.mode = this.redactionMode;
+      }
+
+      if ((this.currentTool === 'redact' || this.currentTool === 'highlight') &&
+          (Math.abs(coords.x - this.startX) < 4 || Math.abs(coords.y - this.startY) < 4)) {
+        this.ctx.putImageData(this.tempImageData, 0, 0);
+        annotation = null; // Ignore clicks without a drag
+      }
+      
       // Make sure the final shape is properly drawn (in case of very quick clicks)
       this.ctx.strokeStyle = this.currentColor;
       this.ctx.lineWidth = 3;
@@ -269,6 +320,9 @@ export default class AnnotationEngine {
         );
       } else if (this.currentTool === 'arrow') {
         this.drawArrow(this.startX, this.startY, coords.x, coords.y);
+      } else if (this.currentTool === 'highlight' && annotation) {
+        this.ctx.putImageData(this.tempImageData, 0, 0);
+        this.drawHighlight(this.currentColor, this.startX, this.startY, coords.x, coords.y);
       }
     }
     
@@ -277,7 +331,7 @@ export default class AnnotationEngine {
     this.tempImageData = null;
     
     // Trigger callback
-    if (this.options.onAnnotationComplete) {
+    if (annotation && this.options.onAnnotationComplete) {
       this.options.onAnnotationComplete(annotation);
     }
   }
@@ -300,6 +354,12 @@ export default class AnnotationEngine {
       );
     } else if (annotation.type === 'arrow') {
       this.drawArrow(annotation.startX, annotation.startY, annotation.endX, annotation.endY);
+    } else if (annotation.type === 'text') {
+      this.drawText(annotation);
+    } else if (annotation.type === 'highlight') {
+      this.drawHighlight(annotation.color, annotation.startX, annotation.startY, annotation.endX, annotation.endY);
+    } else if (annotation.type === 'marker') {
+      this.drawMarker(annotation);
     } else if (annotation.type === 'pen') {
       if (annotation.path && annotation.path.length > 0) {
         // Draw path-based pen annotation (new format)
@@ -320,6 +380,147 @@ export default class AnnotationEngine {
     }
   }
 
+  /**
+   * Outline the area being redacted while dragging
+   */
+  drawRedactionPreview(startX, startY, endX, endY) {
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    this.ctx.fillRect(startX, startY, endX - startX, endY - startY);
+    this.ctx.strokeStyle = '#000000';
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([6, 4]);
+    this.ctx.strokeRect(startX, startY, endX - startX, endY - startY);
+    this.ctx.restore();
+  }
+
+  /**
+   * Translucent fill, like a highlighter pen over the page
+   */
+  drawHighlight(color, startX, startY, endX, endY) {
+    this.ctx.save();
+    this.ctx.globalAlpha = this.highlightOpacity;
+    this.ctx.fillStyle = color;
+    this.ctx.fillRect(startX, startY, endX - startX, endY - startY);
+    this.ctx.restore();
+  }
+
+  /**
+   * Radius of a step marker badge in canvas pixels
+   */
+  getMarkerRadius(annotation) {
+    return annotation.radius || this.markerRadius;
+  }
+
+  /**
+   * Draw a numbered step marker: a filled circle with a white border and number
+   */
+  drawMarker(annotation) {
+    const radius = this.getMarkerRadius(annotation);
+
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.arc(annotation.x, annotation.y, radius, 0, Math.PI * 2);
+    this.ctx.fillStyle = annotation.color;
+    this.ctx.fill();
+    this.ctx.lineWidth = Math.max(2, radius / 6);
+    this.ctx.strokeStyle = '#ffffff';
+    this.ctx.stroke();
+
+    const label = String(annotation.number);
+    const fontSize = Math.round(radius * (label.length > 1 ? 1 : 1.2));
+    this.ctx.font = this.getTextFont(fontSize, 700);
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText(label, annotation.x, annotation.y + 1);
+    this.ctx.restore();
+  }
+
+  /**
+   * Number for the next step marker
+   */
+  getNextMarkerNumber() {
+    const numbers = this.options.getAnnotations()
+      .filter(annotation => annotation.type === 'marker')
+      .map(annotation => annotation.number);
+    return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+  }
+
+  /**
+   * Topmost step marker under a canvas point
+   */
+  findMarkerAt(x, y) {
+    const markers = this.options.getAnnotations().filter(annotation => annotation.type === 'marker');
+    for (let i = markers.length - 1; i >= 0; i--) {
+      const marker = markers[i];
+      if (Math.hypot(x - marker.x, y - marker.y) <= this.getMarkerRadius(marker)) {
+        return marker;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Drop a step marker at the clicked position and ask for its step description.
+   * Clicking an existing marker edits its description instead.
+   */
+  placeMarker(e) {
+    this.commitText();
+
+    const coords = this.getCanvasCoordinates(e);
+    const existing = this.findMarkerAt(coords.x, coords.y);
+    const marker = existing || {
+      type: 'marker',
+      color: this.currentColor,
+      x: coords.x,
+      y: coords.y,
+      number: this.getNextMarkerNumber(),
+      radius: this.markerRadius,
+      note: ''
+    };
+    const radius = this.getMarkerRadius(marker);
+
+    // Show the badge while the description is typed
+    let snapshot = null;
+    if (!existing) {
+      snapshot = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+      this.drawMarker(marker);
+    }
+
+    this.openTextEditor({
+      x: marker.x + radius + 6,
+      y: marker.y - 10,
+      fontSize: 14,
+      value: marker.note || '',
+      placeholder: `Step ${marker.number}: what happens here?`,
+      textColor: '#111827',
+      background: 'rgba(255, 255, 255, 0.95)',
+      onCommit: (value) => {
+        const note = value.replace(/\s+/g, ' ').trim();
+
+        if (existing) {
+          if (note !== (existing.note || '') && this.options.onAnnotationUpdate) {
+            this.options.onAnnotationUpdate(existing.id, { note });
+          }
+          return;
+        }
+
+        this.ctx.putImageData(snapshot, 0, 0);
+        this.drawMarker(marker);
+
+        if (this.options.onAnnotationComplete) {
+          this.options.onAnnotationComplete({ ...marker, note, timestamp: Date.now() });
+        }
+      },
+      onCancel: () => {
+        if (snapshot) {
+          this.ctx.putImageData(snapshot, 0, 0);
+        }
+      }
+    });
+  }
+
   /**
    * Draw an arrow from start to end point
    */
@@ -348,13 +549,239 @@ export default class AnnotationEngine {
     this.ctx.stroke();
   }
 
+  /**
+   * Font for a text annotation at the given size (in canvas pixels)
+   */
+  getTextFont(fontSize, weight = 600) {
+    return `${weight} ${fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  }
+
+  /**
+   * Layout of a text annotation in canvas coordinates: lines, padding and bounding box
+   */
+  measureText(annotation) {
+    const lines = annotation.text.split('\n');
+    const lineHeight = Math.round(annotation.fontSize * 1.25);
+    const padding = annotation.background ? Math.round(annotation.fontSize * 0.4) : 0;
+
+    this.ctx.save();
+    this.ctx.font = this.getTextFont(annotation.fontSize);
+    const textWidth = Math.max(...lines.map(line => this.ctx.measureText(line).width));
+    this.ctx.restore();
+
+    return {
+      lines,
+      lineHeight,
+      padding,
+      x: annotation.x,
+      y: annotation.y,
+      width: textWidth + padding * 2,
+      height: lines.length * lineHeight + padding * 2
+    };
+  }
+
+  /**
+   * Draw a text annotation, optionally as a callout bubble with a tail
+   */
+  drawText(annotation) {
+    const layout = this.measureText(annotation);
+
+    this.ctx.save();
+    this.ctx.font = this.getTextFont(annotation.fontSize);
+    this.ctx.textBaseline = 'top';
+
+    if (annotation.background) {
+      const radius = Math.min(8, layout.height / 2);
+      const tail = Math.round(annotation.fontSize * 0.5);
+      const { x, y, width, height } = layout;
+
+      this.ctx.fillStyle = annotation.color;
+      this.ctx.beginPath();
+      this.ctx.moveTo(x + radius, y);
+      this.ctx.arcTo(x + width, y, x + width, y + height, radius);
+      this.ctx.arcTo(x + width, y + height, x, y + height, radius);
+      this.ctx.lineTo(x + radius + tail * 2, y + height);
+      this.ctx.lineTo(x + radius, y + height + tail);
+      this.ctx.lineTo(x + radius, y + height);
+      this.ctx.arcTo(x, y + height, x, y, radius);
+      this.ctx.arcTo(x, y, x + width, y, radius);
+      this.ctx.closePath();
+      this.ctx.fill();
+
+      this.ctx.fillStyle = '#ffffff';
+    } else {
+      // Outline keeps bare text readable on any background
+      this.ctx.strokeStyle = '#ffffff';
+      this.ctx.lineWidth = Math.max(2, annotation.fontSize / 6);
+      this.ctx.lineJoin = 'round';
+      layout.lines.forEach((line, index) => {
+        this.ctx.strokeText(line, layout.x, layout.y + index * layout.lineHeight);
+      });
+
+      this.ctx.fillStyle = annotation.color;
+    }
+
+    layout.lines.forEach((line, index) => {
+      this.ctx.fillText(
+        line,
+        layout.x + layout.padding,
+        layout.y + layout.padding + index * layout.lineHeight
+      );
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Open the inline text editor at the clicked position
+   */
+  placeText(e) {
+    const coords = this.getCanvasCoordinates(e);
+    const { fontSize, background } = this.textOptions;
+    const color = this.currentColor;
+
+    this.openTextEditor({
+      x: coords.x,
+      y: coords.y,
+      fontSize,
+      placeholder: 'Type here…',
+      textColor: background ? '#ffffff' : color,
+      background: background ? color : 'rgba(255, 255, 255, 0.85)',
+      onCommit: (value) => {
+        const text = value.replace(/\s+$/, '');
+        if (!text.trim()) return;
+
+        const annotation = {
+          type: 'text',
+          color,
+          x: coords.x,
+          y: coords.y,
+          text,
+          fontSize,
+          background,
+          timestamp: Date.now()
+        };
+
+        this.drawText(annotation);
+
+        if (this.options.onAnnotationComplete) {
+          this.options.onAnnotationComplete(annotation);
+        }
+      }
+    });
+  }
+
+  /**
+   * Show a textarea over the canvas at (x, y). Enter or blur commits, Shift+Enter
+   * adds a line and Escape cancels; onCommit receives the raw value.
+   */
+  openTextEditor({ x, y, fontSize, value = '', placeholder, textColor, background, onCommit, onCancel = null }) {
+    // Clicking elsewhere while editing finishes the current text first
+    this.commitText();
+
+    const editor = document.createElement('textarea');
+    editor.className = 'annotation-text-editor';
+    editor.rows = 1;
+    editor.value = value;
+    editor.placeholder = placeholder;
+    editor.style.color = textColor;
+    editor.style.background = background;
+
+    editor.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        this.commitText();
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        this.cancelText();
+      }
+    });
+    editor.addEventListener('input', () => this.positionTextEditor());
+    editor.addEventListener('blur', () => this.commitText());
+
+    this.textEditor = { element: editor, x, y, fontSize, onCommit, onCancel };
+
+    (this.canvas.parentElement || document.body).appendChild(editor);
+    this.positionTextEditor();
+    editor.focus();
+  }
+
+  /**
+   * Keep the editor over its anchor point as the canvas is scaled, zoomed or panned
+   */
+  positionTextEditor() {
+    if (!this.textEditor || !this.canvas) return;
+
+    const { element, x, y, fontSize } = this.textEditor;
+    const parent = element.parentElement;
+    const rect = this.canvas.getBoundingClientRect();
+    const parentRect = parent.getBoundingClientRect();
+    const scale = rect.width / this.canvas.width;
+
+    element.style.left = `${rect.left - parentRect.left + parent.scrollLeft + x * scale}px`;
+    element.style.top = `${rect.top - parentRect.top + parent.scrollTop + y * scale}px`;
+    element.style.fontSize = `${fontSize * scale}px`;
+
+    // Grow with the content
+    element.style.height = 'auto';
+    element.style.width = 'auto';
+    element.style.height = `${element.scrollHeight}px`;
+    element.style.width = `${Math.max(element.scrollWidth, 80 * scale)}px`;
+  }
+
+  /**
+   * Finish editing and hand the editor's content to its owner
+   */
+  commitText() {
+    if (!this.textEditor) return;
+
+    const { element, onCommit } = this.textEditor;
+    this.textEditor = null;
+    element.remove();
+
+    onCommit(element.value);
+  }
+
+  /**
+   * Discard the text being edited
+   */
+  cancelText() {
+    if (!this.textEditor) return;
+
+    const { element, onCancel } = this.textEditor;
+    this.textEditor = null;
+    element.remove();
+
+    if (onCancel) {
+      onCancel();
+    }
+  }
+
   /**
    * Set the current drawing tool
    */
   setTool(tool) {
+    if (tool !== 'text' && tool !== 'marker') {
+      this.commitText();
+    }
     this.currentTool = tool;
   }
 
+  /**
+   * Set how new redactions hide their area
+   */
+  setRedactionMode(mode) {
+    this.redactionMode = mode;
+  }
+
+  /**
+   * Set font size and background bubble for new text annotations
+   */
+  setTextOptions(options) {
+    this.textOptions = { ...this.textOptions, ...options };
+  }
+
   /**
    * Set the current drawing color
    */
@@ -377,6 +804,8 @@ export default class AnnotationEngine {
     
     // Reset debug logging when coordinate system updates
     this.coordsDebugLogged = false;
+
+    this.positionTextEditor();
   }
 
   /**
@@ -434,6 +863,7 @@ export default class AnnotationEngine {
 
     // Cancel current drawing
     this.cancelDrawing();
+    this.cancelText();
 
     // Clear references
     this.canvas = null;
@@ -18,9 +18,15 @@ export default class AnnotationStorage {
   }
 
   /**
-   * Add a new annotation
+   * Add a new annotation. Returns { success, annotation } or, when the
+   * annotation is invalid and was not stored, { success: false, error }.
    */
   addAnnotation(annotation) {
+    const validation = this.validateAnnotation(annotation);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
     // Add timestamp if not present
     if (!annotation.timestamp) {
       annotation.timestamp = Date.now();
@@ -41,7 +47,7 @@ export default class AnnotationStorage {
     // Trigger change callback
     this.triggerChange();
 
-    return annotation;
+    return { success: true, annotation };
   }
 
   /**
@@ -54,7 +60,16 @@ export default class AnnotationStorage {
       this.saveStateToUndoStack();
 
       // Remove annotation
-      this.annotations.splice(index, 1);
+      const [removed] = this.annotations.splice(index, 1);
+
+      // Close the gap in the step numbering
+      if (removed.type === 'marker') {
+        this.annotations = this.annotations.map(annotation => (
+          annotation.type === 'marker' && annotation.number > removed.number
+            ? { ...annotation, number: annotation.number - 1 }
+            : annotation
+        ));
+      }
 
       // Clear redo stack
       this.redoStack = [];
@@ -112,6 +127,15 @@ export default class AnnotationStorage {
     return this.annotations.filter(ann => ann.type === type);
   }
 
+  /**
+   * Step markers in order, with the description linked to each
+   */
+  getSteps() {
+    return this.getAnnotationsByType('marker')
+      .sort((a, b) => a.number - b.number)
+      .map(marker => ({ number: marker.number, note: marker.note || '', x: marker.x, y: marker.y }));
+  }
+
   /**
    * Get annotations by color
    */
@@ -236,19 +260,29 @@ export default class AnnotationStorage {
   exportToJSON() {
     return JSON.stringify({
       annotations: this.annotations,
+      steps: this.getSteps(),
       exportedAt: Date.now(),
-      version: '1.0'
+      version: '1.1'
     }, null, 2);
   }
 
   /**
-   * Import annotations from JSON
+   * Import annotations from JSON. Returns { success, error }; nothing is
+   * imported when any annotation is invalid.
    */
   importFromJSON(jsonString) {
     try {
       const data = JSON.parse(jsonString);
       
       if (data.annotations && Array.isArray(data.annotations)) {
+        // Import all or nothing, so a bad entry doesn't silently drop a drawing
+        for (const [index, annotation] of data.annotations.entries()) {
+          const validation = this.validateAnnotation(annotation);
+          if (!validation.valid) {
+            return { success: false, error: `Annotation ${index + 1}: ${validation.error}` };
+          }
+        }
+
         // Save current state to undo stack
         this.saveStateToUndoStack();
 
@@ -265,11 +299,12 @@ export default class AnnotationStorage {
         // Trigger change callback
         this.triggerChange();
 
-        return true;
+        return { success: true };
       }
     } catch (error) {
+      return { success: false, error: `Invalid annotation JSON: ${error.message}` };
     }
-    return false;
+    return { success: false, error: 'No annotations found' };
   }
 
   /**
@@ -336,7 +371,7 @@ export default class AnnotationStorage {
    */
   validateAnnotation(annotation) {
     const requiredFields = ['type', 'color'];
-    const validTypes = ['pen', 'rectangle', 'arrow'];
+    const validTypes = ['pen', 'rectangle', 'arrow', 'text', 'redact', 'marker', 'highlight'];
 
     // Check required fields
     for (const field of requiredFields) {
@@ -355,8 +390,32 @@ export default class AnnotationStorage {
       if (!annotation.path || !Array.isArray(annotation.path) || annotation.path.length === 0) {
         return { valid: false, error: 'Pen annotation requires a valid path array' };
       }
+    } else if (annotation.type === 'text') {
+      if (typeof annotation.text !== 'string' || annotation.text.trim() === '') {
+        return { valid: false, error: 'Text annotation requires non-empty text' };
+      }
+      if (typeof annotation.x !== 'number' || typeof annotation.y !== 'number') {
+        return { valid: false, error: 'Missing or invalid coordinate: x, y' };
+      }
+      if (typeof annotation.fontSize !== 'number' || annotation.fontSize <= 0) {
+        return { valid: false, error: 'Text annotation requires a positive fontSize' };
+      }
+    } else if (annotation.type === 'marker') {
+      if (typeof annotation.x !== 'number' || typeof annotation.y !== 'number') {
+        return { valid: false, error: 'Missing or invalid coordinate: x, y' };
+      }
+      if (!Number.isInteger(annotation.number) || annotation.number < 1) {
+        return { valid: false, error: 'Step marker requires a positive step number' };
+      }
+      if (annotation.note !== undefined && typeof annotation.note !== 'string') {
+        return { valid: false, error: 'Step marker note must be a string' };
+      }
     } else {
-      // Rectangle and arrow require start/end coordinates
+      if (annotation.type === 'redact' && !['fill', 'pixelate'].includes(annotation.mode)) {
+        return { valid: false, error: `Invalid redaction mode: ${annotation.mode}` };
+      }
+
+      // Rectangle, arrow, redaction and highlight require start/end coordinates
       const requiredCoords = ['startX', 'startY', 'endX', 'endY'];
       for (const coord of requiredCoords) {
         if (typeof annotation[coord] !== 'number') {
@@ -24,6 +24,12 @@ export default class CanvasManager {
     this.originalCanvasWidth = 0;
     this.originalCanvasHeight = 0;
     this.resizeTimeout = null;
+    this.fitToWidth = false; // Full-page screenshots fill the width and scroll
+
+    // Base image with redactions burned in; nothing unredacted leaves this class
+    this.redactedImageData = null;
+    this.redactedScreenshot = null;
+    this.redactionKey = '';
 
     this.setupResizeHandler();
   }
@@ -105,6 +111,9 @@ export default class CanvasManager {
 
         const imageDataStart = Date.now();
         this.originalImageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        this.redactedImageData = null;
+        this.redactedScreenshot = null;
+        this.redactionKey = '';
 
         
         // Mark canvas as ready
@@ -194,7 +203,9 @@ export default class CanvasManager {
       // Calculate scale to fit (maintain aspect ratio)
       const scaleX = availableWidth / this.originalCanvasWidth;
       const scaleY = availableHeight / this.originalCanvasHeight;
-      const scale = Math.min(scaleX, scaleY, 1); // Don't scale up, only down
+      const scale = this.fitToWidth
+        ? Math.min(scaleX, 1)
+        : Math.min(scaleX, scaleY, 1); // Don't scale up, only down
       
       // Set display size
       const displayWidth = this.originalCanvasWidth * scale;
@@ -236,17 +247,106 @@ export default class CanvasManager {
   redrawCanvas(annotations = [], drawAnnotationCallback = null) {
     if (!this.originalImageData) return;
     
-    // Clear canvas and restore original image
-    this.ctx.putImageData(this.originalImageData, 0, 0);
+    // Clear canvas and restore the base image, with redactions applied to its pixels
+    this.updateRedactions(annotations.filter(annotation => annotation.type === 'redact'));
+    this.ctx.putImageData(this.redactedImageData || this.originalImageData, 0, 0);
     
-    // Redraw all annotations using the provided callback
+    // Redraw all other annotations on top using the provided callback
     if (annotations.length > 0 && drawAnnotationCallback) {
       annotations.forEach(annotation => {
-        drawAnnotationCallback(annotation);
+        if (annotation.type !== 'redact') {
+          drawAnnotationCallback(annotation);
+        }
       });
     }
   }
 
+  /**
+   * Rebuild the redacted base image when the set of redactions changes.
+   * Redactions stay editable (undo, clear) while the modal is open, but
+   * every exported image is built from the redacted pixels.
+   */
+  updateRedactions(redactions) {
+    const key = JSON.stringify(redactions.map(({ mode, startX, startY, endX, endY }) => [mode, startX, startY, endX, endY]));
+    if (key === this.redactionKey) return;
+
+    this.redactionKey = key;
+    this.redactedScreenshot = null;
+
+    if (redactions.length === 0) {
+      this.redactedImageData = null;
+      return;
+    }
+
+    const imageData = new ImageData(
+      new Uint8ClampedArray(this.originalImageData.data),
+      this.originalImageData.width,
+      this.originalImageData.height
+    );
+    redactions.forEach(redaction => this.redactImageData(imageData, redaction));
+    this.redactedImageData = imageData;
+  }
+
+  /**
+   * Overwrite a region of the image data with a solid fill or coarse pixelation
+   */
+  redactImageData(imageData, redaction) {
+    const { data, width, height } = imageData;
+    const x0 = Math.max(0, Math.floor(Math.min(redaction.startX, redaction.endX)));
+    const y0 = Math.max(0, Math.floor(Math.min(redaction.startY, redaction.endY)));
+    const x1 = Math.min(width, Math.ceil(Math.max(redaction.startX, redaction.endX)));
+    const y1 = Math.min(height, Math.ceil(Math.max(redaction.startY, redaction.endY)));
+
+    if (x1 <= x0 || y1 <= y0) return;
+
+    const fillBlock = (bx, by, bw, bh, rgb) => {
+      for (let y = by; y < by + bh; y++) {
+        for (let x = bx; x < bx + bw; x++) {
+          const i = (y * width + x) * 4;
+          data[i] = rgb[0];
+          data[i + 1] = rgb[1];
+          data[i + 2] = rgb[2];
+          data[i + 3] = 255;
+        }
+      }
+    };
+
+    if (redaction.mode !== 'pixelate') {
+      fillBlock(x0, y0, x1 - x0, y1 - y0, [0, 0, 0]);
+      return;
+    }
+
+    // Blocks large enough that text inside them cannot be reconstructed
+    const blockSize = Math.max(16, Math.ceil(Math.min(x1 - x0, y1 - y0) / 4));
+
+    for (let by = y0; by < y1; by += blockSize) {
+      for (let bx = x0; bx < x1; bx += blockSize) {
+        const bw = Math.min(blockSize, x1 - bx);
+        const bh = Math.min(blockSize, y1 - by);
+        const sum = [0, 0, 0];
+
+        for (let y = by; y < by + bh; y++) {
+          for (let x = bx; x < bx + bw; x++) {
+            const i = (y * width + x) * 4;
+            sum[0] += data[i];
+            sum[1] += data[i + 1];
+            sum[2] += data[i + 2];
+          }
+        }
+
+        const count = bw * bh;
+        fillBlock(bx, by, bw, bh, sum.map(value => Math.round(value / count)));
+      }
+    }
+  }
+
+  /**
+   * Whether any region of the screenshot has been redacted
+   */
+  isRedacted() {
+    return !!this.redactedImageData;
+  }
+
   /**
    * Get the current screenshot data with annotations
    */
@@ -295,14 +395,26 @@ export default class CanvasManager {
    * Get original screenshot data URL
    */
   getOriginalScreenshot() {
-    return this.originalScreenshot;
+    if (!this.redactedImageData) {
+      return this.originalScreenshot;
+    }
+
+    // The unannotated screenshot, still with redactions applied
+    if (!this.redactedScreenshot) {
+      const canvas = document.createElement('canvas');
+      canvas.width = this.redactedImageData.width;
+      canvas.height = this.redactedImageData.height;
+      canvas.getContext('2d').putImageData(this.redactedImageData, 0, 0);
+      this.redactedScreenshot = canvas.toDataURL('image/png');
+    }
+    return this.redactedScreenshot;
   }
 
   /**
    * Get original image data
    */
   getOriginalImageData() {
-    return this.originalImageData;
+    return this.redactedImageData || this.originalImageData;
   }
 
   /**
@@ -311,6 +423,9 @@ export default class CanvasManager {
   reset() {
     this.originalScreenshot = '';
     this.originalImageData = null;
+    this.redactedImageData = null;
+    this.redactedScreenshot = null;
+    this.redactionKey = '';
     this.canvasReady = false;
     this.displayScale = 1;
     this.originalCanvasWidth = 0;
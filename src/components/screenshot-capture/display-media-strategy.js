@@ -0,0 +1,156 @@
+/**
+ * Display Media Capture Strategy ("pixel-perfect")
+ * Grabs a single frame of the current tab with getDisplayMedia, so the screenshot
+ * shows exactly what the browser painted. Needs the reporter's permission and a
+ * recent user gesture, and scrolls the page to capture more than the viewport.
+ */
+
+// Time for the browser's "sharing this tab" indicator to settle before grabbing
+const SETTLE_DELAY = 300;
+
+// Time for the page to repaint after scrolling, when stitching a tall area
+const SCROLL_DELAY = 150;
+
+export default class DisplayMediaStrategy {
+  constructor() {
+    this.name = 'pixel-perfect';
+    this.stream = null;
+  }
+
+  static isSupported() {
+    return !!navigator.mediaDevices?.getDisplayMedia;
+  }
+
+  /**
+   * Ask for the current tab. Call this first, while the user gesture that
+   * opened the widget still counts.
+   */
+  async prepare() {
+    if (this.stream) return;
+
+    if (!DisplayMediaStrategy.isSupported()) {
+      throw new Error('Screen capture is not supported in this browser');
+    }
+
+    this.stream = await navigator.mediaDevices.getDisplayMedia({
+      video: { displaySurface: 'browser' },
+      audio: false,
+      preferCurrentTab: true,
+      selfBrowserSurface: 'include',
+      surfaceSwitching: 'exclude'
+    });
+
+    // A window or whole screen can't be lined up with the page
+    const track = this.stream.getVideoTracks()[0];
+    const surface = track?.getSettings().displaySurface;
+    if (!track || (surface && surface !== 'browser')) {
+      this.release();
+      throw new Error('Please share this browser tab to take the screenshot');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, SETTLE_DELAY));
+  }
+
+  /**
+   * Grab frames and crop them to an area in document coordinates
+   * ({ scrollX, scrollY, width, height, scale }). Areas taller than the viewport are
+   * captured by scrolling the page and stitching the frames; sticky headers then
+   * show up once per frame. The result is in CSS pixels (times area.scale), like
+   * the html2canvas strategy, so annotations and crops line up.
+   */
+  async capture(area) {
+    await this.prepare();
+
+    const scale = area.scale || 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(area.width * scale);
+    canvas.height = Math.round(area.height * scale);
+    const ctx = canvas.getContext('2d');
+
+    const originalX = window.pageXOffset || document.documentElement.scrollLeft;
+    const originalY = window.pageYOffset || document.documentElement.scrollTop;
+    const areaBottom = area.scrollY + area.height;
+    let y = area.scrollY;
+
+    try {
+      while (y < areaBottom) {
+        let viewportY = window.pageYOffset || document.documentElement.scrollTop;
+        if (y < viewportY || areaBottom > viewportY + window.innerHeight) {
+          window.scrollTo(originalX, y);
+          await new Promise(resolve => setTimeout(resolve, SCROLL_DELAY));
+          viewportY = window.pageYOffset || document.documentElement.scrollTop;
+        }
+
+        const frame = await this.grabFrame(this.stream.getVideoTracks()[0]);
+        const sliceHeight = Math.min(areaBottom, viewportY + window.innerHeight) - y;
+        if (sliceHeight <= 0) {
+          frame.close?.();
+          break; // The page can't scroll any further
+        }
+
+        // The frame is the visible viewport, usually at device pixel ratio
+        const frameScale = frame.width / window.innerWidth;
+        const viewportX = window.pageXOffset || document.documentElement.scrollLeft;
+        ctx.drawImage(
+          frame,
+          (area.scrollX - viewportX) * frameScale, (y - viewportY) * frameScale,
+          area.width * frameScale, sliceHeight * frameScale, // Source rectangle
+          0, Math.round((y - area.scrollY) * scale),
+          canvas.width, Math.round(sliceHeight * scale) // Destination rectangle
+        );
+
+        frame.close?.();
+        y += sliceHeight;
+      }
+
+      return canvas;
+    } finally {
+      if ((window.pageYOffset || document.documentElement.scrollTop) !== originalY) {
+        window.scrollTo(originalX, originalY);
+      }
+      this.release();
+    }
+  }
+
+  /**
+   * One frame of the track: ImageCapture where available, otherwise a video element
+   */
+  async grabFrame(track) {
+    if (typeof ImageCapture !== 'undefined') {
+      try {
+        return await new ImageCapture(track).grabFrame();
+      } catch (error) {
+        // Fall through to the video element
+      }
+    }
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = this.stream;
+
+    try {
+      await video.play();
+      if (video.readyState < 2) {
+        await new Promise(resolve => video.addEventListener('loadeddata', resolve, { once: true }));
+      }
+
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d').drawImage(video, 0, 0);
+      return canvas;
+    } finally {
+      video.pause();
+      video.srcObject = null;
+    }
+  }
+
+  /**
+   * Stop sharing the tab
+   */
+  release() {
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.stream = null;
+  }
+}
@@ -9,12 +9,19 @@ export default class DrawingTools {
       container: null,
       onToolChange: null,
       onColorChange: null,
+      onTextOptionsChange: null,
+      onRedactionModeChange: null,
       onAction: null,
       ...options
     };
 
     this.currentTool = 'pen';
     this.currentColor = '#ef4444';
+    this.textOptions = {
+      fontSize: 18,
+      background: true
+    };
+    this.redactionMode = 'fill';
   }
 
   /**
@@ -30,9 +37,40 @@ export default class DrawingTools {
       <div class="drawing-tools">
         <div class="tool-group">
           <span class="tool-label">Tools:</span>
+          <button class="tool-btn" data-tool="select" title="Select, move and resize annotations">🖱️ Select</button>
           <button class="tool-btn active" data-tool="pen">✏️ Pen</button>
           <button class="tool-btn" data-tool="rectangle">⬜ Rectangle</button>
           <button class="tool-btn" data-tool="arrow">↗️ Arrow</button>
+          <button class="tool-btn" data-tool="text" title="Click on the screenshot to add a note">🔤 Text</button>
+          <button class="tool-btn" data-tool="marker" title="Click to number the steps to reproduce. Click a marker to edit its step.">① Step</button>
+          <button class="tool-btn" data-tool="highlight" title="Drag to highlight an area">🖍️ Highlight</button>
+          <button class="tool-btn" data-tool="redact" title="Hide sensitive data. The area is removed from the submitted screenshot.">⬛ Redact</button>
+        </div>
+        
+        <div class="tool-group select-options" data-tool-options="select" style="display: none;">
+          <button class="tool-btn" data-action="delete" title="Delete the selected annotation (Delete)">✂️ Delete</button>
+        </div>
+        
+        <div class="tool-group redact-options" data-tool-options="redact" style="display: none;">
+          <span class="tool-label">Redact:</span>
+          <select class="redaction-mode-select" data-redaction-mode title="How the area is hidden">
+            <option value="fill" selected>Black out</option>
+            <option value="pixelate">Pixelate</option>
+          </select>
+        </div>
+        
+        <div class="tool-group text-options" data-tool-options="text" style="display: none;">
+          <span class="tool-label">Text:</span>
+          <select class="text-size-select" data-text-option="fontSize" title="Font size">
+            <option value="14">Small</option>
+            <option value="18" selected>Medium</option>
+            <option value="24">Large</option>
+            <option value="32">Extra large</option>
+          </select>
+          <label class="text-bubble-toggle" title="Draw the text on a callout bubble">
+            <input type="checkbox" data-text-option="background" checked>
+            Bubble
+          </label>
         </div>
         
         <div class="tool-group">
@@ -90,6 +128,23 @@ export default class DrawingTools {
       });
     });
 
+    // Text options
+    this.options.container.querySelectorAll('[data-text-option]').forEach(input => {
+      input.addEventListener('change', () => {
+        this.setTextOptions({
+          [input.dataset.textOption]: input.type === 'checkbox' ? input.checked : parseInt(input.value, 10)
+        });
+      });
+    });
+
+    // Redaction mode
+    const redactionSelect = this.options.container.querySelector('[data-redaction-mode]');
+    if (redactionSelect) {
+      redactionSelect.addEventListener('change', () => {
+        this.setRedactionMode(redactionSelect.value);
+      });
+    }
+
     // Action buttons
     this.options.container.querySelectorAll('[data-action]').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -100,6 +155,11 @@ export default class DrawingTools {
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+      // Leave the page's keys alone while the tools are hidden (modal closed or minimized)
+      if (!this.options.container.offsetParent) {
+        return;
+      }
+
       // Don't intercept keys when user is typing in form fields
       const activeElement = document.activeElement;
       const isInputField = activeElement && (
@@ -124,6 +184,8 @@ export default class DrawingTools {
       } else if (e.key === '0') {
         e.preventDefault();
         this.handleAction('zoom-reset');
+      } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        this.handleAction('delete');
       }
     });
   }
@@ -139,6 +201,11 @@ export default class DrawingTools {
       btn.classList.remove('active');
     });
     this.options.container.querySelector(`[data-tool="${tool}"]`).classList.add('active');
+
+    // Show the options that belong to the selected tool
+    this.options.container.querySelectorAll('[data-tool-options]').forEach(group => {
+      group.style.display = group.dataset.toolOptions === tool ? '' : 'none';
+    });
     
     // Notify parent component
     if (this.options.onToolChange) {
@@ -164,6 +231,30 @@ export default class DrawingTools {
     }
   }
 
+  /**
+   * Set how the redaction tool hides an area
+   */
+  setRedactionMode(mode) {
+    this.redactionMode = mode;
+
+    // Notify parent component
+    if (this.options.onRedactionModeChange) {
+      this.options.onRedactionModeChange(mode);
+    }
+  }
+
+  /**
+   * Set font size and background bubble for the text tool
+   */
+  setTextOptions(options) {
+    this.textOptions = { ...this.textOptions, ...options };
+
+    // Notify parent component
+    if (this.options.onTextOptionsChange) {
+      this.options.onTextOptionsChange(this.textOptions);
+    }
+  }
+
   /**
    * Handle action button clicks
    */
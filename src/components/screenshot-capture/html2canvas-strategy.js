@@ -0,0 +1,86 @@
+/**
+ * html2canvas Capture Strategy
+ * Renders the page from the DOM. Works everywhere without a permission prompt,
+ * but can't see cross-origin iframes, other canvases, video or shadow DOM.
+ */
+
+import html2canvas from 'html2canvas';
+
+// Height of one html2canvas render, in CSS pixels
+const TILE_HEIGHT = 4096;
+
+export default class Html2CanvasStrategy {
+  constructor() {
+    this.name = 'html2canvas';
+  }
+
+  static isSupported() {
+    return typeof html2canvas === 'function';
+  }
+
+  /**
+   * Nothing to set up before the UI is hidden
+   */
+  async prepare() {}
+
+  /**
+   * Render an area in document coordinates ({ scrollX, scrollY, width, height, scale }).
+   * Tall areas are rendered in tiles, so no intermediate canvas exceeds browser limits.
+   */
+  async capture(area) {
+    const scale = area.scale || 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(area.width * scale);
+    canvas.height = Math.round(area.height * scale);
+    const ctx = canvas.getContext('2d');
+
+    // Temporarily ensure body has the background styles applied
+    const originalBodyStyles = document.body.style.cssText;
+    const computedStyles = window.getComputedStyle(document.body);
+
+    // Ensure background is explicitly set on body for html2canvas
+    if (computedStyles.background || computedStyles.backgroundImage) {
+      document.body.style.background = computedStyles.background;
+      document.body.style.backgroundImage = computedStyles.backgroundImage;
+      document.body.style.backgroundSize = computedStyles.backgroundSize;
+      document.body.style.backgroundPosition = computedStyles.backgroundPosition;
+      document.body.style.backgroundRepeat = computedStyles.backgroundRepeat;
+      document.body.style.backgroundAttachment = computedStyles.backgroundAttachment;
+    }
+
+    try {
+      for (let offset = 0; offset < area.height; offset += TILE_HEIGHT) {
+        const tileHeight = Math.min(TILE_HEIGHT, area.height - offset);
+
+        // Render the tile - using document.body to maintain coordinate system
+        const tile = await html2canvas(document.body, {
+          useCORS: true,
+          scale,
+          allowTaint: true,
+          logging: false, // Disable html2canvas logging for cleaner output
+          backgroundColor: null, // Don't override with white
+          x: area.scrollX,
+          y: area.scrollY + offset,
+          width: area.width,
+          height: tileHeight
+        });
+
+        ctx.drawImage(
+          tile,
+          0, 0, tile.width, tile.height, // Source rectangle
+          0, Math.round(offset * scale), canvas.width, Math.round(tileHeight * scale) // Destination rectangle
+        );
+      }
+    } finally {
+      // Restore original body styles
+      document.body.style.cssText = originalBodyStyles;
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Nothing to release
+   */
+  release() {}
+}
@@ -9,12 +9,25 @@ import ScreenshotProcessor from './screenshot-processor.js';
 import AnnotationEngine from './annotation-engine.js';
 import CanvasManager from './canvas-manager.js';
 import AnnotationStorage from './annotation-storage.js';
+import SelectionController from './selection-controller.js';
+import ScreenshotStrip from './screenshot-strip.js';
+import { encodeImage } from '../../utils/image-encoder.js';
+import { dataUrlToBlob, blobToDataUrl } from '../../utils/helpers.js';
 
 export default class ScreenshotCapture {
   constructor(options = {}) {
     this.options = {
       container: null,
       onAnnotationChange: null,
+      onAnnotationError: null, // (error) => void, when a drawing could not be stored
+      masking: {}, // maskPii, maskSelectors, maskTextPatterns
+      screenshotMode: 'html2canvas', // or 'pixel-perfect'
+      screenshotArea: 'viewport', // 'full-page', or a scroll region { top, height }
+      encoding: {}, // format, quality, maxPixels, maxBytes - see utils/image-encoder.js
+      maxScreenshots: 5,
+      onAddScreenshot: null,
+      onPickElement: null,
+      onClearElement: null,
       ...options
     };
 
@@ -25,6 +38,15 @@ export default class ScreenshotCapture {
     this.annotationEngine = null;
     this.canvasManager = null;
     this.annotationStorage = null;
+    this.selectionController = null;
+    this.screenshotStrip = null;
+
+    // Screenshots in the report, each with its own annotation storage.
+    // this.annotationStorage always points at the active screenshot's storage.
+    this.screenshots = [];
+    this.activeScreenshotId = null;
+    this.canvasScreenshotId = null; // Screenshot whose image is currently on the canvas
+    this.canvasLoad = null;
 
     // State
     this.isInitialized = false;
@@ -55,6 +77,7 @@ export default class ScreenshotCapture {
       <div class="screenshot-container">
         <canvas id="screenshotCanvas"></canvas>
       </div>
+      <div class="screenshot-strip"></div>
     `;
   }
 
@@ -78,20 +101,35 @@ export default class ScreenshotCapture {
     this.annotationEngine = new AnnotationEngine({
       canvas: canvas,
       onAnnotationComplete: (annotation) => {
-        this.annotationStorage?.addAnnotation(annotation);
-      }
+        const result = this.annotationStorage?.addAnnotation(annotation);
+        if (result && !result.success) {
+          // The engine already drew it; take it off the canvas and say why
+          this.redrawAnnotations();
+          this.options.onAnnotationError?.(result.error);
+        }
+      },
+      onAnnotationUpdate: (annotationId, updates) => {
+        this.annotationStorage?.updateAnnotation(annotationId, updates);
+      },
+      getAnnotations: () => this.annotationStorage?.getAnnotations() || []
     });
 
-    // Initialize annotation storage (after annotation engine is ready)
-    this.annotationStorage = new AnnotationStorage({
-      onAnnotationChange: (annotations) => {
-        // Provide the annotation drawing callback to canvas manager
-        this.canvasManager?.redrawCanvas(annotations, (annotation) => {
-          this.annotationEngine?.drawAnnotation(annotation);
-        });
-        if (this.options.onAnnotationChange) {
-          this.options.onAnnotationChange(annotations);
-        }
+    // Annotation storage is created per screenshot in addScreenshot()
+    this.annotationStorage = null;
+
+    // Initialize selection of individual annotations
+    this.selectionController = new SelectionController({
+      canvas: canvas,
+      annotationEngine: this.annotationEngine,
+      getAnnotations: () => this.annotationStorage?.getAnnotations() || [],
+      onPreview: (draft) => {
+        this.redrawAnnotations(draft);
+      },
+      onUpdate: (annotationId, updates) => {
+        this.annotationStorage?.updateAnnotation(annotationId, updates);
+      },
+      onDelete: (annotationId) => {
+        this.annotationStorage?.removeAnnotation(annotationId);
       }
     });
 
@@ -109,28 +147,68 @@ export default class ScreenshotCapture {
     this.drawingTools = new DrawingTools({
       container: drawingToolsContainer,
       onToolChange: (tool) => {
+        if (tool !== 'select') {
+          this.selectionController.clearSelection();
+        }
         this.annotationEngine.setTool(tool);
       },
       onColorChange: (color) => {
         this.annotationEngine.setColor(color);
       },
+      onTextOptionsChange: (textOptions) => {
+        this.annotationEngine.setTextOptions(textOptions);
+      },
+      onRedactionModeChange: (mode) => {
+        this.annotationEngine.setRedactionMode(mode);
+      },
       onAction: (action) => {
         this.handleToolAction(action);
       }
     });
 
-    // Initialize screenshot processor
+    // Initialize screenshot processor; unset masking options keep the processor defaults
+    const masking = Object.fromEntries(
+      Object.entries(this.options.masking || {}).filter(([, value]) => value !== undefined)
+    );
     this.screenshotProcessor = new ScreenshotProcessor({
+      ...masking,
+      screenshotMode: this.options.screenshotMode,
+      screenshotArea: this.options.screenshotArea,
       onComplete: (canvas, dataUrl) => {
-        this.canvasManager.setupCanvas(canvas, dataUrl).then(() => {
-          // Canvas is ready, update coordinate system
-          this.updateAnnotationEngineCoordinates();
-        });
+        this.addScreenshot(canvas, dataUrl);
       }
     });
 
+    // Initialize the thumbnail strip
+    this.screenshotStrip = new ScreenshotStrip({
+      container: this.options.container.querySelector('.screenshot-strip'),
+      maxScreenshots: this.options.maxScreenshots,
+      onSelect: (screenshotId) => {
+        this.selectScreenshot(screenshotId);
+      },
+      onMove: (screenshotId, offset) => {
+        this.moveScreenshot(screenshotId, offset);
+      },
+      onDelete: (screenshotId) => {
+        const screenshot = this.getScreenshot(screenshotId);
+        if (screenshot?.annotationStorage.getCount() > 0 &&
+            !confirm('Delete this screenshot and its annotations?')) {
+          return;
+        }
+        this.removeScreenshot(screenshotId);
+      },
+      onAdd: () => {
+        if (this.options.onAddScreenshot) {
+          this.options.onAddScreenshot();
+        }
+      },
+      onPickElement: this.options.onPickElement,
+      onClearElement: this.options.onClearElement
+    });
+
     // Create the drawing tools UI
     this.drawingTools.createUI();
+    this.screenshotStrip.createUI();
 
     // Setup mouse event coordination between modules
     this.setupEventCoordination();
@@ -151,6 +229,9 @@ export default class ScreenshotCapture {
         // Middle mouse or Ctrl+Left click for panning
         this.zoomPanController.startPan(e.clientX, e.clientY);
         e.preventDefault();
+      } else if (e.button === 0 && this.isSelectMode()) {
+        // Left mouse button selects, moves and resizes annotations
+        this.selectionController.handleMouseDown(e);
       } else if (e.button === 0) {
         // Left mouse button for drawing
         originalMouseDown(e);
@@ -162,6 +243,8 @@ export default class ScreenshotCapture {
         this.zoomPanController.continuePan(e.clientX, e.clientY);
         this.updateAnnotationEngineCoordinates();
         e.preventDefault();
+      } else if (this.isSelectMode()) {
+        this.selectionController.handleMouseMove(e);
       }
     });
 
@@ -169,7 +252,213 @@ export default class ScreenshotCapture {
       if (this.zoomPanController.isPanningActive()) {
         this.zoomPanController.endPan();
       }
+      this.selectionController.handleMouseUp();
+    });
+
+    canvas.addEventListener('mouseout', () => {
+      this.selectionController.handleMouseUp();
+    });
+  }
+
+  /**
+   * Annotation storage for one screenshot; only the active screenshot redraws the canvas
+   */
+  createAnnotationStorage(screenshotId) {
+    return new AnnotationStorage({
+      onAnnotationChange: (annotations) => {
+        if (screenshotId !== this.activeScreenshotId) return;
+
+        this.redrawAnnotations();
+        this.renderStrip();
+        if (this.options.onAnnotationChange) {
+          this.options.onAnnotationChange(annotations);
+        }
+      }
+    });
+  }
+
+  /**
+   * Add a captured screenshot to the report and show it
+   */
+  addScreenshot(canvas, dataUrl) {
+    const screenshot = {
+      id: `screenshot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      dataUrl,
+      rendered: null, // With annotations, stored when switching away or exporting
+      redacted: false,
+      thumbnail: ScreenshotStrip.createThumbnail(canvas),
+      maskReport: this.screenshotProcessor?.getMaskReport() || [],
+      captureMode: this.screenshotProcessor?.getCaptureMode() || null,
+      viewport: this.screenshotProcessor?.getViewportRect() || null, // Set on full-page and region captures
+      // One viewport in image pixels; the export's pixel budget applies per tile of this height
+      tileHeight: Math.round(window.innerHeight * canvas.width / window.innerWidth),
+      url: window.location.href,
+      capturedAt: new Date().toISOString()
+    };
+    screenshot.annotationStorage = this.createAnnotationStorage(screenshot.id);
+
+    this.screenshots.push(screenshot);
+    return this.selectScreenshot(screenshot.id);
+  }
+
+  getScreenshot(screenshotId) {
+    return this.screenshots.find(screenshot => screenshot.id === screenshotId) || null;
+  }
+
+  /**
+   * Switch the canvas to another screenshot and its annotation layer
+   */
+  selectScreenshot(screenshotId) {
+    const screenshot = this.getScreenshot(screenshotId);
+    if (!screenshot) return Promise.resolve();
+
+    if (screenshotId !== this.activeScreenshotId) {
+      // Finish what is being edited on the current screenshot first
+      this.annotationEngine?.commitText();
+      this.annotationEngine?.cancelDrawing();
+      this.selectionController?.clearSelection();
+      this.storeActiveRendering();
+
+      this.activeScreenshotId = screenshotId;
+      this.annotationStorage = screenshot.annotationStorage;
+      this.renderStrip();
+    }
+
+    // Image loads are chained so a slow load can't overwrite a later switch
+    this.canvasLoad = (this.canvasLoad || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.loadActiveScreenshot());
+    return this.canvasLoad;
+  }
+
+  /**
+   * Put the active screenshot on the canvas, unless it is already there
+   */
+  async loadActiveScreenshot() {
+    const screenshot = this.getScreenshot(this.activeScreenshotId);
+    if (!screenshot || !this.canvasManager || this.canvasScreenshotId === screenshot.id) return;
+
+    this.canvasScreenshotId = null;
+    this.canvasManager.fitToWidth = !!screenshot.viewport;
+    await this.canvasManager.setupCanvas(null, screenshot.dataUrl);
+    this.canvasScreenshotId = screenshot.id;
+
+    if (screenshot.id === this.activeScreenshotId) {
+      this.redrawAnnotations();
+      this.centerCanvasWhenReady();
+    }
+  }
+
+  /**
+   * Keep the annotated image and a fresh thumbnail of the active screenshot
+   */
+  storeActiveRendering() {
+    const screenshot = this.getScreenshot(this.activeScreenshotId);
+    if (!screenshot || this.canvasScreenshotId !== screenshot.id || !this.canvasManager?.isReady()) return;
+
+    // Never export the selection handles
+    this.selectionController?.clearSelection();
+
+    screenshot.rendered = this.canvasManager.getScreenshotData();
+    screenshot.redacted = this.canvasManager.isRedacted();
+    screenshot.thumbnail = ScreenshotStrip.createThumbnail(this.canvasManager.canvas) || screenshot.thumbnail;
+  }
+
+  /**
+   * Remove a screenshot and its annotations; the last one can't be removed
+   */
+  removeScreenshot(screenshotId) {
+    const index = this.screenshots.findIndex(screenshot => screenshot.id === screenshotId);
+    if (index === -1 || this.screenshots.length === 1) return false;
+
+    const [removed] = this.screenshots.splice(index, 1);
+
+    if (removed.id === this.activeScreenshotId) {
+      // Nothing of the removed screenshot may end up in another one
+      this.annotationEngine?.cancelText();
+      this.annotationEngine?.cancelDrawing();
+      this.selectionController?.clearSelection();
+      this.activeScreenshotId = null;
+      this.annotationStorage = null;
+      this.selectScreenshot(this.screenshots[Math.min(index, this.screenshots.length - 1)].id);
+    } else {
+      this.renderStrip();
+    }
+
+    removed.annotationStorage.destroy();
+    return true;
+  }
+
+  /**
+   * Move a screenshot left (-1) or right (+1) in the report
+   */
+  moveScreenshot(screenshotId, offset) {
+    const index = this.screenshots.findIndex(screenshot => screenshot.id === screenshotId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.screenshots.length) return false;
+
+    const [screenshot] = this.screenshots.splice(index, 1);
+    this.screenshots.splice(target, 0, screenshot);
+    this.renderStrip();
+    return true;
+  }
+
+  renderStrip() {
+    this.screenshotStrip?.render(
+      this.screenshots.map(screenshot => ({
+        id: screenshot.id,
+        thumbnail: screenshot.thumbnail,
+        annotationCount: screenshot.annotationStorage.getCount()
+      })),
+      this.activeScreenshotId
+    );
+  }
+
+  /**
+   * Show which element is attached to the report ({ selector, thumbnail }) or null
+   */
+  setSelectedElement(summary) {
+    this.screenshotStrip?.setSelectedElement(summary);
+  }
+
+  /**
+   * Screenshot of just one element of the page
+   */
+  async captureElement(element) {
+    if (!this.screenshotProcessor) {
+      throw new Error('Screenshot processor not initialized');
+    }
+    return this.screenshotProcessor.captureElement(element);
+  }
+
+  /**
+   * Whether another screenshot fits in the report
+   */
+  canAddScreenshot() {
+    return this.screenshots.length < this.options.maxScreenshots;
+  }
+
+  /**
+   * Whether the select tool is active
+   */
+  isSelectMode() {
+    return this.annotationEngine?.getDrawingState().currentTool === 'select';
+  }
+
+  /**
+   * Redraw the screenshot with all annotations and the selection on top.
+   * A draft (an annotation being moved or resized) replaces its stored version.
+   */
+  redrawAnnotations(draft = null) {
+    let annotations = this.annotationStorage?.getAnnotations() || [];
+    if (draft) {
+      annotations = annotations.map(annotation => annotation.id === draft.id ? draft : annotation);
+    }
+
+    this.canvasManager?.redrawCanvas(annotations, (annotation) => {
+      this.annotationEngine?.drawAnnotation(annotation);
     });
+    this.selectionController?.drawSelection(draft);
   }
 
   /**
@@ -195,6 +484,9 @@ export default class ScreenshotCapture {
       case 'zoom-reset':
         this.resetZoom();
         break;
+      case 'delete':
+        this.deleteSelectedAnnotation();
+        break;
     }
   }
 
@@ -222,27 +514,45 @@ export default class ScreenshotCapture {
   }
 
   /**
-   * Take a screenshot of the page
+   * Take a screenshot of the page; screenshotArea and screenshotMode override the configured ones
    */
-  async takeScreenshot() {
+  async takeScreenshot(screenshotArea, screenshotMode) {
     if (!this.screenshotProcessor) {
       throw new Error('Screenshot processor not initialized');
     }
 
     try {
-      const result = await this.screenshotProcessor.takeScreenshot();
+      const result = await this.screenshotProcessor.takeScreenshot(screenshotArea, screenshotMode);
       return result;
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Whether a failed screenshot can be retried with screen capture (getDisplayMedia)
+   */
+  canRetryWithScreenCapture(screenshotMode) {
+    return !!this.screenshotProcessor?.canRetryWithScreenCapture(screenshotMode);
+  }
+
+  /**
+   * On a full-page screenshot, scroll the editor to the part the user saw
+   */
+  scrollToViewport() {
+    const viewport = this.getScreenshot(this.activeScreenshotId)?.viewport;
+    if (viewport) {
+      this.zoomPanController?.scrollToCanvasArea(viewport.y, viewport.height);
+    }
+  }
+
   /**
    * Center the canvas when ready
    */
   centerCanvasWhenReady() {
     if (this.canvasManager) {
       this.canvasManager.centerCanvasWhenReady();
+      this.scrollToViewport();
       // Give the canvas a moment to render then update coordinates
       setTimeout(() => {
         this.updateAnnotationEngineCoordinates();
@@ -256,6 +566,7 @@ export default class ScreenshotCapture {
   centerCanvas() {
     if (this.canvasManager) {
       this.canvasManager.centerCanvas();
+      this.scrollToViewport();
       // Give the canvas a moment to render then update coordinates
       setTimeout(() => {
         this.updateAnnotationEngineCoordinates();
@@ -305,6 +616,13 @@ export default class ScreenshotCapture {
     }
   }
 
+  /**
+   * Delete the selected annotation (undoable)
+   */
+  deleteSelectedAnnotation() {
+    return this.selectionController?.deleteSelection() || false;
+  }
+
   /**
    * Undo last annotation
    */
@@ -345,14 +663,92 @@ export default class ScreenshotCapture {
    * Get the current screenshot data with annotations
    */
   getScreenshotData() {
+    // Never export the selection handles
+    this.selectionController?.clearSelection();
     return this.canvasManager?.getScreenshotData() || null;
   }
 
   /**
-   * Get all annotations
+   * Get the annotations of every screenshot, keyed by screenshot id
    */
   getAnnotations() {
-    return this.annotationStorage?.getAnnotations() || [];
+    return Object.fromEntries(
+      this.screenshots.map(screenshot => [screenshot.id, screenshot.annotationStorage.getAnnotations()])
+    );
+  }
+
+  /**
+   * All screenshots in report order, rendered with their annotations:
+   * [{ id, dataUrl, annotations, redacted, masking, captureMode, viewport, url, capturedAt }]
+   */
+  getScreenshots() {
+    this.storeActiveRendering();
+
+    return this.screenshots.map(screenshot => ({
+      id: screenshot.id,
+      dataUrl: screenshot.rendered || screenshot.dataUrl,
+      annotations: screenshot.annotationStorage.getAnnotations(),
+      redacted: screenshot.redacted,
+      masking: [...screenshot.maskReport],
+      captureMode: screenshot.captureMode,
+      viewport: screenshot.viewport,
+      url: screenshot.url,
+      capturedAt: screenshot.capturedAt
+    }));
+  }
+
+  /**
+   * getScreenshots() compressed for submission: downscaled to the pixel budget and
+   * encoded as WebP, JPEG or PNG within the byte budget. Adds blob, format, width,
+   * height, originalWidth and originalHeight; annotation coordinates stay in
+   * original pixels. A screenshot that fails to encode is kept as PNG.
+   */
+  async exportScreenshots() {
+    const screenshots = this.getScreenshots();
+    const encoding = Object.fromEntries(
+      Object.entries(this.options.encoding || {}).filter(([, value]) => value !== undefined)
+    );
+
+    for (const screenshot of screenshots) {
+      try {
+        const encoded = await encodeImage(dataUrlToBlob(screenshot.dataUrl), {
+          ...encoding,
+          tileHeight: this.getScreenshot(screenshot.id)?.tileHeight
+        });
+        const scale = encoded.width / encoded.originalWidth;
+
+        Object.assign(screenshot, {
+          dataUrl: await blobToDataUrl(encoded.blob),
+          blob: encoded.blob,
+          format: encoded.type,
+          width: encoded.width,
+          height: encoded.height,
+          originalWidth: encoded.originalWidth,
+          originalHeight: encoded.originalHeight,
+          viewport: screenshot.viewport && scale < 1
+            ? Object.fromEntries(Object.entries(screenshot.viewport).map(([key, value]) => [key, Math.round(value * scale)]))
+            : screenshot.viewport
+        });
+      } catch (error) {
+        screenshot.format = 'image/png';
+      }
+    }
+
+    return screenshots;
+  }
+
+  /**
+   * Masking rules applied automatically to the active screenshot
+   */
+  getMaskReport() {
+    return [...(this.getScreenshot(this.activeScreenshotId)?.maskReport || [])];
+  }
+
+  /**
+   * Whether part of the active screenshot has been redacted
+   */
+  isRedacted() {
+    return this.canvasManager?.isRedacted() || false;
   }
 
   /**
@@ -377,6 +773,7 @@ export default class ScreenshotCapture {
       initialized: this.isInitialized,
       canvasReady: this.canvasManager?.isReady() || false,
       annotationCount: this.annotationStorage?.getCount() || 0,
+      screenshotCount: this.screenshots.length,
       canUndo: this.annotationStorage?.canUndo() || false,
       canRedo: this.annotationStorage?.canRedo() || false,
       currentTool: this.drawingTools?.getCurrentTool() || 'pen',
@@ -389,15 +786,25 @@ export default class ScreenshotCapture {
    * Reset the component
    */
   reset() {
+    // Drop all screenshots and their annotations
+    this.annotationEngine?.cancelText();
+    this.annotationEngine?.cancelDrawing();
+    this.selectionController?.clearSelection();
+    this.screenshots.forEach(screenshot => screenshot.annotationStorage.destroy());
+    this.screenshots = [];
+    this.activeScreenshotId = null;
+    this.canvasScreenshotId = null;
+    this.annotationStorage = null;
+
     // Reset all modules
-    this.annotationStorage?.reset();
     this.canvasManager?.reset();
-    this.annotationEngine?.cancelDrawing();
     this.zoomPanController?.resetZoom();
     
     // Update displays
     this.drawingTools?.updateZoomDisplay(1.0);
     this.drawingTools?.updateDimensionsDisplay(0, 0);
+    this.screenshotStrip?.setSelectedElement(null);
+    this.renderStrip();
   }
 
   /**
@@ -410,7 +817,9 @@ export default class ScreenshotCapture {
     this.screenshotProcessor?.destroy();
     this.annotationEngine?.destroy();
     this.canvasManager?.destroy();
-    this.annotationStorage?.destroy();
+    this.screenshots.forEach(screenshot => screenshot.annotationStorage.destroy());
+    this.selectionController?.destroy();
+    this.screenshotStrip?.destroy();
 
     // Clear references
     this.drawingTools = null;
@@ -419,6 +828,11 @@ export default class ScreenshotCapture {
     this.annotationEngine = null;
     this.canvasManager = null;
     this.annotationStorage = null;
+    this.selectionController = null;
+    this.screenshotStrip = null;
+    this.screenshots = [];
+    this.activeScreenshotId = null;
+    this.canvasScreenshotId = null;
 
     // Clear container
     if (this.options.container) {
@@ -1,27 +1,50 @@
 /**
  * Screenshot Processor
- * Handles html2canvas integration, UI hiding, and screenshot generation
+ * Handles capture strategies, UI hiding, PII masking, and screenshot generation
  */
 
+import { findPii } from '../../utils/pii-patterns.js';
+import Html2CanvasStrategy from './html2canvas-strategy.js';
+import DisplayMediaStrategy from './display-media-strategy.js';
+
+const CAPTURE_STRATEGIES = {
+  html2canvas: Html2CanvasStrategy,
+  'pixel-perfect': DisplayMediaStrategy
+};
+
+// Largest canvas every supported browser can allocate (iOS Safari is the strictest);
+// bigger captures are scaled down to fit
+const MAX_CANVAS_DIMENSION = 16384;
+const MAX_CANVAS_AREA = 16777216;
+
+const PASSWORD_SELECTOR = 'input[type="password"]';
+const SKIPPED_TEXT_PARENTS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA'];
+
 export default class ScreenshotProcessor {
   constructor(options = {}) {
     this.options = {
       onProgress: null,
       onComplete: null,
+      maskPii: true,
+      maskSelectors: ['[data-vfw-mask]', '.pii'],
+      maskTextPatterns: ['email', 'phone', 'iban'],
+      screenshotMode: 'html2canvas', // or 'pixel-perfect' (getDisplayMedia)
+      screenshotArea: 'viewport', // 'full-page', or a scroll region { top, height }
       ...options
     };
 
     this.originalScreenshot = '';
     this.isProcessing = false;
+    this.maskReport = [];
+    this.captureMode = null;
+    this.viewportRect = null;
   }
 
   /**
-   * Take a screenshot of the page
+   * Take a screenshot of the viewport, the whole page or a scroll region.
+   * screenshotMode overrides the configured mode, e.g. to retry with screen capture.
    */
-  async takeScreenshot() {
-    const timestamp = () => `[${new Date().toLocaleTimeString()}.${Date.now() % 1000}]`;
-
-    
+  async takeScreenshot(screenshotArea = this.options.screenshotArea, screenshotMode = this.options.screenshotMode) {
     if (this.isProcessing) {
       throw new Error('Screenshot already in progress');
     }
@@ -29,86 +52,197 @@ export default class ScreenshotProcessor {
     this.isProcessing = true;
 
     try {
-      return await new Promise((resolve, reject) => {
-        // Import html2canvas dynamically
-        if (typeof html2canvas === 'undefined') {
+      // Wait for layout to stabilize, then capture
+      const markViewport = !!screenshotArea && screenshotArea !== 'viewport';
+      const canvas = await this.capture(() => this.resolveArea(screenshotArea), 250, markViewport, screenshotMode);
+      this.originalScreenshot = canvas.toDataURL('image/png');
+
+      if (this.options.onComplete) {
+        this.options.onComplete(canvas, this.originalScreenshot);
+      }
+
+      return { canvas, dataUrl: this.originalScreenshot };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
 
-          this.loadHtml2Canvas()
-            .then(() => {
+  /**
+   * Screenshot of a single element plus some padding, masked like a full screenshot.
+   * Doesn't replace the report's screenshot (onComplete is not called).
+   */
+  async captureElement(element, padding = 8) {
+    if (this.isProcessing) {
+      throw new Error('Screenshot already in progress');
+    }
 
-              this.captureScreen(resolve, reject);
-            })
-            .catch((error) => {
+    this.isProcessing = true;
 
-              reject(error);
-            });
-        } else {
+    try {
+      // Same shape as getViewportInfo(), so the page is cropped to the element
+      const getArea = () => {
+        const rect = element.getBoundingClientRect();
+        const viewportInfo = this.getViewportInfo();
+        const left = Math.max(0, Math.floor(rect.left + viewportInfo.scrollX - padding));
+        const top = Math.max(0, Math.floor(rect.top + viewportInfo.scrollY - padding));
+        return this.fitCanvasLimits({
+          scrollX: left,
+          scrollY: top,
+          width: Math.max(1, Math.min(Math.ceil(rect.right + viewportInfo.scrollX + padding), window.innerWidth + viewportInfo.scrollX) - left),
+          height: Math.max(1, Math.ceil(rect.bottom + viewportInfo.scrollY + padding) - top)
+        });
+      };
 
-          this.captureScreen(resolve, reject);
-        }
-      });
+      const canvas = await this.capture(getArea, 100);
+      return { canvas, dataUrl: canvas.toDataURL('image/png'), masking: this.getMaskReport() };
     } finally {
       this.isProcessing = false;
     }
   }
 
   /**
-   * Load html2canvas library dynamically
+   * Capture strategies to try, the given screenshotMode first. Only pixel-perfect
+   * falls back (to html2canvas): getDisplayMedia needs a fresh user gesture, which
+   * has expired by the time a failed html2canvas render returns. The widget offers
+   * a retry with screen capture instead (see canRetryWithScreenCapture).
    */
-  loadHtml2Canvas() {
-    return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js';
-      script.onload = resolve;
-      script.onerror = () => reject(new Error('Failed to load html2canvas'));
-      document.head.appendChild(script);
-    });
+  createStrategies(screenshotMode = this.options.screenshotMode) {
+    const order = screenshotMode === 'pixel-perfect'
+      ? ['pixel-perfect', 'html2canvas']
+      : ['html2canvas'];
+
+    return order
+      .map(mode => CAPTURE_STRATEGIES[mode])
+      .filter(Strategy => Strategy.isSupported())
+      .map(Strategy => new Strategy());
   }
 
   /**
-   * Capture the screen using html2canvas
+   * Whether a screenshot that failed in screenshotMode can be retried with screen capture
    */
-  async captureScreen(resolve, reject) {
-    const timestamp = () => `[${new Date().toLocaleTimeString()}.${Date.now() % 1000}]`;
-    
-    try {
+  canRetryWithScreenCapture(screenshotMode = this.options.screenshotMode) {
+    return screenshotMode !== 'pixel-perfect' && DisplayMediaStrategy.isSupported();
+  }
 
-      
-      // Hide UI elements and store their states
-      const hiddenElements = this.hideUIElements();
-      
-      // Wait for layout to stabilize
+  /**
+   * Area to capture in document coordinates ({ scrollX, scrollY, width, height, scale }):
+   * the viewport, the whole page, or a { top, height } scroll region at viewport width
+   */
+  resolveArea(screenshotArea) {
+    const viewport = this.getViewportInfo();
+    if (screenshotArea !== 'full-page' && typeof screenshotArea !== 'object') {
+      return this.fitCanvasLimits(viewport);
+    }
 
-      const stabilizeStart = Date.now();
-      await new Promise(resolve => setTimeout(resolve, 250));
+    const pageHeight = Math.max(document.body.scrollHeight, document.documentElement.scrollHeight);
+    let top = 0;
+    let height = pageHeight;
+    if (screenshotArea !== 'full-page') {
+      top = Math.min(Math.max(0, Math.round(screenshotArea.top) || 0), pageHeight - 1);
+      height = Math.min(Math.max(1, Math.round(screenshotArea.height) || viewport.height), pageHeight - top);
+    }
 
-      
-      // Get viewport information
-      const viewportInfo = this.getViewportInfo();
+    return this.fitCanvasLimits({ scrollX: viewport.scrollX, scrollY: top, width: viewport.width, height });
+  }
 
-      
-      // Capture and process screenshot
-      const screenshotCanvas = await this.captureFullPageAndCrop(viewportInfo);
-      
-      // Restore UI elements
-      this.restoreUIElements(hiddenElements);
-      
-      // Convert to data URL
+  /**
+   * Add the scale at which the area fits in a canvas the browser can allocate
+   */
+  fitCanvasLimits(area) {
+    const scale = Math.min(
+      1,
+      MAX_CANVAS_DIMENSION / area.width,
+      MAX_CANVAS_DIMENSION / area.height,
+      Math.sqrt(MAX_CANVAS_AREA / (area.width * area.height))
+    );
+    return { ...area, scale };
+  }
 
-      const pngStart = Date.now();
-      this.originalScreenshot = screenshotCanvas.toDataURL('image/png');
+  /**
+   * Outline what the user saw on a capture larger than the viewport.
+   * Returns the outlined rectangle in image pixels, or null when it's outside the image.
+   */
+  markViewport(canvas, area, viewport) {
+    const scale = area.scale || 1;
+    const left = Math.max(0, Math.round((viewport.scrollX - area.scrollX) * scale));
+    const top = Math.max(0, Math.round((viewport.scrollY - area.scrollY) * scale));
+    const right = Math.min(canvas.width, Math.round((viewport.scrollX - area.scrollX + viewport.width) * scale));
+    const bottom = Math.min(canvas.height, Math.round((viewport.scrollY - area.scrollY + viewport.height) * scale));
+    if (right <= left || bottom <= top) return null;
+
+    const rect = { x: left, y: top, width: right - left, height: bottom - top };
+    const label = 'Visible area';
+    const ctx = canvas.getContext('2d');
+
+    ctx.save();
+    ctx.strokeStyle = '#ef4444';
+    ctx.lineWidth = 3;
+    ctx.setLineDash([12, 6]);
+    ctx.strokeRect(rect.x + 1.5, rect.y + 1.5, rect.width - 3, rect.height - 3);
+
+    ctx.setLineDash([]);
+    ctx.font = '600 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+    ctx.fillStyle = '#ef4444';
+    ctx.fillRect(rect.x, rect.y, ctx.measureText(label).width + 16, 22);
+    ctx.fillStyle = 'white';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, rect.x + 8, rect.y + 11);
+    ctx.restore();
+
+    return rect;
+  }
 
+  /**
+   * Hide the widget, mask personal data and capture the area returned by getArea()
+   * ({ scrollX, scrollY, width, height, scale } in document coordinates). Falls back to
+   * the next strategy when one fails; this.captureMode records the one that worked.
+   */
+  async capture(getArea, stabilizeDelay, markViewport = false, screenshotMode = this.options.screenshotMode) {
+    const strategies = this.createStrategies(screenshotMode);
+    if (strategies.length === 0) {
+      throw new Error('Screenshots are not supported in this browser');
+    }
 
+    const errors = [];
 
-      
-      if (this.options.onComplete) {
-        this.options.onComplete(screenshotCanvas, this.originalScreenshot);
-      }
-      
-      resolve({ canvas: screenshotCanvas, dataUrl: this.originalScreenshot });
+    // Ask for screen capture permission before anything else, while the
+    // user gesture still counts. If it's refused, html2canvas is used.
+    try {
+      await strategies[0].prepare();
     } catch (error) {
+      errors.push(error);
+      strategies.shift().release();
+    }
+
+    const hiddenElements = this.hideUIElements();
+    let maskElements = [];
+
+    try {
+      await new Promise(resolve => setTimeout(resolve, stabilizeDelay));
+
+      // Cover personal data once the layout has settled
+      maskElements = this.maskSensitiveContent();
+      const viewport = this.getViewportInfo();
+      const area = getArea();
+
+      for (const strategy of strategies) {
+        try {
+          const canvas = await strategy.capture(area);
+          this.captureMode = strategy.name;
+          this.viewportRect = markViewport ? this.markViewport(canvas, area, viewport) : null;
+          return canvas;
+        } catch (error) {
+          errors.push(error);
+          strategy.release();
+        }
+      }
 
-      reject(error);
+      throw new Error(`Screenshot failed: ${errors.map(error => error.message).join('; ')}`);
+    } finally {
+      // Remove masks and restore UI elements, and stop any screen capture
+      this.restoreMaskedContent(maskElements);
+      this.restoreUIElements(hiddenElements);
+      strategies.forEach(strategy => strategy.release());
     }
   }
 
@@ -121,6 +255,7 @@ export default class ScreenshotProcessor {
     const elementsToHide = [
       { selector: '#visualFeedbackModal', element: document.getElementById('visualFeedbackModal') },
       { selector: '#stopRecordingFloating', element: document.getElementById('stopRecordingFloating') },
+      { selector: '#captureBarFloating', element: document.getElementById('captureBarFloating') },
       { selector: '#screenshotLoadingIndicator', element: document.getElementById('screenshotLoadingIndicator') }
     ];
 
@@ -182,80 +317,158 @@ export default class ScreenshotProcessor {
   }
 
   /**
-   * Get current viewport information
+   * Cover sensitive content with opaque boxes before capture: password fields,
+   * elements matching maskSelectors, and emails, phone numbers and IBANs in
+   * text and form values. Records which rules matched in this.maskReport.
    */
-  getViewportInfo() {
-    return {
-      scrollX: window.pageXOffset || document.documentElement.scrollLeft,
-      scrollY: window.pageYOffset || document.documentElement.scrollTop,
-      width: window.innerWidth,
-      height: window.innerHeight
-    };
-  }
+  maskSensitiveContent() {
+    this.maskReport = [];
+    if (!this.options.maskPii) {
+      return [];
+    }
 
-  /**
-   * Capture full page and crop to viewport
-   */
-  async captureFullPageAndCrop(viewportInfo) {
-    const timestamp = () => `[${new Date().toLocaleTimeString()}.${Date.now() % 1000}]`;
+    const patterns = this.options.maskTextPatterns || [];
+    const maskedElements = new Set();
+    const rects = [];
+    const counts = {};
+    const record = (rule) => {
+      counts[rule] = (counts[rule] || 0) + 1;
+    };
+    const isExcluded = (node) => {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return !element || !!element.closest('#visualFeedbackModal') ||
+        [...maskedElements].some(masked => masked.contains(element));
+    };
 
-    const captureStart = Date.now();
-
-    // Temporarily ensure body has the background styles applied
-    const originalBodyStyles = document.body.style.cssText;
-    const computedStyles = window.getComputedStyle(document.body);
-    
-    // Ensure background is explicitly set on body for html2canvas
-    if (computedStyles.background || computedStyles.backgroundImage) {
-      document.body.style.background = computedStyles.background;
-      document.body.style.backgroundImage = computedStyles.backgroundImage;
-      document.body.style.backgroundSize = computedStyles.backgroundSize;
-      document.body.style.backgroundPosition = computedStyles.backgroundPosition;
-      document.body.style.backgroundRepeat = computedStyles.backgroundRepeat;
-      document.body.style.backgroundAttachment = computedStyles.backgroundAttachment;
-    }
+    // Whole elements: password fields and configured selectors
+    [PASSWORD_SELECTOR, ...(this.options.maskSelectors || [])].forEach(selector => {
+      let elements;
+      try {
+        elements = document.querySelectorAll(selector);
+      } catch (error) {
+        return; // Invalid selector in the configuration
+      }
 
-    // Capture the full page - using document.body to maintain coordinate system
-    const fullCanvas = await html2canvas(document.body, {
-      useCORS: true,
-      scale: 1,
-      allowTaint: true,
-      logging: false, // Disable html2canvas logging for cleaner output
-      backgroundColor: null, // Don't override with white
-      width: window.innerWidth,
-      height: Math.max(document.body.scrollHeight, document.documentElement.scrollHeight)
+      elements.forEach(element => {
+        if (isExcluded(element)) return;
+        maskedElements.add(element);
+        rects.push(element.getBoundingClientRect());
+        record(selector);
+      });
     });
 
-    // Restore original body styles
-    document.body.style.cssText = originalBodyStyles;
+    if (patterns.length > 0) {
+      // Form fields whose value contains personal data
+      document.querySelectorAll('input, textarea').forEach(field => {
+        const matches = findPii(field.value, patterns);
+        if (matches.length === 0 || isExcluded(field)) return;
+        maskedElements.add(field);
+        rects.push(field.getBoundingClientRect());
+        matches.forEach(match => record(match.type));
+      });
+
+      // Personal data in text, covered match by match
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => SKIPPED_TEXT_PARENTS.includes(node.parentElement?.tagName)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+      });
+
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        const matches = findPii(node.nodeValue, patterns);
+        if (matches.length === 0 || isExcluded(node)) continue;
+
+        matches.forEach(match => {
+          const range = document.createRange();
+          range.setStart(node, match.index);
+          range.setEnd(node, match.index + match.length);
+          rects.push(...range.getClientRects());
+          record(match.type);
+        });
+      }
+    }
+
+    this.maskReport = Object.entries(counts).map(([rule, count]) => ({ rule, count }));
 
+    return rects
+      .filter(rect => rect.width > 0 && rect.height > 0)
+      .map(rect => this.createMaskOverlay(rect));
+  }
 
-    // Create cropped canvas for viewport
-    const croppedCanvas = this.cropToViewport(fullCanvas, viewportInfo);
+  /**
+   * Add an opaque box over a viewport rectangle, positioned in document coordinates
+   */
+  createMaskOverlay(rect) {
+    const padding = 2;
+    let originX = window.pageXOffset || document.documentElement.scrollLeft;
+    let originY = window.pageYOffset || document.documentElement.scrollTop;
+
+    // Absolutely positioned children of a positioned body are offset from the body
+    if (window.getComputedStyle(document.body).position !== 'static') {
+      const bodyRect = document.body.getBoundingClientRect();
+      originX = -bodyRect.left;
+      originY = -bodyRect.top;
+    }
 
+    const overlay = document.createElement('div');
+    overlay.className = 'vfw-pii-mask';
+    overlay.style.cssText = `
+      position: absolute !important;
+      left: ${rect.left + originX - padding}px !important;
+      top: ${rect.top + originY - padding}px !important;
+      width: ${rect.width + padding * 2}px !important;
+      height: ${rect.height + padding * 2}px !important;
+      background: #111827 !important;
+      border-radius: 3px !important;
+      z-index: 2147483647 !important;
+      pointer-events: none !important;
+    `;
+    document.body.appendChild(overlay);
+
+    return overlay;
+  }
 
+  /**
+   * Remove the masks added by maskSensitiveContent()
+   */
+  restoreMaskedContent(maskElements) {
+    maskElements.forEach(element => element.remove());
+  }
 
+  /**
+   * Which masking rules were applied to the last screenshot, e.g.
+   * [{ rule: 'input[type="password"]', count: 1 }, { rule: 'email', count: 2 }]
+   */
+  getMaskReport() {
+    return [...this.maskReport];
+  }
 
-    return croppedCanvas;
+  /**
+   * Strategy that took the last screenshot: 'html2canvas' or 'pixel-perfect'
+   */
+  getCaptureMode() {
+    return this.captureMode;
   }
 
   /**
-   * Crop full page canvas to current viewport
+   * Where the viewport is on the last full-page or region screenshot
+   * ({ x, y, width, height } in image pixels), or null
    */
-  cropToViewport(fullCanvas, viewportInfo) {
-    const croppedCanvas = document.createElement('canvas');
-    croppedCanvas.width = viewportInfo.width;
-    croppedCanvas.height = viewportInfo.height;
-    const ctx = croppedCanvas.getContext('2d');
-
-    // Draw only the viewport area from the full screenshot
-    ctx.drawImage(
-      fullCanvas,
-      viewportInfo.scrollX, viewportInfo.scrollY, viewportInfo.width, viewportInfo.height, // Source rectangle
-      0, 0, viewportInfo.width, viewportInfo.height // Destination rectangle
-    );
+  getViewportRect() {
+    return this.viewportRect ? { ...this.viewportRect } : null;
+  }
 
-    return croppedCanvas;
+  /**
+   * Get current viewport information
+   */
+  getViewportInfo() {
+    return {
+      scrollX: window.pageXOffset || document.documentElement.scrollLeft,
+      scrollY: window.pageYOffset || document.documentElement.scrollTop,
+      width: window.innerWidth,
+      height: window.innerHeight
+    };
   }
 
   /**
@@ -277,6 +490,9 @@ export default class ScreenshotProcessor {
    */
   clearScreenshot() {
     this.originalScreenshot = '';
+    this.maskReport = [];
+    this.captureMode = null;
+    this.viewportRect = null;
   }
 
   /**
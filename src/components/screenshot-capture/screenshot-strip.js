@@ -0,0 +1,168 @@
+/**
+ * Screenshot Strip
+ * Thumbnails of the screenshots in a report: switch between them, reorder,
+ * delete and add new ones. Also shows the element picked for the report.
+ */
+
+const THUMBNAIL_WIDTH = 160;
+
+export default class ScreenshotStrip {
+  constructor(options = {}) {
+    this.options = {
+      container: null,
+      maxScreenshots: 5,
+      onSelect: null,
+      onMove: null,
+      onDelete: null,
+      onAdd: null,
+      onPickElement: null,
+      onClearElement: null,
+      ...options
+    };
+
+    this.screenshots = [];
+    this.activeId = null;
+    this.selectedElement = null;
+
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Create the strip and listen for clicks on it
+   */
+  createUI() {
+    if (!this.options.container) return;
+
+    this.options.container.addEventListener('click', this.handleClick);
+    this.render([], null);
+  }
+
+  /**
+   * Render the thumbnails; screenshots are [{ id, thumbnail, annotationCount }]
+   */
+  render(screenshots, activeId) {
+    const container = this.options.container;
+    if (!container) return;
+
+    this.screenshots = screenshots;
+    this.activeId = activeId;
+
+    const isFull = screenshots.length >= this.options.maxScreenshots;
+    const last = screenshots.length - 1;
+
+    container.innerHTML = `
+      <div class="screenshot-strip-items">
+        ${screenshots.map((screenshot, index) => `
+          <div class="screenshot-thumb ${screenshot.id === activeId ? 'active' : ''}" data-screenshot-id="${screenshot.id}" title="Screenshot ${index + 1}">
+            <img src="${screenshot.thumbnail}" alt="Screenshot ${index + 1}" draggable="false">
+            <span class="screenshot-thumb-index">${index + 1}</span>
+            ${screenshot.annotationCount > 0 ? `<span class="screenshot-thumb-count" title="Annotations">✏️ ${screenshot.annotationCount}</span>` : ''}
+            <div class="screenshot-thumb-actions">
+              <button data-strip-action="move-left" title="Move left" ${index === 0 ? 'disabled' : ''}>◀</button>
+              <button data-strip-action="move-right" title="Move right" ${index === last ? 'disabled' : ''}>▶</button>
+              <button data-strip-action="delete" title="Delete screenshot" ${screenshots.length === 1 ? 'disabled' : ''}>×</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      <button class="screenshot-add-btn" data-strip-action="add" ${isFull ? 'disabled' : ''}
+        title="${isFull ? `Up to ${this.options.maxScreenshots} screenshots per report` : 'Minimize this window and capture another screenshot'}">
+        📸 Add screenshot
+      </button>
+      ${this.renderElementPicker()}
+    `;
+  }
+
+  /**
+   * The element picker button, or the picked element with a remove button
+   */
+  renderElementPicker() {
+    if (!this.options.onPickElement) return '';
+
+    if (!this.selectedElement) {
+      return `
+        <button class="screenshot-pick-btn" data-strip-action="pick-element" title="Point at the element this report is about">
+          🎯 Pick element
+        </button>
+      `;
+    }
+
+    const selector = this.selectedElement.selector.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    return `
+      <div class="screenshot-picked-element" title="${selector}">
+        ${this.selectedElement.thumbnail ? `<img src="${this.selectedElement.thumbnail}" alt="" draggable="false">` : ''}
+        <code>${selector}</code>
+        <button data-strip-action="pick-element" title="Pick another element">🎯</button>
+        <button data-strip-action="clear-element" title="Remove the element from the report">×</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Show the picked element ({ selector, thumbnail }) or null
+   */
+  setSelectedElement(selectedElement) {
+    this.selectedElement = selectedElement;
+    this.render(this.screenshots, this.activeId);
+  }
+
+  /**
+   * Dispatch clicks on thumbnails and their buttons
+   */
+  handleClick(e) {
+    const button = e.target.closest('[data-strip-action]');
+    const thumb = e.target.closest('[data-screenshot-id]');
+    const screenshotId = thumb?.dataset.screenshotId;
+
+    if (button) {
+      if (button.disabled) return;
+
+      const action = button.dataset.stripAction;
+      if (action === 'add' && this.options.onAdd) {
+        this.options.onAdd();
+      } else if (action === 'pick-element' && this.options.onPickElement) {
+        this.options.onPickElement();
+      } else if (action === 'clear-element' && this.options.onClearElement) {
+        this.options.onClearElement();
+      } else if (action === 'delete' && this.options.onDelete) {
+        this.options.onDelete(screenshotId);
+      } else if (action === 'move-left' && this.options.onMove) {
+        this.options.onMove(screenshotId, -1);
+      } else if (action === 'move-right' && this.options.onMove) {
+        this.options.onMove(screenshotId, 1);
+      }
+      return;
+    }
+
+    if (thumb && this.options.onSelect) {
+      this.options.onSelect(screenshotId);
+    }
+  }
+
+  /**
+   * Small JPEG preview of a canvas or image
+   */
+  static createThumbnail(source, width = THUMBNAIL_WIDTH) {
+    if (!source?.width || !source?.height) return '';
+
+    // Full-page screenshots are previewed by their top part
+    const sourceHeight = Math.min(source.height, source.width);
+    const scale = Math.min(1, width / source.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(sourceHeight * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, source.width, sourceHeight, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/jpeg', 0.7);
+  }
+
+  /**
+   * Destroy the strip and clean up
+   */
+  destroy() {
+    if (this.options.container) {
+      this.options.container.removeEventListener('click', this.handleClick);
+      this.options.container.innerHTML = '';
+    }
+  }
+}
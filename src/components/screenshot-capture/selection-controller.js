@@ -0,0 +1,449 @@
+/**
+ * Selection Controller
+ * Handles selecting, moving, resizing and deleting individual annotations.
+ * Changes are committed through AnnotationStorage so they can be undone.
+ */
+
+const HANDLE_SIZE = 8; // Screen pixels
+const HIT_TOLERANCE = 6; // Screen pixels
+const MIN_FONT_SIZE = 8;
+
+export default class SelectionController {
+  constructor(options = {}) {
+    this.options = {
+      canvas: null,
+      annotationEngine: null,
+      getAnnotations: null, // () => annotations
+      onPreview: null, // (draft) => redraw with the draft in place of the stored annotation
+      onUpdate: null, // (annotationId, updates) => void
+      onDelete: null, // (annotationId) => void
+      ...options
+    };
+
+    this.canvas = this.options.canvas;
+    this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+    this.selectedId = null;
+    this.drag = null;
+    this.previewFrame = null;
+  }
+
+  /**
+   * Screen pixels per canvas pixel, including zoom
+   */
+  getScale() {
+    const rect = this.canvas.getBoundingClientRect();
+    return rect.width && this.canvas.width ? rect.width / this.canvas.width : 1;
+  }
+
+  /**
+   * Get the selected annotation, dropping the selection if it no longer exists (e.g. after undo)
+   */
+  getSelected() {
+    if (!this.selectedId) return null;
+
+    const annotation = this.options.getAnnotations().find(ann => ann.id === this.selectedId);
+    if (!annotation) {
+      this.selectedId = null;
+    }
+    return annotation || null;
+  }
+
+  /**
+   * Bounding box of an annotation in canvas coordinates
+   */
+  getBounds(annotation) {
+    if (annotation.type === 'text') {
+      const { x, y, width, height } = this.options.annotationEngine.measureText(annotation);
+      return { x, y, width, height };
+    }
+
+    if (annotation.type === 'marker') {
+      const radius = this.options.annotationEngine.getMarkerRadius(annotation);
+      return { x: annotation.x - radius, y: annotation.y - radius, width: radius * 2, height: radius * 2 };
+    }
+
+    if (annotation.type === 'pen' && annotation.path?.length > 0) {
+      const xs = annotation.path.map(point => point.x);
+      const ys = annotation.path.map(point => point.y);
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    const x = Math.min(annotation.startX, annotation.endX);
+    const y = Math.min(annotation.startY, annotation.endY);
+    return {
+      x,
+      y,
+      width: Math.abs(annotation.endX - annotation.startX),
+      height: Math.abs(annotation.endY - annotation.startY)
+    };
+  }
+
+  /**
+   * Drag handles for an annotation. Shapes expose their own points; pen paths
+   * and text expose the corners of their bounding box and scale from the opposite corner.
+   * Step markers keep their size and can only be moved.
+   */
+  getHandles(annotation) {
+    if (annotation.type === 'marker') {
+      return [];
+    }
+
+    const isLegacyPen = annotation.type === 'pen' && !(annotation.path?.length > 0);
+
+    if (annotation.type === 'arrow' || isLegacyPen) {
+      return [['startX', 'startY'], ['endX', 'endY']]
+        .map(keys => ({ x: annotation[keys[0]], y: annotation[keys[1]], keys }));
+    }
+
+    if (['rectangle', 'redact', 'highlight'].includes(annotation.type)) {
+      return [['startX', 'startY'], ['endX', 'startY'], ['startX', 'endY'], ['endX', 'endY']]
+        .map(keys => ({ x: annotation[keys[0]], y: annotation[keys[1]], keys }));
+    }
+
+    const bounds = this.getBounds(annotation);
+    return [[0, 0], [1, 0], [0, 1], [1, 1]].map(corner => ({
+      x: bounds.x + corner[0] * bounds.width,
+      y: bounds.y + corner[1] * bounds.height,
+      corner
+    }));
+  }
+
+  /**
+   * Whether a point (canvas coordinates) touches an annotation
+   */
+  hitTest(annotation, point, tolerance) {
+    if (annotation.type === 'pen') {
+      const path = annotation.path?.length > 0
+        ? annotation.path
+        : [{ x: annotation.startX, y: annotation.startY }, { x: annotation.endX, y: annotation.endY }];
+
+      if (path.length === 1) {
+        return Math.hypot(point.x - path[0].x, point.y - path[0].y) <= tolerance;
+      }
+      return path.slice(1).some((to, i) => distanceToSegment(point, path[i], to) <= tolerance);
+    }
+
+    if (annotation.type === 'arrow') {
+      const start = { x: annotation.startX, y: annotation.startY };
+      const end = { x: annotation.endX, y: annotation.endY };
+      return distanceToSegment(point, start, end) <= tolerance;
+    }
+
+    const bounds = this.getBounds(annotation);
+
+    if (annotation.type === 'rectangle') {
+      // Only the outline, so clicks inside a rectangle can reach what it surrounds
+      const { x, y, width, height } = bounds;
+      const corners = [
+        { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }
+      ];
+      return corners.some((from, i) => distanceToSegment(point, from, corners[(i + 1) % 4]) <= tolerance);
+    }
+
+    if (annotation.type === 'marker') {
+      const radius = this.options.annotationEngine.getMarkerRadius(annotation);
+      return Math.hypot(point.x - annotation.x, point.y - annotation.y) <= radius + tolerance;
+    }
+
+    // Text, redactions and highlights are solid areas
+    return point.x >= bounds.x - tolerance && point.x <= bounds.x + bounds.width + tolerance &&
+      point.y >= bounds.y - tolerance && point.y <= bounds.y + bounds.height + tolerance;
+  }
+
+  /**
+   * Topmost annotation at a point
+   */
+  findAnnotationAt(point) {
+    const tolerance = HIT_TOLERANCE / this.getScale();
+    const annotations = this.options.getAnnotations();
+
+    for (let i = annotations.length - 1; i >= 0; i--) {
+      if (this.hitTest(annotations[i], point, tolerance)) {
+        return annotations[i];
+      }
+    }
+    return null;
+  }
+
+  findHandleAt(annotation, point) {
+    const reach = HANDLE_SIZE / this.getScale();
+    return this.getHandles(annotation).find(handle =>
+      Math.abs(point.x - handle.x) <= reach && Math.abs(point.y - handle.y) <= reach
+    ) || null;
+  }
+
+  /**
+   * Select an annotation or start moving/resizing the selected one
+   */
+  handleMouseDown(e) {
+    const point = this.options.annotationEngine.getCanvasCoordinates(e);
+    const selected = this.getSelected();
+    const handle = selected && this.findHandleAt(selected, point);
+
+    if (handle) {
+      this.startDrag('resize', selected, point, handle);
+      return;
+    }
+
+    const annotation = this.findAnnotationAt(point);
+    if (!annotation) {
+      this.clearSelection();
+      return;
+    }
+
+    this.selectedId = annotation.id;
+    this.startDrag('move', annotation, point, null);
+    this.requestPreview(null);
+  }
+
+  startDrag(mode, annotation, point, handle) {
+    this.drag = {
+      mode,
+      handle,
+      start: point,
+      original: cloneAnnotation(annotation),
+      bounds: this.getBounds(annotation),
+      draft: null
+    };
+  }
+
+  handleMouseMove(e) {
+    const point = this.options.annotationEngine.getCanvasCoordinates(e);
+
+    if (!this.drag) {
+      this.updateCursor(point);
+      return;
+    }
+
+    const { mode, original, start } = this.drag;
+    this.drag.draft = mode === 'move'
+      ? translateAnnotation(original, point.x - start.x, point.y - start.y)
+      : this.resizeAnnotation(point);
+
+    this.requestPreview(this.drag.draft);
+  }
+
+  /**
+   * Commit the move/resize as a single undoable update
+   */
+  handleMouseUp() {
+    if (!this.drag) return;
+
+    const { draft, original } = this.drag;
+    this.drag = null;
+    this.cancelPreview();
+
+    if (draft && this.options.onUpdate) {
+      this.options.onUpdate(original.id, getGeometry(draft));
+    }
+  }
+
+  resizeAnnotation(point) {
+    const { original, handle, bounds } = this.drag;
+    const draft = cloneAnnotation(original);
+
+    if (handle.keys) {
+      draft[handle.keys[0]] = point.x;
+      draft[handle.keys[1]] = point.y;
+      return draft;
+    }
+
+    // Scale from the opposite corner of the bounding box
+    const anchorX = bounds.x + (1 - handle.corner[0]) * bounds.width;
+    const anchorY = bounds.y + (1 - handle.corner[1]) * bounds.height;
+    const scaleX = handle.x !== anchorX ? (point.x - anchorX) / (handle.x - anchorX) : 1;
+    const scaleY = handle.y !== anchorY ? (point.y - anchorY) / (handle.y - anchorY) : 1;
+
+    if (draft.type === 'text') {
+      // Text keeps its proportions: the font size follows the height
+      const scale = Math.max(MIN_FONT_SIZE / original.fontSize, Math.abs(scaleY));
+      draft.fontSize = Math.round(original.fontSize * scale);
+      draft.x = anchorX + (original.x - anchorX) * scale;
+      draft.y = anchorY + (original.y - anchorY) * scale;
+      return draft;
+    }
+
+    draft.path = original.path.map(p => ({
+      x: anchorX + (p.x - anchorX) * scaleX,
+      y: anchorY + (p.y - anchorY) * scaleY
+    }));
+    return draft;
+  }
+
+  updateCursor(point) {
+    const selected = this.getSelected();
+    if (selected && this.findHandleAt(selected, point)) {
+      this.canvas.style.cursor = 'nwse-resize';
+    } else {
+      this.canvas.style.cursor = this.findAnnotationAt(point) ? 'move' : '';
+    }
+  }
+
+  /**
+   * Redraw once per frame while dragging
+   */
+  requestPreview(draft) {
+    this.cancelPreview();
+
+    this.previewFrame = requestAnimationFrame(() => {
+      this.previewFrame = null;
+      if (this.options.onPreview) {
+        this.options.onPreview(draft);
+      }
+    });
+  }
+
+  cancelPreview() {
+    if (this.previewFrame) {
+      cancelAnimationFrame(this.previewFrame);
+      this.previewFrame = null;
+    }
+  }
+
+  /**
+   * Draw the selection box and handles on top of the annotations
+   */
+  drawSelection(draft = null) {
+    const annotation = draft || this.getSelected();
+    if (!annotation || !this.ctx) return;
+
+    const scale = this.getScale();
+    const size = HANDLE_SIZE / scale;
+
+    this.ctx.save();
+    this.ctx.lineWidth = 1.5 / scale;
+    this.ctx.strokeStyle = '#3b82f6';
+
+    if (annotation.type !== 'arrow') {
+      const bounds = this.getBounds(annotation);
+      const margin = 4 / scale;
+      this.ctx.setLineDash([4 / scale, 3 / scale]);
+      this.ctx.strokeRect(
+        bounds.x - margin,
+        bounds.y - margin,
+        bounds.width + margin * 2,
+        bounds.height + margin * 2
+      );
+      this.ctx.setLineDash([]);
+    }
+
+    this.ctx.fillStyle = '#ffffff';
+    this.getHandles(annotation).forEach(handle => {
+      this.ctx.fillRect(handle.x - size / 2, handle.y - size / 2, size, size);
+      this.ctx.strokeRect(handle.x - size / 2, handle.y - size / 2, size, size);
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Delete the selected annotation
+   */
+  deleteSelection() {
+    if (!this.selectedId) return false;
+
+    const annotationId = this.selectedId;
+    this.selectedId = null;
+    this.drag = null;
+    this.cancelPreview();
+
+    if (this.options.onDelete) {
+      this.options.onDelete(annotationId);
+    }
+    return true;
+  }
+
+  /**
+   * Drop the selection and redraw without it
+   */
+  clearSelection() {
+    this.drag = null;
+    this.cancelPreview();
+    if (!this.selectedId) return;
+
+    this.selectedId = null;
+    if (this.canvas) {
+      this.canvas.style.cursor = '';
+    }
+    if (this.options.onPreview) {
+      this.options.onPreview(null);
+    }
+  }
+
+  getSelectedId() {
+    return this.selectedId;
+  }
+
+  /**
+   * Destroy the controller and clean up
+   */
+  destroy() {
+    this.cancelPreview();
+    this.selectedId = null;
+    this.drag = null;
+    this.canvas = null;
+    this.ctx = null;
+  }
+}
+
+function distanceToSegment(point, from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.y - from.y) * dy) / lengthSquared));
+
+  return Math.hypot(point.x - (from.x + t * dx), point.y - (from.y + t * dy));
+}
+
+function cloneAnnotation(annotation) {
+  return {
+    ...annotation,
+    path: annotation.path ? annotation.path.map(point => ({ ...point })) : annotation.path
+  };
+}
+
+function translateAnnotation(annotation, dx, dy) {
+  const moved = cloneAnnotation(annotation);
+
+  if (moved.type === 'text' || moved.type === 'marker') {
+    moved.x += dx;
+    moved.y += dy;
+  } else if (moved.type === 'pen' && moved.path?.length > 0) {
+    moved.path = moved.path.map(point => ({ x: point.x + dx, y: point.y + dy }));
+  } else {
+    moved.startX += dx;
+    moved.startY += dy;
+    moved.endX += dx;
+    moved.endY += dy;
+  }
+
+  return moved;
+}
+
+/**
+ * The fields a move or resize changes, for AnnotationStorage.updateAnnotation()
+ */
+function getGeometry(annotation) {
+  if (annotation.type === 'text') {
+    return { x: annotation.x, y: annotation.y, fontSize: annotation.fontSize };
+  }
+
+  if (annotation.type === 'marker') {
+    return { x: annotation.x, y: annotation.y };
+  }
+
+  if (annotation.type === 'pen' && annotation.path?.length > 0) {
+    return { path: annotation.path };
+  }
+
+  return {
+    startX: annotation.startX,
+    startY: annotation.startY,
+    endX: annotation.endX,
+    endY: annotation.endY
+  };
+}
@@ -46,6 +46,10 @@ export default class ZoomPanController {
    * Handle mouse wheel for zooming
    */
   handleWheel(e) {
+    // A canvas taller than its container (full-page screenshot) scrolls with
+    // the wheel; Ctrl/⌘ + wheel still zooms
+    if (!e.ctrlKey && !e.metaKey && this.isScrollable()) return;
+
     e.preventDefault();
     
     const delta = e.deltaY > 0 ? -this.zoomStep : this.zoomStep;
@@ -259,6 +263,25 @@ export default class ZoomPanController {
     this.applyTransform();
   }
 
+  /**
+   * Whether the canvas overflows its scroll container vertically
+   */
+  isScrollable() {
+    const scroller = this.canvas?.parentElement;
+    return !!scroller && scroller.scrollHeight > scroller.clientHeight + 1;
+  }
+
+  /**
+   * Scroll a tall canvas so a vertical range (in canvas pixels) is centered in view
+   */
+  scrollToCanvasArea(y, height) {
+    if (!this.isScrollable()) return;
+
+    const scroller = this.canvas.parentElement;
+    const ratio = this.canvas.getBoundingClientRect().height / this.canvas.height;
+    scroller.scrollTop = Math.max(0, this.canvas.offsetTop + (y + height / 2) * ratio - scroller.clientHeight / 2);
+  }
+
   /**
    * Apply zoom and pan transform to the canvas
    */
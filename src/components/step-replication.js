@@ -317,6 +317,71 @@ export default class StepReplication {
     return element.tagName.toLowerCase();
   }
 
+  /**
+   * Generate a CSS selector that matches only this element: a unique id, test
+   * attribute, name, label or class combination if there is one, otherwise a
+   * tag:nth-of-type path from the closest ancestor with a unique id.
+   * Stricter than generateSelector(), which keeps the recorder's short selectors.
+   */
+  static generateUniqueSelector(element) {
+    if (!element || element.nodeType !== 1) {
+      return '';
+    }
+
+    const tag = element.tagName.toLowerCase();
+    const escape = (value) => (window.CSS?.escape ? window.CSS.escape(value) : value.replace(/[^\w-]/g, '\\$&'));
+    const isUnique = (selector) => {
+      try {
+        return document.querySelectorAll(selector).length === 1;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    // Try ID first
+    if (element.id && isUnique(`#${escape(element.id)}`)) {
+      return `#${escape(element.id)}`;
+    }
+
+    // Try attributes meant to identify elements
+    for (const name of ['data-testid', 'data-test', 'data-cy', 'data-qa', 'name', 'aria-label']) {
+      const value = element.getAttribute(name);
+      const selector = value && `${tag}[${name}="${value.replace(/["\\]/g, '\\$&')}"]`;
+      if (selector && isUnique(selector)) {
+        return selector;
+      }
+    }
+
+    // Try class names
+    const classes = [...element.classList].map(escape);
+    if (classes.length > 0 && isUnique(`${tag}.${classes.join('.')}`)) {
+      return `${tag}.${classes.join('.')}`;
+    }
+
+    // Fall back to the position in the tree
+    const parts = [];
+    let current = element;
+    while (current && current.nodeType === 1 && current !== document.documentElement) {
+      if (current !== element && current.id && isUnique(`#${escape(current.id)}`)) {
+        parts.unshift(`#${escape(current.id)}`);
+        break;
+      }
+
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = [...parent.children].filter(child => child.tagName === current.tagName);
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+
+    return parts.join(' > ');
+  }
+
   /**
    * Get supported MIME type for MediaRecorder
    */
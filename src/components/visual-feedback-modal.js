@@ -9,6 +9,7 @@ import ChatInterface from './chat-interface.js';
 import SystemInfo from './system-info.js';
 import ConsoleLogger from './console-logger.js';
 import LoginForm from './login-form.js';
+import ElementPicker from './element-picker.js';
 
 // Import handlers
 import AuthenticationHandler from './handlers/authentication-handler.js';
@@ -16,6 +17,7 @@ import TabController from './handlers/tab-controller.js';
 import DataCollector from './handlers/data-collector.js';
 import SubmissionHandler from './handlers/submission-handler.js';
 import RecordingController from './handlers/recording-controller.js';
+import ConversationHandler from './handlers/conversation-handler.js';
 
 export default class VisualFeedbackModal {
   constructor(options = {}) {    
@@ -36,15 +38,20 @@ export default class VisualFeedbackModal {
     };
 
     this.isVisible = false;
+    this.isMinimized = false; // Hidden while the reporter captures another screenshot
     this.components = {};
     this.floatingButton = null;
     this.modalElement = null;
     this.floatingStopButton = null;
+    this.captureBar = null;
     
     // Store original styles to restore later
     this.originalBodyStyles = null;
     this.originalHtmlStyles = null;
 
+    // Name and email of a visitor reporting without an account
+    this.guestInfo = null;
+
     // Initialize handlers
     this.authHandler = new AuthenticationHandler(this.options);
     this.submissionHandler = new SubmissionHandler(this.options);
@@ -52,10 +59,14 @@ export default class VisualFeedbackModal {
     // Connect AuthHandler to ApiClient for automatic session validation
     this.submissionHandler.setAuthHandler(this.authHandler);
     
+    // Retry any reports left in the outbox by a previous page load
+    this.submissionHandler.startOutbox();
+    
     // These will be initialized after modal elements are created
     this.tabController = null;
     this.dataCollector = null;
     this.recordingController = null;
+    this.conversationHandler = null;
 
     this.init();
   }
@@ -70,6 +81,7 @@ export default class VisualFeedbackModal {
     this.setupEventListeners();
     this.createFloatingButton();
     this.createFloatingStopButton();
+    this.createCaptureBar();
   }
 
   /**
@@ -166,13 +178,49 @@ export default class VisualFeedbackModal {
       container: loginScreen,
       apiUrl: this.options.apiUrl,
       onLogin: this.handleLogin.bind(this),
+      onSsoLogin: this.handleSsoLogin.bind(this),
+      ssoEnabled: this.authHandler.isSsoAvailable(),
+      onGuestContinue: this.handleGuestContinue.bind(this),
+      allowGuest: !!this.options.allowGuestFeedback,
       onCancel: this.hide.bind(this)
     });
 
     // Initialize screenshot capture
     this.components.screenshotCapture = new ScreenshotCapture({
       container: screenshotPanel,
-      onAnnotationChange: this.handleAnnotationChange.bind(this)
+      onAnnotationChange: this.handleAnnotationChange.bind(this),
+      onAnnotationError: (error) => alert(`The annotation could not be added: ${error}`),
+      onAddScreenshot: this.minimizeForScreenshot.bind(this),
+      onPickElement: this.pickElement.bind(this),
+      onClearElement: this.clearPickedElement.bind(this),
+      maxScreenshots: this.options.maxScreenshots,
+      screenshotMode: this.options.screenshotMode,
+      screenshotArea: this.options.screenshotArea,
+      encoding: {
+        format: this.options.screenshotFormat,
+        quality: this.options.screenshotQuality,
+        maxPixels: this.options.maxScreenshotSize,
+        maxBytes: this.options.maxScreenshotBytes
+      },
+      masking: {
+        maskPii: this.options.maskPii,
+        maskSelectors: this.options.maskSelectors,
+        maskTextPatterns: this.options.maskTextPatterns
+      }
+    });
+
+    // Network redaction rules, also applied to the picked element's page_url
+    const redaction = this.options.networkRedaction === false ? false : {
+      textPatterns: this.options.maskPii === false ? [] : this.options.maskTextPatterns,
+      ...this.options.networkRedaction
+    };
+
+    // Initialize element picker
+    this.components.elementPicker = new ElementPicker({
+      maskPii: this.options.maskPii,
+      maskSelectors: this.options.maskSelectors,
+      maskTextPatterns: this.options.maskTextPatterns,
+      redaction
     });
 
     // Initialize chat interface
@@ -201,7 +249,9 @@ export default class VisualFeedbackModal {
     if (this.options.enableConsoleLogging) {
       this.components.consoleLogger = new ConsoleLogger({
         container: consoleTab,
-        onLogsCaptured: this.handleLogsCaptured.bind(this)
+        onLogsCaptured: this.handleLogsCaptured.bind(this),
+        redaction,
+        sourceMaps: this.options.sourceMaps
       });
     }
   }
@@ -216,6 +266,9 @@ export default class VisualFeedbackModal {
     // Initialize data collector
     this.dataCollector = new DataCollector(this.components, this.modalElement);
     
+    // Initialize AI triage conversation
+    this.conversationHandler = new ConversationHandler(this.options, this.components);
+    
     // Initialize recording controller if screen recording is enabled
     if (this.options.enableScreenRecording) {
       this.recordingController = new RecordingController(
@@ -227,7 +280,7 @@ export default class VisualFeedbackModal {
 
     // Setup authentication
     this.authHandler.onStateChange((authState) => {
-      if (this.isVisible && !authState.isAuthenticated) {
+      if (this.isVisible && !authState.isAuthenticated && !this.guestInfo) {
         // Show login screen if user becomes unauthenticated while modal is open
         this.showLoginScreen();
       }
@@ -272,7 +325,9 @@ export default class VisualFeedbackModal {
 
     // Escape key to close
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isVisible) {
+      if (e.key === 'Escape' && this.isMinimized) {
+        this.restoreFromMinimized();
+      } else if (e.key === 'Escape' && this.isVisible) {
         this.hide();
       }
     });
@@ -310,6 +365,27 @@ export default class VisualFeedbackModal {
     document.body.appendChild(this.floatingStopButton);
   }
 
+  /**
+   * Create the floating bar shown while the modal is minimized to add a screenshot
+   */
+  createCaptureBar() {
+    this.captureBar = document.createElement('div');
+    this.captureBar.className = 'capture-bar-floating';
+    this.captureBar.id = 'captureBarFloating';
+    this.captureBar.style.display = 'none';
+    this.captureBar.innerHTML = `
+      <span class="capture-bar-text">Go to the view you want to add, then</span>
+      <button class="capture-bar-capture" type="button">📸 Capture</button>
+      <button class="capture-bar-full-page" type="button" title="Capture the whole page, not just what's visible">📜 Full page</button>
+      <button class="capture-bar-cancel" type="button">Cancel</button>
+    `;
+    this.captureBar.querySelector('.capture-bar-capture').addEventListener('click', () => this.captureAdditionalScreenshot());
+    this.captureBar.querySelector('.capture-bar-full-page').addEventListener('click', () => this.captureAdditionalScreenshot('full-page'));
+    this.captureBar.querySelector('.capture-bar-cancel').addEventListener('click', this.restoreFromMinimized.bind(this));
+
+    document.body.appendChild(this.captureBar);
+  }
+
   /**
    * Handle login form submission
    */
@@ -324,11 +400,54 @@ export default class VisualFeedbackModal {
     return result;
   }
 
+  /**
+   * Handle "Sign in with your organization"
+   */
+  async handleSsoLogin() {
+    const result = await this.authHandler.handleSsoLogin();
+    
+    if (result.success) {
+      await this.proceedWithFeedbackCapture();
+    }
+    
+    return result;
+  }
+
+  /**
+   * Continue without an account, identified only by name and email
+   */
+  async handleGuestContinue(guest) {
+    this.guestInfo = guest;
+    await this.proceedWithFeedbackCapture();
+    return { success: true };
+  }
+
+  /**
+   * Use the host application's signed-in user
+   */
+  identify(identity) {
+    return this.authHandler.identify(identity);
+  }
+
+  /**
+   * Drop the host-provided identity
+   */
+  clearIdentity() {
+    this.authHandler.clearIdentity();
+  }
+
   /**
    * Handle signout
    */
   async handleSignout() {
-    await this.authHandler.handleLogout();
+    if (this.guestInfo) {
+      this.guestInfo = null;
+      if (this.components.loginForm?.guestForm) {
+        this.components.loginForm.showGuestForm(false);
+      }
+    } else {
+      await this.authHandler.handleLogout();
+    }
     
     // Hide signout button
     const signoutBtn = this.modalElement.querySelector('#vfwSignoutBtn');
@@ -422,10 +541,12 @@ export default class VisualFeedbackModal {
         `;
       }
 
-      // Show signout button
+      // Show signout button (host-identified users sign out in the host app)
       const signoutBtn = this.modalElement.querySelector('#vfwSignoutBtn');
       if (signoutBtn) {
-        signoutBtn.style.display = 'block';
+        signoutBtn.style.display = this.authHandler.hasHostIdentity() ? 'none' : 'block';
+        signoutBtn.textContent = this.guestInfo ? 'Sign in' : 'Sign out';
+        signoutBtn.title = this.guestInfo ? 'Sign in with an account' : 'Sign out';
       }
 
       // Center the canvas
@@ -440,9 +561,9 @@ export default class VisualFeedbackModal {
   }
 
   /**
-   * Show the modal
+   * Show the modal. screenshotMode overrides the configured one (the screen capture retry).
    */
-  async show() {
+  async show(screenshotMode) {
     if (this.isVisible) {
       return;
     }
@@ -450,6 +571,9 @@ export default class VisualFeedbackModal {
     // Check authentication first
     const isAuthenticated = await this.authHandler.validateSession();
 
+    // Include what the early-capture snippet buffered since page load
+    this.components.consoleLogger?.adoptEarlyCapture();
+
     // Always take screenshot immediately, regardless of authentication status
     this.showScreenshotLoadingIndicator();
     
@@ -458,12 +582,15 @@ export default class VisualFeedbackModal {
     
     // Take screenshot and WAIT for it to complete
     try {
-      await this.components.screenshotCapture.takeScreenshot();
+      await this.components.screenshotCapture.takeScreenshot(undefined, screenshotMode);
       
       // Additional wait to ensure screenshot processing is complete
       await new Promise(resolve => setTimeout(resolve, 300));
     } catch (error) {
       this.hideScreenshotLoadingIndicator();
+      if (this.components.screenshotCapture.canRetryWithScreenCapture(screenshotMode)) {
+        this.showScreenshotFailure(error, () => this.show('pixel-perfect'));
+      }
       return;
     }
     
@@ -482,7 +609,7 @@ export default class VisualFeedbackModal {
     
     try {
       // Check authentication and show appropriate screen
-      if (isAuthenticated) {
+      if (isAuthenticated || this.guestInfo) {
         // User is authenticated, proceed with normal flow
         await this.proceedWithFeedbackCapture();
       } else {
@@ -573,7 +700,9 @@ export default class VisualFeedbackModal {
     }
 
     this.isVisible = false;
+    this.isMinimized = false;
     this.modalElement.style.display = 'none';
+    this.captureBar.style.display = 'none';
     
     // Restore original body and html styles
     if (this.originalBodyStyles !== null) {
@@ -589,8 +718,11 @@ export default class VisualFeedbackModal {
     
     // Reset components
     this.components.screenshotCapture?.reset();
+    this.components.elementPicker?.reset();
+    this.conversationHandler?.reset();
     this.components.chatInterface?.reset();
     this.recordingController?.reset();
+    this.dataCollector?.resetSubmissionId();
     
     // Hide floating stop button
     this.floatingStopButton.style.display = 'none';
@@ -601,6 +733,115 @@ export default class VisualFeedbackModal {
     }
   }
 
+  /**
+   * Minimize the modal so the reporter can get the page into the next state
+   * before capturing another screenshot
+   */
+  minimizeForScreenshot() {
+    if (!this.isVisible || this.isMinimized) return;
+
+    const screenshotCapture = this.components.screenshotCapture;
+    if (!screenshotCapture.canAddScreenshot()) {
+      alert(`A report can include up to ${this.options.maxScreenshots || 5} screenshots.`);
+      return;
+    }
+
+    this.minimize();
+    this.captureBar.style.display = 'flex';
+  }
+
+  /**
+   * Hide the modal but keep the report, so the reporter can use the page
+   */
+  minimize() {
+    this.isMinimized = true;
+    this.modalElement.style.display = 'none';
+
+    // Let the page scroll again while minimized
+    if (this.originalBodyStyles) {
+      document.body.setAttribute('style', this.originalBodyStyles);
+    } else {
+      document.body.removeAttribute('style');
+    }
+  }
+
+  /**
+   * Bring the modal back after minimizing it
+   */
+  restoreFromMinimized() {
+    if (!this.isMinimized) return;
+
+    this.isMinimized = false;
+    this.captureBar.style.display = 'none';
+    this.applyModalStyles();
+    this.components.screenshotCapture?.centerCanvasWhenReady();
+  }
+
+  /**
+   * Capture the current view (or the whole page) as an extra screenshot and return to the modal
+   */
+  async captureAdditionalScreenshot(screenshotArea, screenshotMode) {
+    if (!this.isMinimized) return;
+
+    try {
+      await this.components.screenshotCapture.takeScreenshot(screenshotArea, screenshotMode);
+    } catch (error) {
+      if (this.components.screenshotCapture.canRetryWithScreenCapture(screenshotMode)) {
+        // Stay minimized; the retry needs a fresh click for the permission prompt
+        this.showScreenshotFailure(
+          error,
+          () => this.captureAdditionalScreenshot(screenshotArea, 'pixel-perfect'),
+          () => this.restoreFromMinimized()
+        );
+        return;
+      }
+      alert(`Could not capture the screenshot: ${error.message}`);
+    }
+
+    this.restoreFromMinimized();
+  }
+
+  /**
+   * Let the reporter point at the element the report is about, and attach its
+   * selector, markup, styles, role and a cropped screenshot
+   */
+  async pickElement() {
+    if (!this.isVisible || this.isMinimized) return;
+
+    const elementPicker = this.components.elementPicker;
+    this.minimize();
+
+    const element = await elementPicker.pick();
+    if (element) {
+      const selection = elementPicker.describeElement(element);
+
+      try {
+        const image = await this.components.screenshotCapture.captureElement(element);
+        selection.screenshot = image.dataUrl;
+        selection.screenshot_masking = image.masking;
+      } catch (error) {
+        // Keep the element details even without an image
+        selection.screenshot = null;
+      }
+
+      elementPicker.setSelection(selection);
+      this.components.screenshotCapture.setSelectedElement({
+        selector: selection.selector,
+        thumbnail: selection.screenshot
+      });
+    }
+
+    this.restoreFromMinimized();
+  }
+
+  /**
+   * Remove the picked element from the report
+   */
+  clearPickedElement() {
+    this.components.elementPicker?.setSelection(null);
+    this.components.screenshotCapture?.setSelectedElement(null);
+  }
+
   /**
    * Start recording steps
    */
@@ -633,12 +874,14 @@ export default class VisualFeedbackModal {
       // Check authentication first
       const authState = this.authHandler.getState();
       
-      if (!authState.isAuthenticated) {
+      const isGuest = !authState.isAuthenticated && !!this.guestInfo;
+      
+      if (!authState.isAuthenticated && !isGuest) {
         throw new Error('You must be logged in to submit feedback');
       }
 
       // Collect all feedback data
-      const feedbackData = this.dataCollector.collectFeedbackData();
+      const feedbackData = await this.dataCollector.collectFeedbackData();
 
       // Extract user message for ticket title and description
       const userMessages = feedbackData.chatMessages.filter(m => m.type === 'user');
@@ -647,7 +890,9 @@ export default class VisualFeedbackModal {
 
       // Create ticket if enabled, otherwise use legacy feedback endpoint
       let result;
-      if (this.options.createTickets) {
+      if (isGuest) {
+        result = await this.submitGuestFeedback(feedbackData, title, description);
+      } else if (this.options.createTickets) {
         // Prepare ticket data
         const ticketData = this.dataCollector.formatTicketData(
           feedbackData, 
@@ -659,9 +904,24 @@ export default class VisualFeedbackModal {
         result = await this.submissionHandler.submitTicket(ticketData);
         
         if (result.success) {
+          this.submissionHandler.dequeueSubmission(feedbackData.submissionId);
+
+          // Upload screenshot and recording now that we have a ticket to attach them to
+          feedbackData.attachments = await this.submissionHandler.uploadAttachments(
+            result.ticket.id,
+            feedbackData,
+            (progress) => this.updateSubmitProgress(progress)
+          );
+          this.updateSubmitProgress(null);
+
           this.submissionHandler.showTicketSuccessMessage(result.ticket, feedbackData, () => {
             this.hide();
           });
+        } else if (result.retryable && await this.submissionHandler.queueSubmission(ticketData, feedbackData)) {
+          // Server unreachable - keep the report in the outbox and retry in the background
+          this.submissionHandler.showQueuedMessage(() => {
+            this.hide();
+          });
         } else {
           throw new Error(result.error);
         }
@@ -682,15 +942,71 @@ export default class VisualFeedbackModal {
       if (this.options.onSubmit) {
         this.options.onSubmit({
           ...feedbackData,
-          ticket: result?.ticket
+          ticket: result?.ticket,
+          queued: !result?.success
         });
       }
 
     } catch (error) {
+      this.updateSubmitProgress(null);
       this.submissionHandler.showErrorMessage(error.message);
     }
   }
 
+  /**
+   * Submit a report from a visitor without an account.
+   * Guest reports are never queued: the anti-abuse checks are tied to the moment of submission.
+   */
+  async submitGuestFeedback(feedbackData, title, description) {
+    const ticketData = this.dataCollector.formatGuestTicketData(
+      feedbackData,
+      title,
+      description,
+      this.guestInfo
+    );
+
+    const result = await this.submissionHandler.submitGuestTicket(ticketData);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    // Attachments need the upload token scoped to the new ticket
+    if (result.uploadToken) {
+      feedbackData.attachments = await this.submissionHandler.uploadAttachments(
+        result.ticket.id,
+        feedbackData,
+        (progress) => this.updateSubmitProgress(progress),
+        [],
+        this.submissionHandler.apiClient.withAccessToken(result.uploadToken)
+      );
+      this.updateSubmitProgress(null);
+    } else {
+      feedbackData.attachments = { uploaded: [], failed: [] };
+    }
+
+    this.submissionHandler.showTicketSuccessMessage(result.ticket, feedbackData, () => {
+      this.hide();
+    });
+
+    return result;
+  }
+
+  /**
+   * Reflect attachment upload progress on the global submit button
+   */
+  updateSubmitProgress(progress) {
+    const globalSubmitButton = this.modalElement.querySelector('#globalSubmitButton');
+    if (!globalSubmitButton) return;
+
+    if (progress) {
+      globalSubmitButton.disabled = true;
+      globalSubmitButton.textContent = `📎 Uploading ${progress.kind} (${progress.percent}%)`;
+    } else {
+      globalSubmitButton.disabled = false;
+      globalSubmitButton.textContent = '📤 Submit Feedback';
+    }
+  }
+
   /**
    * Show/hide screenshot loading indicator
    */
@@ -740,6 +1056,50 @@ export default class VisualFeedbackModal {
     document.body.appendChild(this.screenshotLoader);
   }
 
+  /**
+   * Tell the user html2canvas couldn't render the page and offer screen capture
+   * instead. The retry runs from the button's click, which getDisplayMedia requires.
+   */
+  showScreenshotFailure(error, onRetry, onDismiss) {
+    this.hideScreenshotLoadingIndicator();
+
+    this.screenshotLoader = document.createElement('div');
+    this.screenshotLoader.id = 'screenshotLoadingIndicator';
+    this.screenshotLoader.innerHTML = `
+      <div style="
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        max-width: 360px;
+        background: rgba(0, 0, 0, 0.9);
+        color: white;
+        padding: 15px 25px;
+        border-radius: 8px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+        z-index: 999999;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      ">
+        <div style="font-weight: 500;">⚠️ The screenshot could not be taken</div>
+        <div class="screenshot-failure-reason" style="margin: 6px 0 12px; opacity: 0.8;"></div>
+        <button type="button" data-action="retry">🖥️ Retry with screen capture</button>
+        <button type="button" data-action="dismiss">Dismiss</button>
+      </div>
+    `;
+    this.screenshotLoader.querySelector('.screenshot-failure-reason').textContent = error.message;
+
+    this.screenshotLoader.querySelector('[data-action="retry"]').addEventListener('click', () => {
+      this.hideScreenshotLoadingIndicator();
+      onRetry();
+    });
+    this.screenshotLoader.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+      this.hideScreenshotLoadingIndicator();
+      if (onDismiss) onDismiss();
+    });
+
+    document.body.appendChild(this.screenshotLoader);
+  }
+
   hideScreenshotLoadingIndicator() {
     if (this.screenshotLoader) {
       this.screenshotLoader.remove();
@@ -765,7 +1125,7 @@ export default class VisualFeedbackModal {
   }
 
   handleSendMessage(message) {
-    // Handle chat message sending
+    this.conversationHandler?.handleUserMessage(message);
   }
 
   handleLogsCaptured(logs) {
@@ -779,6 +1139,8 @@ export default class VisualFeedbackModal {
     // Clean up handlers
     this.authHandler?.destroy();
     this.recordingController?.destroy();
+    this.submissionHandler?.destroy();
+    this.conversationHandler?.destroy();
 
     // Clean up components
     Object.values(this.components).forEach(component => {
@@ -797,5 +1159,8 @@ export default class VisualFeedbackModal {
     if (this.floatingStopButton) {
       this.floatingStopButton.remove();
     }
+    if (this.captureBar) {
+      this.captureBar.remove();
+    }
   }
 }
\ No newline at end of file
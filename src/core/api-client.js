@@ -1,4 +1,5 @@
 import { StorageManager } from '../utils/storage-manager.js';
+import { ChunkedUploader } from './chunked-uploader.js';
 
 export class ApiClient {
   constructor(config) {
@@ -7,6 +8,17 @@ export class ApiClient {
     this.retryAttempts = 3;
     this.retryDelay = 1000;
     this.authHandler = null; // Will be set by the widget
+    this.accessTokenOverride = null;
+  }
+
+  /**
+   * Client that authenticates with a fixed token instead of the user session
+   * (e.g. the upload token returned for a guest ticket)
+   */
+  withAccessToken(accessToken) {
+    const client = new ApiClient({ ...this.config, apiUrl: this.baseUrl });
+    client.accessTokenOverride = accessToken;
+    return client;
   }
 
   /**
@@ -46,16 +58,71 @@ export class ApiClient {
       requester_id: data.requester_id,
       project_id: data.project_id || this.config.projectId || null,
       assignee_id: data.assignee_id || null,
-      custom_fields: data.metadata || data.custom_fields || null
+      custom_fields: data.metadata || data.custom_fields || null,
+      submission_id: data.submission_id || null
     };
 
+    // The submission id lets the server ignore retries of a ticket it already created
+    const options = data.submission_id
+      ? { headers: { 'Idempotency-Key': data.submission_id } }
+      : {};
     
-    const result = await this.requestWithAuth('POST', url, payload);
+    const result = await this.requestWithAuth('POST', url, payload, options);
     
     return result;
   }
 
-  async uploadFile(file, ticketId) {
+  /**
+   * Create a ticket for a visitor without a portal account. The server matches
+   * or creates the requester by email and rate-limits this endpoint.
+   */
+  async createGuestTicket(data, challenge = null) {
+    const url = this.config.guestEndpoint || `${this.baseUrl}/widget/guest/tickets`;
+    const organizationId = data.organization_id || this.config.organizationId;
+
+    if (!data.title || !organizationId || !data.guest?.email) {
+      return {
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Missing required fields: title, organization_id (or config.organizationId), and guest email',
+          details: { requiredFields: ['title', 'organization_id', 'guest.email'] }
+        }
+      };
+    }
+
+    const payload = {
+      title: data.title,
+      description: data.description || '',
+      priority: data.priority || 'medium',
+      category: data.category || 'task',
+      organization_id: organizationId,
+      project_id: data.project_id || this.config.projectId || null,
+      custom_fields: data.metadata || data.custom_fields || null,
+      submission_id: data.submission_id || null,
+      guest: {
+        name: data.guest.name || null,
+        email: data.guest.email
+      },
+      challenge
+    };
+
+    const options = data.submission_id
+      ? { headers: { 'Idempotency-Key': data.submission_id } }
+      : {};
+
+    return this.request('POST', url, payload, options);
+  }
+
+  /**
+   * Fetch a proof-of-work challenge for guest submissions
+   */
+  async getGuestChallenge() {
+    const url = `${this.baseUrl}/widget/guest/challenge`;
+    return this.request('GET', url);
+  }
+
+  async uploadFile(file, ticketId, options = {}) {
     const url = `${this.baseUrl}/widget/upload`;
     
     const formData = new FormData();
@@ -66,7 +133,70 @@ export class ApiClient {
       formData.append('ticket_id', ticketId);
     }
 
-    return this.requestWithAuth('POST', url, formData);
+    return this.requestWithAuth('POST', url, formData, {
+      onUploadProgress: options.onProgress
+    });
+  }
+
+  /**
+   * Start a resumable chunked upload session
+   */
+  async initChunkedUpload(file, ticketId, chunkSize) {
+    const url = `${this.baseUrl}/widget/upload/init`;
+    return this.requestWithAuth('POST', url, {
+      filename: file.name,
+      size: file.size,
+      type: file.type,
+      chunk_size: chunkSize,
+      project_id: this.config.projectId,
+      ticket_id: ticketId || null
+    });
+  }
+
+  /**
+   * Upload one chunk of a resumable upload starting at the given byte offset
+   */
+  async uploadChunk(uploadId, offset, chunk, totalSize) {
+    const url = `${this.baseUrl}/widget/upload/${encodeURIComponent(uploadId)}/chunk`;
+    return this.requestWithAuth('PUT', url, chunk, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Upload-Offset': String(offset),
+        'Content-Range': `bytes ${offset}-${offset + chunk.size - 1}/${totalSize}`
+      }
+    });
+  }
+
+  /**
+   * Query how many bytes of a resumable upload the server has received
+   */
+  async getUploadStatus(uploadId) {
+    const url = `${this.baseUrl}/widget/upload/${encodeURIComponent(uploadId)}`;
+    return this.requestWithAuth('GET', url);
+  }
+
+  /**
+   * Finalize a resumable upload once all chunks are received
+   */
+  async completeChunkedUpload(uploadId) {
+    const url = `${this.baseUrl}/widget/upload/${encodeURIComponent(uploadId)}/complete`;
+    return this.requestWithAuth('POST', url, {});
+  }
+
+  /**
+   * Upload a large file in resumable chunks
+   */
+  async uploadFileResumable(file, ticketId, options = {}) {
+    const uploader = new ChunkedUploader(this, { chunkSize: options.chunkSize });
+    return uploader.upload(file, ticketId, options);
+  }
+
+  /**
+   * Link previously uploaded files to a ticket
+   */
+  async attachFilesToTicket(ticketId, attachments) {
+    const url = `${this.baseUrl}/tickets/${encodeURIComponent(ticketId)}/attachments`;
+    return this.requestWithAuth('POST', url, { attachments });
   }
 
   async sendAnalytics(event) {
@@ -76,39 +206,134 @@ export class ApiClient {
 
   // API key validation removed - using user authentication instead
 
-  async request(method, url, data, options = {}) {
+  async request(method, url, data, requestOptions = {}) {
+    const { onUploadProgress, ...options } = requestOptions;
     const isFormData = data instanceof FormData;
+    const isRawBody = isFormData || data instanceof Blob;
     
     const defaultHeaders = {
       'X-Project-ID': this.config.projectId
     };
 
     // Add authentication header if user is logged in
-    const accessToken = StorageManager.getAccessToken();
+    await StorageManager.initialize();
+    const accessToken = this.accessTokenOverride || StorageManager.getAccessToken();
     if (accessToken) {
       defaultHeaders['Authorization'] = `Bearer ${accessToken}`;
     }
 
-    if (!isFormData) {
+    if (!isRawBody) {
       defaultHeaders['Content-Type'] = 'application/json';
     }
 
     const config = {
+      ...options,
       method,
       headers: {
         ...defaultHeaders,
         ...options.headers
-      },
-      ...options
+      }
     };
 
     if (data) {
-      config.body = isFormData ? data : JSON.stringify(data);
+      config.body = isRawBody ? data : JSON.stringify(data);
+    }
+
+    // fetch() cannot report upload progress, so fall back to XHR when it is requested
+    if (onUploadProgress) {
+      return this.requestWithProgress(url, config, onUploadProgress);
     }
 
     return this.requestWithRetry(url, config);
   }
 
+  /**
+   * Send a request through XMLHttpRequest so upload progress can be reported.
+   * Retried like requestWithRetry: on 5xx responses, network errors and timeouts.
+   */
+  async requestWithProgress(url, config, onProgress, attempt = 1) {
+    const { result, retryable } = await this.sendWithProgress(url, config, onProgress);
+
+    if (retryable && attempt < this.retryAttempts) {
+      await this.delay(this.retryDelay * attempt);
+      return this.requestWithProgress(url, config, onProgress, attempt + 1);
+    }
+
+    return result;
+  }
+
+  /**
+   * One XHR attempt. Resolves with the result and whether it is worth retrying;
+   * every way the request can end (load, error, timeout, abort) settles it.
+   */
+  sendWithProgress(url, config, onProgress) {
+    return new Promise((resolve) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(config.method, url);
+      xhr.timeout = config.timeout || 0;
+
+      const fail = (code, message, retryable) => resolve({
+        retryable,
+        result: { success: false, error: { code, message, details: null } }
+      });
+
+      Object.entries(config.headers || {}).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) {
+          xhr.setRequestHeader(name, value);
+        }
+      });
+
+      xhr.upload.addEventListener('progress', (event) => {
+        if (event.lengthComputable) {
+          onProgress({
+            loaded: event.loaded,
+            total: event.total,
+            percent: Math.round((event.loaded / event.total) * 100)
+          });
+        }
+      });
+
+      xhr.addEventListener('load', () => {
+        let responseData = {};
+        try {
+          responseData = xhr.responseText ? JSON.parse(xhr.responseText) : {};
+        } catch {
+          responseData = { error: 'Unknown error occurred' };
+        }
+
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve({ retryable: false, result: { success: true, data: responseData } });
+        } else {
+          resolve({
+            retryable: xhr.status >= 500,
+            result: {
+              success: false,
+              error: {
+                code: xhr.status.toString(),
+                message: responseData.error || `HTTP ${xhr.status}: ${xhr.statusText}`,
+                details: responseData
+              }
+            }
+          });
+        }
+      });
+
+      xhr.addEventListener('error', () => fail('NETWORK_ERROR', 'Network request failed', true));
+      xhr.addEventListener('timeout', () => fail('TIMEOUT', 'Upload timed out', true));
+      xhr.addEventListener('abort', () => fail('ABORTED', 'Upload cancelled', false));
+
+      if (config.signal) {
+        if (config.signal.aborted) {
+          fail('ABORTED', 'Upload cancelled', false);
+          return;
+        }
+        config.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+      }
+
+      xhr.send(config.body);
+    });
+  }
+
   async requestWithRetry(url, config, attempt = 1) {
     try {
       const response = await fetch(url, config);
@@ -158,27 +383,39 @@ export class ApiClient {
   async requestWithAuth(method, url, data, options = {}) {
     
     // Validate session before making API call if authHandler is available
-    if (this.authHandler) {
-      
+    if (this.authHandler && !this.accessTokenOverride) {
       const isValid = await this.authHandler.validateSession();
       
       if (!isValid) {
-        return {
-          success: false,
-          error: {
-            code: 'AUTHENTICATION_REQUIRED',
-            message: 'Session expired or invalid. Please log in again.',
-            details: { requiresLogin: true }
-          }
-        };
+        return this.authenticationRequired();
       }
-      
-    } else {
-      
     }
 
     // Use the existing request method which already handles auth headers
-    return this.request(method, url, data, options);
+    const result = await this.request(method, url, data, options);
+
+    // The token was rejected even though it looked valid locally:
+    // refresh once and replay the request with the new token
+    if (!result.success && result.error.code === '401' && this.authHandler) {
+      const refreshResult = await this.authHandler.handleRefresh();
+      if (!refreshResult.success) {
+        return this.authenticationRequired();
+      }
+      return this.request(method, url, data, options);
+    }
+
+    return result;
+  }
+
+  authenticationRequired() {
+    return {
+      success: false,
+      error: {
+        code: 'AUTHENTICATION_REQUIRED',
+        message: 'Session expired or invalid. Please log in again.',
+        details: { requiresLogin: true }
+      }
+    };
   }
 
   isRetryableError(error) {
@@ -0,0 +1,106 @@
+/**
+ * Capture Buffer
+ * Ring buffer of recent entries, bounded by count, age and serialized size, and
+ * kept in sessionStorage so it survives reloads within the tab
+ */
+
+export class CaptureBuffer {
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'vfw_capture_buffer',
+      maxEntries: 500,
+      maxAge: 10 * 60 * 1000, // Entries older than 10 minutes are dropped
+      maxSize: 512 * 1024, // Serialized length in characters, as sessionStorage counts it
+      saveDelay: 250, // Batch writes instead of serializing on every entry
+      ...options
+    };
+
+    this.entries = this.load();
+    this.saveTimer = null;
+    this.prune();
+  }
+
+  /**
+   * Add an entry ({ time, ... }) and schedule a write
+   */
+  push(entry) {
+    this.entries.push(entry);
+
+    if (this.entries.length > this.options.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.options.maxEntries);
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Entries within the age limit, oldest first
+   */
+  getEntries() {
+    this.prune();
+    return [...this.entries];
+  }
+
+  /**
+   * Empty the buffer and its stored copy
+   */
+  clear() {
+    this.entries = [];
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      sessionStorage.removeItem(this.options.storageKey);
+    } catch (error) {
+      // Storage unavailable - nothing was stored
+    }
+  }
+
+  /**
+   * Drop entries older than maxAge
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.options.maxAge;
+    const firstRecent = this.entries.findIndex(entry => entry.time >= cutoff);
+    this.entries = firstRecent === -1 ? [] : this.entries.slice(firstRecent);
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.options.saveDelay);
+  }
+
+  /**
+   * Write the buffer to sessionStorage, dropping the oldest entries until it fits
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.prune();
+
+    let json = JSON.stringify(this.entries);
+    while (json.length > this.options.maxSize && this.entries.length > 0) {
+      // A tenth at a time, rather than re-serializing once per entry
+      this.entries.splice(0, Math.ceil(this.entries.length / 10));
+      json = JSON.stringify(this.entries);
+    }
+
+    try {
+      sessionStorage.setItem(this.options.storageKey, json);
+    } catch (error) {
+      // Quota exceeded or storage blocked - keep buffering in memory
+    }
+  }
+
+  /**
+   * Entries stored by a previous page load in this tab
+   */
+  load() {
+    try {
+      const entries = JSON.parse(sessionStorage.getItem(this.options.storageKey) || '[]');
+      return Array.isArray(entries) ? entries.filter(entry => typeof entry?.time === 'number') : [];
+    } catch (error) {
+      return [];
+    }
+  }
+}
@@ -0,0 +1,70 @@
+import { CaptureBuffer } from './capture-buffer.js';
+
+describe('CaptureBuffer', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps only the newest maxEntries', () => {
+    const buffer = new CaptureBuffer({ maxEntries: 3 });
+    [1, 2, 3, 4, 5].forEach(id => buffer.push({ id, time: Date.now() }));
+
+    expect(buffer.getEntries().map(entry => entry.id)).toEqual([3, 4, 5]);
+  });
+
+  it('drops entries older than maxAge', () => {
+    const buffer = new CaptureBuffer({ maxAge: 1000 });
+    buffer.push({ id: 'old', time: Date.now() - 5000 });
+    buffer.push({ id: 'new', time: Date.now() });
+
+    expect(buffer.getEntries().map(entry => entry.id)).toEqual(['new']);
+  });
+
+  it('batches writes and restores them in the next page load', () => {
+    const buffer = new CaptureBuffer({ saveDelay: 250 });
+    buffer.push({ id: 1, time: Date.now() });
+    buffer.push({ id: 2, time: Date.now() });
+
+    expect(sessionStorage.getItem('vfw_capture_buffer')).toBeNull();
+    jest.advanceTimersByTime(250);
+
+    expect(new CaptureBuffer().getEntries().map(entry => entry.id)).toEqual([1, 2]);
+  });
+
+  it('drops the oldest entries until the stored copy fits maxSize', () => {
+    const buffer = new CaptureBuffer({ maxSize: 2000 });
+    for (let id = 0; id < 50; id++) {
+      buffer.push({ id, time: Date.now(), message: 'x'.repeat(100) });
+    }
+    buffer.save();
+
+    const stored = sessionStorage.getItem('vfw_capture_buffer');
+    const ids = JSON.parse(stored).map(entry => entry.id);
+    expect(stored.length).toBeLessThanOrEqual(2000);
+    expect(ids[ids.length - 1]).toBe(49);
+    expect(ids.length).toBeGreaterThan(0);
+  });
+
+  it('ignores stored data that is not a list of entries', () => {
+    sessionStorage.setItem('vfw_capture_buffer', '{"broken"');
+    expect(new CaptureBuffer().getEntries()).toEqual([]);
+
+    sessionStorage.setItem('vfw_capture_buffer', JSON.stringify([{ id: 1 }, { id: 2, time: Date.now() }]));
+    expect(new CaptureBuffer().getEntries().map(entry => entry.id)).toEqual([2]);
+  });
+
+  it('clears the stored copy', () => {
+    const buffer = new CaptureBuffer();
+    buffer.push({ id: 1, time: Date.now() });
+    buffer.save();
+    buffer.clear();
+
+    expect(buffer.getEntries()).toEqual([]);
+    expect(sessionStorage.getItem('vfw_capture_buffer')).toBeNull();
+  });
+});
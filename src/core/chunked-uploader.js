@@ -0,0 +1,179 @@
+/**
+ * Chunked Uploader
+ * Resumable upload of large files (e.g. screen recordings) using the
+ * init / chunk / status / complete protocol exposed by ApiClient
+ */
+
+const STATE_KEY = 'mg_widget_uploads';
+const STATE_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_OFFSET_RESYNCS = 3;
+
+export class ChunkedUploader {
+  constructor(apiClient, options = {}) {
+    this.apiClient = apiClient;
+    this.chunkSize = options.chunkSize || 2 * 1024 * 1024; // 2MB
+  }
+
+  /**
+   * Upload a file in chunks, resuming a previous attempt when possible.
+   * Pass options.resumeKey when the File object is rebuilt for every attempt.
+   */
+  async upload(file, ticketId, options = {}) {
+    const fingerprint = ChunkedUploader.getFingerprint(file, ticketId, options.resumeKey);
+
+    const resolved = await this.resolveUpload(fingerprint, file, ticketId);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    const state = resolved.state;
+    let offset = state.offset;
+    let resyncs = 0;
+
+    this.reportProgress(options.onProgress, offset, file.size);
+
+    while (offset < file.size) {
+      const chunk = file.slice(offset, offset + state.chunkSize);
+      const result = await this.apiClient.uploadChunk(state.uploadId, offset, chunk, file.size);
+
+      if (!result.success) {
+        // Server and client disagree on the offset - ask the server where to continue
+        if (result.error.code === '409' && resyncs < MAX_OFFSET_RESYNCS) {
+          const status = await this.apiClient.getUploadStatus(state.uploadId);
+          if (status.success) {
+            resyncs++;
+            offset = status.data.offset;
+            continue;
+          }
+        }
+
+        // Keep the stored state so the next attempt resumes from the last acknowledged chunk
+        return result;
+      }
+
+      offset = typeof result.data?.offset === 'number' ? result.data.offset : offset + chunk.size;
+      state.offset = offset;
+      state.updatedAt = Date.now();
+      ChunkedUploader.saveState(fingerprint, state);
+
+      this.reportProgress(options.onProgress, offset, file.size);
+    }
+
+    const completed = await this.apiClient.completeChunkedUpload(state.uploadId);
+    if (completed.success) {
+      ChunkedUploader.clearState(fingerprint);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Find a resumable upload for this file or start a new one
+   */
+  async resolveUpload(fingerprint, file, ticketId) {
+    const saved = ChunkedUploader.loadState(fingerprint);
+
+    if (saved) {
+      const status = await this.apiClient.getUploadStatus(saved.uploadId);
+      if (status.success && !status.data.complete) {
+        return { success: true, state: { ...saved, offset: status.data.offset || 0 } };
+      }
+      ChunkedUploader.clearState(fingerprint);
+    }
+
+    const init = await this.apiClient.initChunkedUpload(file, ticketId, this.chunkSize);
+    if (!init.success) {
+      return init;
+    }
+
+    const state = {
+      uploadId: init.data.upload_id,
+      chunkSize: init.data.chunk_size || this.chunkSize,
+      offset: init.data.offset || 0,
+      fileName: file.name,
+      size: file.size,
+      ticketId: ticketId || null,
+      updatedAt: Date.now()
+    };
+    ChunkedUploader.saveState(fingerprint, state);
+
+    return { success: true, state };
+  }
+
+  /**
+   * Report progress in the same shape as ApiClient upload progress
+   */
+  reportProgress(onProgress, loaded, total) {
+    if (onProgress) {
+      onProgress({
+        loaded,
+        total,
+        percent: total > 0 ? Math.round((loaded / total) * 100) : 100
+      });
+    }
+  }
+
+  /**
+   * Identify a file across page reloads. A resume key (e.g. the attachment kind)
+   * replaces the name and modification time, which change when the file is rebuilt.
+   */
+  static getFingerprint(file, ticketId, resumeKey = null) {
+    return resumeKey
+      ? [ticketId || 'none', resumeKey, file.size].join(':')
+      : [ticketId || 'none', file.name, file.size, file.lastModified || 0].join(':');
+  }
+
+  /**
+   * Read all stored upload states, dropping stale entries
+   */
+  static readStates() {
+    try {
+      const states = JSON.parse(localStorage.getItem(STATE_KEY) || '{}');
+      const now = Date.now();
+
+      Object.keys(states).forEach(fingerprint => {
+        if (now - states[fingerprint].updatedAt > STATE_MAX_AGE) {
+          delete states[fingerprint];
+        }
+      });
+
+      return states;
+    } catch {
+      return {};
+    }
+  }
+
+  static writeStates(states) {
+    try {
+      localStorage.setItem(STATE_KEY, JSON.stringify(states));
+    } catch {
+      // Storage unavailable or full - uploads still work, they just can't resume
+    }
+  }
+
+  static loadState(fingerprint) {
+    return this.readStates()[fingerprint] || null;
+  }
+
+  static saveState(fingerprint, state) {
+    const states = this.readStates();
+    states[fingerprint] = state;
+    this.writeStates(states);
+  }
+
+  static clearState(fingerprint) {
+    const states = this.readStates();
+    delete states[fingerprint];
+    this.writeStates(states);
+  }
+
+  /**
+   * Get uploads that were interrupted and can still be resumed
+   */
+  static getPendingUploads() {
+    return Object.values(this.readStates()).map(state => ({
+      ...state,
+      percent: state.size > 0 ? Math.round((state.offset / state.size) * 100) : 0
+    }));
+  }
+}
@@ -0,0 +1,83 @@
+import SubmissionHandler from '../components/handlers/submission-handler.js';
+import { ChunkedUploader } from './chunked-uploader.js';
+
+const CHUNK_SIZE = 4;
+
+/**
+ * In-memory stand-in for the upload endpoints of ApiClient
+ */
+function createUploadServer() {
+  const server = {
+    uploads: {},
+    failChunkAt: null,
+    initChunkedUpload: jest.fn(async (file) => {
+      const uploadId = `upload-${Object.keys(server.uploads).length + 1}`;
+      server.uploads[uploadId] = { size: file.size, offset: 0, complete: false };
+      return { success: true, data: { upload_id: uploadId, chunk_size: CHUNK_SIZE } };
+    }),
+    uploadChunk: jest.fn(async (uploadId, offset, chunk) => {
+      if (offset === server.failChunkAt) {
+        return { success: false, error: { code: 'NETWORK_ERROR', message: 'Connection lost' } };
+      }
+      server.uploads[uploadId].offset = offset + chunk.size;
+      return { success: true, data: { offset: offset + chunk.size } };
+    }),
+    getUploadStatus: jest.fn(async (uploadId) => ({ success: true, data: server.uploads[uploadId] })),
+    completeChunkedUpload: jest.fn(async (uploadId) => {
+      server.uploads[uploadId].complete = true;
+      return { success: true, data: { id: uploadId } };
+    }),
+    attachFilesToTicket: jest.fn(async () => ({ success: true }))
+  };
+
+  server.uploadFileResumable = (file, ticketId, options) => (
+    new ChunkedUploader(server, { chunkSize: options.chunkSize }).upload(file, ticketId, options)
+  );
+  return server;
+}
+
+describe('ChunkedUploader', () => {
+  let handler;
+  let server;
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.useFakeTimers();
+    handler = new SubmissionHandler({ chunkedUploadThreshold: 1, chunkSize: CHUNK_SIZE });
+    server = createUploadServer();
+    handler.apiClient = server;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('resumes a recording when the attachments are rebuilt for the retry', async () => {
+    const feedbackData = {
+      replicationData: { videoBlob: new Blob(['0123456789'], { type: 'video/webm' }) }
+    };
+
+    // First attempt: the connection drops after the first chunk
+    server.failChunkAt = CHUNK_SIZE;
+    const first = await handler.uploadAttachments('ticket-1', feedbackData);
+    expect(first.failed.map(file => file.kind)).toEqual(['recording']);
+
+    // The retry builds a new File with a new name and modification time
+    jest.advanceTimersByTime(60 * 1000);
+    server.failChunkAt = null;
+    const second = await handler.uploadAttachments('ticket-1', feedbackData);
+
+    expect(second.uploaded.map(file => file.kind)).toEqual(['recording']);
+    expect(server.initChunkedUpload).toHaveBeenCalledTimes(1);
+    expect(server.uploadChunk.mock.calls.map(([, offset]) => offset)).toEqual([0, 4, 4, 8]);
+    expect(server.uploads['upload-1'].complete).toBe(true);
+    expect(ChunkedUploader.getPendingUploads()).toEqual([]);
+  });
+
+  it('keeps uploads of different tickets apart', () => {
+    const file = new File(['0123456789'], 'recording.webm');
+
+    expect(ChunkedUploader.getFingerprint(file, 'ticket-1', 'recording'))
+      .not.toEqual(ChunkedUploader.getFingerprint(file, 'ticket-2', 'recording'));
+  });
+});
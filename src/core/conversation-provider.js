@@ -0,0 +1,135 @@
+/**
+ * Conversation Providers
+ * Backends for the AI triage assistant in the chat tab
+ */
+
+import { StorageManager } from '../utils/storage-manager.js';
+
+/**
+ * Provider interface.
+ *
+ * sendMessage({ messages, context }, { onToken, onFollowUp, signal })
+ *   messages: [{ role: 'user' | 'assistant', content }]
+ *   context:  { url, consoleErrors, networkFailures }
+ *   onToken(token):        called for each streamed piece of the reply
+ *   onFollowUp(question):  called when the assistant asks a follow-up question
+ *   resolves to { content, followUp }
+ */
+export class ConversationProvider {
+  async sendMessage() {
+    throw new Error('ConversationProvider.sendMessage must be implemented');
+  }
+}
+
+/**
+ * Provider that talks to an HTTP endpoint.
+ * The endpoint can stream Server-Sent Events:
+ *   data: {"type": "token", "content": "..."}
+ *   data: {"type": "follow_up", "content": "What did you expect to happen?"}
+ *   data: {"type": "done"}
+ * or answer with plain JSON: { "reply": "...", "follow_up": "..." }
+ */
+export class HttpConversationProvider extends ConversationProvider {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      endpoint: null,
+      projectId: null,
+      ...options
+    };
+  }
+
+  async sendMessage({ messages, context }, { onToken, onFollowUp, signal } = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream, application/json',
+      'X-Project-ID': this.options.projectId
+    };
+
+    await StorageManager.initialize();
+    const accessToken = StorageManager.getAccessToken();
+    if (accessToken) {
+      headers['Authorization'] = `Bearer ${accessToken}`;
+    }
+
+    const response = await fetch(this.options.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ messages, context }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Assistant request failed: ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/event-stream') || !response.body) {
+      const data = await response.json();
+      if (data.reply && onToken) onToken(data.reply);
+      if (data.follow_up && onFollowUp) onFollowUp(data.follow_up);
+      return { content: data.reply || '', followUp: data.follow_up || null };
+    }
+
+    return this.readEventStream(response.body, { onToken, onFollowUp });
+  }
+
+  /**
+   * Read an SSE response body, forwarding tokens as they arrive
+   */
+  async readEventStream(body, { onToken, onFollowUp }) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    const result = { content: '', followUp: null };
+    let buffer = '';
+
+    const handleEvent = (rawEvent) => {
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+
+      if (!data) return false;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        event = { type: 'token', content: data };
+      }
+
+      if (event.type === 'token') {
+        result.content += event.content;
+        if (onToken) onToken(event.content);
+      } else if (event.type === 'follow_up') {
+        result.followUp = event.content;
+        if (onFollowUp) onFollowUp(event.content);
+      }
+
+      return event.type === 'done';
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const rawEvent of events) {
+        if (handleEvent(rawEvent)) {
+          reader.cancel().catch(() => {});
+          return result;
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      handleEvent(buffer);
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,381 @@
+/**
+ * Early Capture
+ * Buffers console output, unhandled errors, network requests and navigations from
+ * page load, long before the widget exists. Runs from its own small script
+ * (vfw-early-capture.js) at the top of <head>; the console logger takes over the
+ * buffer when the widget opens.
+ */
+
+import { CaptureBuffer } from './capture-buffer.js';
+import { compileRedactionRules, redactNetworkLog, redactText, redactUrl } from '../utils/network-redaction.js';
+
+// The running instance lives on window, so the widget bundle can find it
+const GLOBAL_KEY = '__vfwEarlyCapture';
+
+// Long values are cut so one chatty call doesn't push everything else out of the buffer
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_BODY_LENGTH = 4000;
+
+export class EarlyCapture {
+  constructor(options = {}) {
+    this.options = {
+      console: true,
+      errors: true,
+      network: true,
+      navigation: true,
+      consoleLevels: ['log', 'info', 'warn', 'error', 'debug'],
+      redaction: {}, // Rules for utils/network-redaction.js, or false to store requests as-is
+      buffer: {}, // CaptureBuffer limits: maxEntries, maxAge, maxSize
+      ...options
+    };
+
+    this.buffer = new CaptureBuffer(this.options.buffer);
+    this.redactionRules = compileRedactionRules(this.options.redaction);
+    this.cleanups = [];
+    this.lastUrl = null;
+    this.isCapturing = false;
+  }
+
+  /**
+   * Install the interceptors
+   */
+  start() {
+    if (this.isCapturing) return;
+
+    this.isCapturing = true;
+    if (this.options.console) this.interceptConsole();
+    if (this.options.errors) this.interceptErrors();
+    if (this.options.network) {
+      this.interceptFetch();
+      this.interceptXHR();
+    }
+    if (this.options.navigation) this.interceptNavigation();
+
+    // Pending entries are written before the page goes away
+    const flush = () => this.buffer.save();
+    this.listen(window, 'pagehide', flush);
+    this.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flush();
+    });
+  }
+
+  /**
+   * Remove the interceptors; the buffer is kept
+   */
+  stop() {
+    if (!this.isCapturing) return;
+
+    this.isCapturing = false;
+    this.cleanups.reverse().forEach(cleanup => cleanup());
+    this.cleanups = [];
+    this.buffer.save();
+  }
+
+  /**
+   * Buffered entries in the console logger's shape: { consoleLogs, networkLogs }.
+   * Navigations are listed with the console output.
+   */
+  getLogs() {
+    const consoleLogs = [];
+    const networkLogs = [];
+
+    this.buffer.getEntries().forEach(({ kind, time, ...entry }) => {
+      if (kind === 'network') {
+        networkLogs.push(entry);
+      } else if (kind === 'navigation') {
+        consoleLogs.push({
+          level: 'info',
+          type: 'navigation',
+          message: `Navigation (${entry.navigationType}): ${entry.url}`,
+          url: entry.url,
+          timestamp: time
+        });
+      } else {
+        consoleLogs.push({ ...entry, timestamp: time });
+      }
+    });
+
+    return { consoleLogs, networkLogs };
+  }
+
+  record(kind, data) {
+    this.buffer.push({ kind, time: Date.now(), ...data });
+  }
+
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.cleanups.push(() => target.removeEventListener(type, handler));
+  }
+
+  interceptConsole() {
+    const self = this;
+
+    this.options.consoleLevels.forEach(level => {
+      const original = console[level];
+      if (typeof original !== 'function') return;
+
+      console[level] = function (...args) {
+        self.recordConsole({ level, message: args.map(formatArgument).join(' ') });
+        return original.apply(this, args);
+      };
+      this.cleanups.push(() => {
+        console[level] = original;
+      });
+    });
+  }
+
+  interceptErrors() {
+    this.listen(window, 'error', (event) => {
+      this.recordConsole({
+        level: 'error',
+        message: `Unhandled Error: ${event.message} (${event.filename}:${event.lineno}:${event.colno})`,
+        stack: event.error?.stack || ''
+      });
+    });
+
+    this.listen(window, 'unhandledrejection', (event) => {
+      this.recordConsole({
+        level: 'error',
+        message: `Unhandled Promise Rejection: ${formatArgument(event.reason)}`,
+        stack: event.reason?.stack || ''
+      });
+    });
+  }
+
+  /**
+   * Store console output with the PII patterns masked, so it reaches sessionStorage
+   * as clean as the requests do
+   */
+  recordConsole({ level, message, stack }) {
+    const clean = (text) => truncate(this.redactionRules ? redactText(text, this.redactionRules) : text, MAX_MESSAGE_LENGTH);
+
+    this.record('console', {
+      level,
+      message: clean(message),
+      ...(stack !== undefined && { stack: clean(stack) })
+    });
+  }
+
+  interceptFetch() {
+    const originalFetch = window.fetch;
+    if (typeof originalFetch !== 'function') return;
+
+    const self = this;
+    window.fetch = function (resource, config = {}) {
+      const request = {
+        method: String(config.method || resource?.method || 'GET').toUpperCase(),
+        url: typeof resource === 'string' || resource instanceof URL ? String(resource) : resource?.url,
+        type: 'fetch',
+        requestHeaders: headersToObject(config.headers),
+        requestPayload: describeBody(config.body),
+        startedAt: Date.now()
+      };
+
+      return originalFetch.apply(this, arguments).then(response => {
+        const result = {
+          ...request,
+          status: response.status,
+          statusText: response.statusText,
+          headers: headersToObject(response.headers),
+          size: Number(response.headers.get('content-length')) || 'unknown',
+          timestamp: Date.now()
+        };
+
+        // Only failed responses keep their body; reading every body would slow the page down
+        if (response.status >= 400) {
+          response.clone().text().then(
+            text => self.recordRequest({ ...result, responseData: text }),
+            () => self.recordRequest(result)
+          );
+        } else {
+          self.recordRequest(result);
+        }
+
+        return response;
+      }, error => {
+        self.recordRequest({
+          ...request,
+          status: 0,
+          statusText: 'Network Error',
+          size: 0,
+          error: error?.message || String(error),
+          timestamp: Date.now()
+        });
+        throw error;
+      });
+    };
+
+    this.cleanups.push(() => {
+      window.fetch = originalFetch;
+    });
+  }
+
+  interceptXHR() {
+    const proto = window.XMLHttpRequest?.prototype;
+    if (!proto) return;
+
+    const { open, send, setRequestHeader } = proto;
+    const requests = new WeakMap();
+    const self = this;
+
+    proto.open = function (method, url) {
+      requests.set(this, { method: String(method).toUpperCase(), url: String(url), type: 'xhr', requestHeaders: {} });
+      return open.apply(this, arguments);
+    };
+
+    proto.setRequestHeader = function (name, value) {
+      const request = requests.get(this);
+      if (request) request.requestHeaders[name] = value;
+      return setRequestHeader.apply(this, arguments);
+    };
+
+    proto.send = function (body) {
+      const request = requests.get(this);
+
+      if (request) {
+        request.startedAt = Date.now();
+        request.requestPayload = describeBody(body);
+
+        this.addEventListener('loadend', () => {
+          const hasText = this.responseType === '' || this.responseType === 'text';
+          self.recordRequest({
+            ...request,
+            status: this.status,
+            statusText: this.statusText || (this.status === 0 ? 'Network Error' : ''),
+            headers: parseHeaders(this.getAllResponseHeaders()),
+            size: hasText ? this.responseText.length : 'unknown',
+            responseData: this.status >= 400 && hasText ? this.responseText : null,
+            error: this.status === 0 ? 'Network Error' : null,
+            timestamp: Date.now()
+          });
+        }, { once: true });
+      }
+
+      return send.apply(this, arguments);
+    };
+
+    this.cleanups.push(() => {
+      Object.assign(proto, { open, send, setRequestHeader });
+    });
+  }
+
+  /**
+   * Store a finished request, redacted first so no credentials reach sessionStorage
+   */
+  recordRequest(entry) {
+    const { entry: redacted, applied } = redactNetworkLog({
+      ...entry,
+      duration: entry.timestamp - entry.startedAt
+    }, this.redactionRules);
+
+    // Cut after redacting, so JSON bodies are still parseable for the path rules
+    this.record('network', {
+      ...redacted,
+      requestPayload: truncate(redacted.requestPayload, MAX_BODY_LENGTH),
+      responseData: truncate(redacted.responseData, MAX_BODY_LENGTH),
+      redactions: applied
+    });
+  }
+
+  interceptNavigation() {
+    // How this document was reached: 'navigate', 'reload' or 'back_forward'
+    const [pageLoad] = performance.getEntriesByType?.('navigation') || [];
+    this.recordNavigation(pageLoad?.type || 'navigate', document.referrer ? { referrer: this.redact(document.referrer) } : {});
+
+    const self = this;
+    ['pushState', 'replaceState'].forEach(method => {
+      const original = history[method];
+
+      history[method] = function () {
+        const result = original.apply(this, arguments);
+        self.recordNavigation(method);
+        return result;
+      };
+      this.cleanups.push(() => {
+        history[method] = original;
+      });
+    });
+
+    this.listen(window, 'popstate', () => this.recordNavigation('popstate'));
+    this.listen(window, 'hashchange', () => this.recordNavigation('hashchange'));
+  }
+
+  /**
+   * Record the current URL; state-only history calls and the hashchange that
+   * follows a popstate don't change it and are skipped
+   */
+  recordNavigation(navigationType, extra = {}) {
+    const url = this.redact(window.location.href);
+    if (url === this.lastUrl) return;
+
+    this.lastUrl = url;
+    this.record('navigation', { navigationType, url, ...extra });
+  }
+
+  redact(url) {
+    return this.redactionRules ? redactUrl(url, this.redactionRules) : url;
+  }
+}
+
+/**
+ * The early capture running on this page, if the snippet was loaded
+ */
+export function getEarlyCapture() {
+  return (typeof window !== 'undefined' && window[GLOBAL_KEY]) || null;
+}
+
+/**
+ * Start capturing (once per page) and return the instance
+ */
+export function startEarlyCapture(options = {}) {
+  if (!window[GLOBAL_KEY]) {
+    window[GLOBAL_KEY] = new EarlyCapture(options);
+    window[GLOBAL_KEY].start();
+  }
+  return window[GLOBAL_KEY];
+}
+
+function formatArgument(arg) {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return arg.stack || `${arg.name}: ${arg.message}`;
+  if (arg && typeof arg === 'object') {
+    try {
+      return JSON.stringify(arg);
+    } catch (error) {
+      return String(arg);
+    }
+  }
+  return String(arg);
+}
+
+function describeBody(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body === 'string') return body;
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return 'FormData: ' + Array.from(body.entries()).map(([key, value]) => `${key}=${typeof value === 'string' ? value : '[File]'}`).join(', ');
+  }
+  if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) return body.toString();
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return `[Blob ${body.type || 'binary'}, ${body.size} bytes]`;
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return `[Binary, ${body.byteLength} bytes]`;
+  return String(body);
+}
+
+function headersToObject(headers) {
+  if (!headers) return {};
+  if (typeof Headers !== 'undefined' && headers instanceof Headers) return Object.fromEntries(headers.entries());
+  if (Array.isArray(headers)) return Object.fromEntries(headers);
+  return { ...headers };
+}
+
+function parseHeaders(headerString) {
+  return (headerString || '').trim().split(/[\r\n]+/).reduce((headers, line) => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    return headers;
+  }, {});
+}
+
+function truncate(text, maxLength) {
+  if (typeof text !== 'string' || text.length <= maxLength) return text;
+  return `${text.slice(0, maxLength)}… [${text.length - maxLength} more characters]`;
+}
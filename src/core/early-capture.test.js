@@ -0,0 +1,34 @@
+import { EarlyCapture } from './early-capture.js';
+
+describe('EarlyCapture', () => {
+  let capture;
+
+  beforeEach(() => {
+    sessionStorage.clear();
+    capture = new EarlyCapture({ errors: false, network: false, navigation: false, consoleLevels: ['log'] });
+  });
+
+  afterEach(() => {
+    capture.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('masks personal data in console output before buffering it', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    capture.start();
+    console.log('Signed in as', { email: 'jane@example.com' }, 'call +44 20 7946 0958');
+
+    const [entry] = capture.getLogs().consoleLogs;
+    expect(entry.message).toBe('Signed in as {"email":"[email]"} call [phone]');
+    expect(JSON.stringify(capture.buffer.entries)).not.toContain('jane@example.com');
+  });
+
+  it('keeps console output as-is when redaction is off', () => {
+    capture = new EarlyCapture({ errors: false, network: false, navigation: false, consoleLevels: ['log'], redaction: false });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    capture.start();
+    console.log('jane@example.com');
+
+    expect(capture.getLogs().consoleLogs[0].message).toBe('jane@example.com');
+  });
+});
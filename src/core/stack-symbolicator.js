@@ -0,0 +1,100 @@
+/**
+ * Stack Symbolicator
+ * Maps minified stack frames back to original files and lines using source maps,
+ * either supplied in the widget config at build time or fetched from a base URL
+ */
+
+import { parseSourceMap, originalPositionFor } from '../utils/source-map.js';
+
+export class StackSymbolicator {
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: null, // Maps are fetched from baseUrl + script file name + '.map'
+      maps: {}, // Script URL, path or file name → source map object (or its URL)
+      fetch: null, // Defaults to window.fetch
+      timeout: 5000,
+      ...options
+    };
+
+    // Map URL (or script name for inline maps) → Promise of the parsed map, or null
+    this.cache = new Map();
+  }
+
+  /**
+   * Original positions for parsed frames (see utils/stack-trace.js). Frames that
+   * could be mapped keep their minified position in `generated`; others are unchanged.
+   */
+  symbolicate(frames) {
+    return Promise.all(frames.map(frame => this.symbolicateFrame(frame)));
+  }
+
+  async symbolicateFrame(frame) {
+    const sourceMap = await this.getSourceMap(frame.fileName);
+    const position = sourceMap && originalPositionFor(sourceMap, frame.lineNumber, frame.columnNumber);
+    if (!position?.source) return frame;
+
+    return {
+      functionName: position.name || frame.functionName,
+      fileName: position.source,
+      lineNumber: position.line,
+      columnNumber: position.column,
+      generated: frame
+    };
+  }
+
+  /**
+   * The parsed source map for a script, loaded once; null if there is none
+   */
+  getSourceMap(fileName) {
+    const source = this.findSourceMap(fileName);
+    if (!source) return Promise.resolve(null);
+
+    const key = typeof source === 'string' ? source : fileName;
+    if (!this.cache.has(key)) {
+      // A missing or broken map leaves the frames as they are
+      this.cache.set(key, this.loadSourceMap(source).catch(() => null));
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Configured map for a script (by full URL, path or file name), or its URL under baseUrl
+   */
+  findSourceMap(fileName) {
+    if (!fileName) return null;
+
+    const { maps = {}, baseUrl } = this.options;
+    const url = fileName.split(/[?#]/)[0];
+    const path = url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '');
+    const name = path.slice(path.lastIndexOf('/') + 1);
+
+    const configured = maps[fileName] || maps[url] || maps[path] || maps[name];
+    if (configured) return configured;
+
+    // Only real scripts; frames like <anonymous> or native code have no map
+    if (baseUrl && /\.[cm]?js$/.test(name)) {
+      return `${baseUrl.replace(/\/?$/, '/')}${name}.map`;
+    }
+    return null;
+  }
+
+  async loadSourceMap(source) {
+    if (typeof source !== 'string') {
+      return parseSourceMap(source);
+    }
+
+    const fetchSourceMap = this.options.fetch || window.fetch;
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = setTimeout(() => controller?.abort(), this.options.timeout);
+
+    try {
+      const response = await fetchSourceMap(source, { signal: controller?.signal });
+      if (!response.ok) {
+        throw new Error(`Source map request failed: ${response.status}`);
+      }
+      return parseSourceMap(await response.text());
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * Submission Outbox
+ * IndexedDB-backed queue for feedback that could not be submitted,
+ * retried with exponential backoff when the browser comes back online
+ */
+
+import { openDatabase, withStore } from '../utils/indexed-db.js';
+
+const DB_NAME = 'mg_widget_outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'submissions';
+
+export class SubmissionOutbox {
+  constructor(options = {}) {
+    this.options = {
+      baseRetryDelay: 5000,
+      maxRetryDelay: 5 * 60 * 1000,
+      maxAge: 7 * 24 * 60 * 60 * 1000, // Give up on reports older than a week
+      onSend: null, // async (item) => ({ success, retryable, failed, item })
+      onChange: null, // (pendingCount) => void
+      onFailed: null, // (item) => void, when onSend gave up but the item is worth keeping
+      ...options
+    };
+
+    this.dbPromise = null;
+    this.isProcessing = false;
+    this.retryTimer = null;
+    this.handleOnline = () => this.process({ force: true });
+  }
+
+  /**
+   * Start listening for connectivity and flush anything left from a previous page load
+   */
+  start() {
+    window.addEventListener('online', this.handleOnline);
+    return this.process({ force: true });
+  }
+
+  /**
+   * Open (or reuse) the outbox database
+   */
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(DB_NAME, DB_VERSION, {
+        [STORE_NAME]: { keyPath: 'id' }
+      });
+      // Allow a later call to retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Queue a submission. Items are keyed by submission id, so queueing the
+   * same report again replaces the existing entry instead of duplicating it.
+   */
+  async enqueue(submission) {
+    const db = await this.getDatabase();
+    const existing = await withStore(db, STORE_NAME, 'readonly', store => store.get(submission.id));
+
+    const item = {
+      attempts: 0,
+      createdAt: Date.now(),
+      ...existing,
+      ...submission,
+      nextAttemptAt: Date.now() + this.options.baseRetryDelay
+    };
+
+    await withStore(db, STORE_NAME, 'readwrite', store => store.put(item));
+    await this.notifyChange();
+    this.scheduleRetry();
+
+    return item;
+  }
+
+  async getAll() {
+    const db = await this.getDatabase();
+    return withStore(db, STORE_NAME, 'readonly', store => store.getAll());
+  }
+
+  async remove(id) {
+    const db = await this.getDatabase();
+    await withStore(db, STORE_NAME, 'readwrite', store => store.delete(id));
+    await this.notifyChange();
+  }
+
+  async update(item) {
+    const db = await this.getDatabase();
+    await withStore(db, STORE_NAME, 'readwrite', store => store.put(item));
+  }
+
+  /**
+   * Number of items still waiting to be sent (failed ones don't count)
+   */
+  async count() {
+    try {
+      const items = await this.getAll();
+      return items.filter(item => item.status !== 'failed').length;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Put a failed item back in the queue and try it right away
+   */
+  async retryFailed(id) {
+    const db = await this.getDatabase();
+    const item = await withStore(db, STORE_NAME, 'readonly', store => store.get(id));
+    if (!item) return;
+
+    await this.update({ ...item, status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+    await this.process({ force: true });
+  }
+
+  /**
+   * Try to send queued items that are due (or all of them when forced)
+   */
+  async process({ force = false } = {}) {
+    if (this.isProcessing || !this.options.onSend) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+    this.isProcessing = true;
+    const failedItems = [];
+
+    try {
+      const items = await this.getAll();
+      const now = Date.now();
+
+      for (const item of items) {
+        if (now - item.createdAt > this.options.maxAge) {
+          await this.remove(item.id);
+          continue;
+        }
+
+        // Failed items wait for retryFailed()
+        if (item.status === 'failed' || (!force && item.nextAttemptAt > now)) {
+          continue;
+        }
+
+        let result;
+        try {
+          result = await this.options.onSend(item);
+        } catch (error) {
+          result = { success: false, retryable: true, error: error.message };
+        }
+
+        if (result.failed) {
+          const failed = {
+            ...item,
+            ...result.item,
+            attempts: item.attempts + 1,
+            status: 'failed',
+            lastError: result.error || null
+          };
+          await this.update(failed);
+          failedItems.push(failed);
+        } else if (result.success || !result.retryable) {
+          await this.remove(item.id);
+        } else {
+          const attempts = item.attempts + 1;
+          await this.update({
+            ...item,
+            ...result.item,
+            attempts,
+            lastError: result.error || null,
+            nextAttemptAt: Date.now() + this.getRetryDelay(attempts)
+          });
+        }
+      }
+    } catch {
+      // IndexedDB unavailable - nothing we can do until the next trigger
+    } finally {
+      this.isProcessing = false;
+    }
+
+    await this.notifyChange();
+    this.scheduleRetry();
+
+    // After processing, so a retry started from the callback isn't skipped
+    if (this.options.onFailed) {
+      failedItems.forEach(item => this.options.onFailed(item));
+    }
+  }
+
+  /**
+   * Exponential backoff with a cap
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.options.baseRetryDelay * Math.pow(2, attempts), this.options.maxRetryDelay);
+  }
+
+  /**
+   * Arm a timer for the next item that becomes due
+   */
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+
+    let items;
+    try {
+      items = await this.getAll();
+    } catch {
+      return;
+    }
+
+    const pending = items.filter(item => item.status !== 'failed');
+    if (pending.length === 0) return;
+
+    const nextAttemptAt = Math.min(...pending.map(item => item.nextAttemptAt));
+    this.retryTimer = setTimeout(() => this.process(), Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  async notifyChange() {
+    if (this.options.onChange) {
+      this.options.onChange(await this.count());
+    }
+  }
+
+  /**
+   * Stop background retries
+   */
+  destroy() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    window.removeEventListener('online', this.handleOnline);
+  }
+}
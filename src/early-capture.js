@@ -0,0 +1,26 @@
+/**
+ * Early Capture snippet
+ * Separate entry point (vfw-early-capture.js) to load first in <head>, before the
+ * widget, so console output, errors, requests and navigations are buffered from
+ * page load. Starts right away with the options in window.VFWEarlyCaptureConfig;
+ * set that to false to call VFWEarlyCapture.start(options) yourself.
+ */
+
+import { startEarlyCapture, getEarlyCapture } from './core/early-capture.js';
+
+const VFWEarlyCapture = {
+  start: startEarlyCapture,
+  stop: () => getEarlyCapture()?.stop(),
+  clear: () => getEarlyCapture()?.buffer.clear(),
+  getInstance: getEarlyCapture
+};
+
+if (typeof window !== 'undefined') {
+  window.VFWEarlyCapture = VFWEarlyCapture;
+
+  if (window.VFWEarlyCaptureConfig !== false) {
+    startEarlyCapture(window.VFWEarlyCaptureConfig || {});
+  }
+}
+
+export default VFWEarlyCapture;
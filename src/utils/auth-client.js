@@ -1,13 +1,45 @@
 import { StorageManager } from './storage-manager';
+import { SessionSync } from './session-sync.js';
+import { SsoClient } from './sso-client.js';
+import { parseJwtPayload } from './helpers.js';
 
 /**
  * Authentication Client for handling login/logout and session management
  * Integrates with the ticket portal's authentication system
  */
 export class AuthClient {
-  constructor(baseUrl) {
+  constructor(baseUrl, options = {}) {
     this.baseUrl = baseUrl;
     this.listeners = [];
+    this.options = {
+      refreshLeadTime: 6 * 60 * 1000, // Refresh before StorageManager's 5 minute expiry buffer kicks in
+      refreshRetryDelay: 30 * 1000,
+      validationCacheTtl: 30 * 1000,
+      remoteRefreshTimeout: 5000, // How long a follower tab waits for the leader to refresh
+      hostTokenTtl: 10 * 60 * 1000, // Assumed lifetime of a host token without an exp claim
+      ...options
+    };
+
+    this.refreshPromise = null;
+    this.refreshTimer = null;
+    this.validationPromise = null;
+    this.lastValidation = null;
+    this.remoteRefreshWaiters = [];
+    this.hostIdentity = null;
+    this.sync = new SessionSync({
+      onMessage: (message) => this.handleSyncMessage(message)
+    });
+    this.sso = new SsoClient(baseUrl, {
+      providers: options.ssoProviders || null,
+      organizationId: options.organizationId || null,
+      mode: options.ssoMode || 'popup',
+      redirectUri: options.ssoRedirectUri || null
+    });
+
+    StorageManager.configure({
+      tokenStorage: options.tokenStorage,
+      legacyTokenKeys: options.legacyTokenKeys
+    });
     
     
     
@@ -35,41 +67,6 @@ export class AuthClient {
     return { ...this.currentState };
   }
 
-  /**
-   * Validate current session and refresh if needed
-   */
-  async validateSession() {
-    const accessToken = StorageManager.getAccessToken();
-    if (!accessToken) {
-      this.currentState.isAuthenticated = false;
-      return false;
-    }
-
-    try {
-      const response = await fetch(`${this.baseUrl}/auth/external`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        this.currentState.isAuthenticated = true;
-        this.currentState.user = data.user;
-        return true;
-      } else {
-        this.currentState.isAuthenticated = false;
-        StorageManager.clearSession();
-        return false;
-      }
-    } catch (error) {
-      this.currentState.isAuthenticated = false;
-      StorageManager.clearSession();
-      return false;
-    }
-  }
-
   /**
    * Subscribe to authentication state changes
    */
@@ -149,6 +146,8 @@ export class AuthClient {
       if (!stored) {
         
       }
+      this.handleSessionStored(session);
+      this.sync.broadcast({ type: 'login', session });
 
       this.updateState({
         isLoading: false,
@@ -175,10 +174,191 @@ export class AuthClient {
     }
   }
 
+  /**
+   * Login through the organization's identity provider (OAuth 2.0 + PKCE)
+   */
+  async loginWithSso() {
+    this.updateState({ isLoading: true, error: null });
+
+    const result = await this.sso.signIn();
+    if (result.redirecting) {
+      return result;
+    }
+
+    return this.completeSsoLogin(result);
+  }
+
+  /**
+   * Store the session produced by an SSO sign-in
+   */
+  completeSsoLogin(result) {
+    if (!result.success) {
+      this.updateState({ isLoading: false, error: result.error });
+      return { success: false, error: result.error };
+    }
+
+    const session = result.data;
+    StorageManager.storeSession(session);
+    this.handleSessionStored(session);
+    this.sync.broadcast({ type: 'login', session });
+
+    this.updateState({
+      isLoading: false,
+      isAuthenticated: true,
+      user: session.user,
+      session,
+      error: null
+    });
+
+    return { success: true, data: session };
+  }
+
+  /**
+   * Whether SSO is configured for the current organization
+   */
+  isSsoAvailable() {
+    return this.sso.isAvailable();
+  }
+
+  /**
+   * Use the host application's signed-in user instead of the widget login.
+   * identity: { token } or { getToken: async () => token }, plus optional
+   * user details and exchange: true to trade a host-signed JWT for a widget session.
+   * The session is kept in memory only; call identify() again on every page load.
+   */
+  async identify(identity) {
+    if (!identity || (!identity.token && typeof identity.getToken !== 'function')) {
+      return { success: false, error: 'identify() needs a token or a getToken function' };
+    }
+
+    this.hostIdentity = identity;
+    this.invalidateValidation();
+    return this.authenticateWithHost();
+  }
+
+  /**
+   * Forget the host identity, e.g. when the user signs out of the host app
+   */
+  clearIdentity() {
+    this.hostIdentity = null;
+    StorageManager.clearSession();
+    this.handleSessionCleared();
+
+    this.updateState({
+      isLoading: false,
+      isAuthenticated: false,
+      user: null,
+      session: null,
+      error: null
+    });
+  }
+
+  hasHostIdentity() {
+    return !!this.hostIdentity;
+  }
+
+  /**
+   * Build a session from the host's current token. Also used to renew it,
+   * which calls getToken() again.
+   */
+  async authenticateWithHost() {
+    const identity = this.hostIdentity;
+    this.updateState({ isLoading: true, error: null });
+
+    try {
+      const token = identity.getToken ? await identity.getToken() : identity.token;
+      if (!token) {
+        throw new Error('The host application did not provide a token');
+      }
+
+      const session = identity.exchange
+        ? await this.exchangeHostToken(token, identity.user)
+        : this.createHostSession(token, identity.user);
+
+      // Not persisted, so signing out of the host app also ends the widget session
+      StorageManager.storeSession(session, { persist: false });
+      this.handleSessionStored(session);
+
+      this.updateState({
+        isLoading: false,
+        isAuthenticated: true,
+        user: session.user,
+        session,
+        error: null
+      });
+      return { success: true, data: session };
+
+    } catch (error) {
+      this.updateState({ isLoading: false, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Use the host token as the widget's access token
+   */
+  createHostSession(token, user = {}) {
+    const claims = parseJwtPayload(token) || {};
+    const now = Math.floor(Date.now() / 1000);
+
+    return {
+      access_token: token,
+      refresh_token: null,
+      // Unknown expiry: treat the token as short-lived, so it is renewed through the host
+      expires_at: claims.exp || now + Math.floor(this.options.hostTokenTtl / 1000),
+      issued_at: claims.exp && claims.iat ? claims.iat : now,
+      user: {
+        id: user?.id || claims.sub,
+        email: user?.email || claims.email,
+        full_name: user?.full_name || user?.name || claims.name,
+        avatar_url: user?.avatar_url || claims.picture,
+        role: user?.role || 'user'
+      }
+    };
+  }
+
+  /**
+   * Trade a host-signed JWT for a widget session
+   */
+  async exchangeHostToken(token, user) {
+    const response = await fetch(`${this.baseUrl}/auth/external`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        action: 'exchange',
+        token,
+        user: user || null
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || errorData.error || `Token exchange failed: ${response.status}`);
+    }
+
+    const authData = await response.json();
+
+    return {
+      access_token: authData.session?.accessToken,
+      refresh_token: authData.session?.refreshToken,
+      expires_at: authData.session?.expiresAt || (Date.now() / 1000) + (24 * 60 * 60), // 24h default
+      user: {
+        id: authData.user?.id,
+        email: authData.user?.email,
+        full_name: authData.user?.full_name || authData.user?.name,
+        avatar_url: authData.user?.avatar_url,
+        role: authData.user?.role || 'user'
+      }
+    };
+  }
+
   /**
    * Logout and clear session
    */
   async logout() {
+    this.hostIdentity = null;
     this.updateState({ isLoading: true });
 
     try {
@@ -195,6 +375,8 @@ export class AuthClient {
 
       // Clear local session regardless of API response
       StorageManager.clearSession();
+      this.handleSessionCleared();
+      this.sync.broadcast({ type: 'logout' });
       
       this.updateState({
         isLoading: false,
@@ -213,6 +395,8 @@ export class AuthClient {
       
       // Clear local session even if API call fails
       StorageManager.clearSession();
+      this.handleSessionCleared();
+      this.sync.broadcast({ type: 'logout' });
       
       this.updateState({
         isLoading: false,
@@ -226,12 +410,36 @@ export class AuthClient {
     }
   }
 
+  /**
+   * Refresh the session. Concurrent callers share a single request so the
+   * refresh token is only used once.
+   */
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
   /**
    * Verify/refresh authentication session using MG Tickets API
    */
-  async refreshSession() {
-    
-    
+  async performRefresh() {
+    // Host-provided tokens are renewed by asking the host again
+    if (this.hostIdentity && !StorageManager.getRawSession()?.refresh_token) {
+      return this.authenticateWithHost();
+    }
+
+    // Let the leader tab refresh so only one tab uses the refresh token
+    if (!this.sync.isLeader()) {
+      const refreshed = await this.waitForRemoteRefresh();
+      if (refreshed) {
+        return { success: true, data: refreshed };
+      }
+    }
+
     // Use getRawSession to access refresh token even if access token is expired
     const currentSession = StorageManager.getRawSession();
     if (!currentSession || !currentSession.refresh_token) {
@@ -257,8 +465,30 @@ export class AuthClient {
         const errorData = await response.json().catch(() => ({}));
         const errorMessage = errorData.error || `Session refresh failed: ${response.status}`;
         
-        // Refresh failed, clear session
+        // Server trouble - keep the session and try again later
+        if (response.status >= 500) {
+          this.updateState({ isLoading: false });
+          this.scheduleRefresh(currentSession, this.options.refreshRetryDelay);
+          return { success: false, error: errorMessage, retryable: true };
+        }
+        
+        // Another tab may have rotated the refresh token in the meantime
+        const latestSession = await StorageManager.reload();
+        if (latestSession?.refresh_token && latestSession.refresh_token !== currentSession.refresh_token) {
+          this.handleSessionStored(latestSession);
+          this.updateState({ isLoading: false, isAuthenticated: true, user: latestSession.user, session: latestSession, error: null });
+          return { success: true, data: latestSession };
+        }
+        
+        // Fall back to the host identity before giving up
+        if (this.hostIdentity) {
+          return this.authenticateWithHost();
+        }
+        
+        // Refresh token rejected, clear session
         StorageManager.clearSession();
+        this.handleSessionCleared();
+        this.sync.broadcast({ type: 'logout' });
         
         this.updateState({
           isLoading: false,
@@ -286,7 +516,12 @@ export class AuthClient {
         }
       };
 
-      StorageManager.storeSession(session);
+      // Exchanged host sessions stay in this tab's memory, like the host token they came from
+      StorageManager.storeSession(session, { persist: !this.hostIdentity });
+      this.handleSessionStored(session);
+      if (!this.hostIdentity) {
+        this.sync.broadcast({ type: 'refresh', session });
+      }
 
       this.updateState({
         isLoading: false,
@@ -298,50 +533,207 @@ export class AuthClient {
       return { success: true, data: session };
 
     } catch (error) {
-      
-      StorageManager.clearSession();
-      
-      this.updateState({
-        isLoading: false,
-        isAuthenticated: false,
-        user: null,
-        session: null,
-        error: 'Session refresh failed'
-      });
-      return { success: false, error: error.message };
+      // Network error - keep the refresh token so a later attempt can succeed
+      this.updateState({ isLoading: false });
+      this.scheduleRefresh(currentSession, this.options.refreshRetryDelay);
+      return { success: false, error: error.message, retryable: true };
     }
   }
 
   /**
-   * Validate current session
+   * Arm a timer that refreshes the session shortly before it expires
    */
-  async validateSession() {
+  scheduleRefresh(session, delay = null) {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    if (!session?.expires_at || (!session.refresh_token && !this.hostIdentity?.getToken)) {
+      return;
+    }
+
+    const remaining = session.expires_at * 1000 - Date.now();
+    const leadTime = this.options.refreshLeadTime;
+
+    // Short-lived tokens (typically host tokens) are renewed halfway through instead
+    const wait = delay ?? (remaining > leadTime * 2 ? remaining - leadTime : Math.max(remaining / 2, 5000));
+
+    // setTimeout overflows above ~24.8 days
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+
+      // Host tokens are per tab; refresh tokens are shared and renewed by the leader
+      if (this.sync.isLeader() || !StorageManager.getRawSession()?.refresh_token) {
+        this.refreshSession();
+      } else {
+        // The leader's refresh reaches us as a sync message; check back in case it never does
+        this.scheduleRefresh(StorageManager.getRawSession(), this.options.refreshRetryDelay);
+      }
+    }, Math.min(wait, 2147483647));
+  }
+
+  /**
+   * Ask the leader tab to refresh and wait for the new session (null on timeout).
+   * The request carries the token we gave up on, so the leader won't just send it back.
+   */
+  waitForRemoteRefresh() {
+    return new Promise((resolve) => {
+      const waiter = (session) => {
+        clearTimeout(timer);
+        resolve(session);
+      };
+      const timer = setTimeout(() => {
+        this.remoteRefreshWaiters = this.remoteRefreshWaiters.filter(w => w !== waiter);
+        resolve(null);
+      }, this.options.remoteRefreshTimeout);
+
+      this.remoteRefreshWaiters.push(waiter);
+      this.sync.broadcast({ type: 'refresh-request', staleToken: StorageManager.getRawSession()?.access_token || null });
+    });
+  }
+
+  resolveRemoteRefresh(session) {
+    const waiters = this.remoteRefreshWaiters;
+    this.remoteRefreshWaiters = [];
+    waiters.forEach(waiter => waiter(session));
+  }
+
+  /**
+   * Apply login, logout and refresh performed in another tab
+   */
+  async handleSyncMessage(message) {
+    switch (message.type) {
+      case 'login':
+      case 'refresh': {
+        // The storage event fallback doesn't carry tokens - read them from the shared backend
+        const session = message.session || await StorageManager.reload();
+        if (!session) return;
+
+        StorageManager.applySession(session);
+        this.handleSessionStored(session);
+        this.updateState({
+          isLoading: false,
+          isAuthenticated: true,
+          user: session.user || null,
+          session,
+          error: null
+        });
+        this.resolveRemoteRefresh(session);
+        break;
+      }
+
+      case 'logout':
+        StorageManager.applySession(null);
+        this.handleSessionCleared();
+        this.updateState({
+          isLoading: false,
+          isAuthenticated: false,
+          user: null,
+          session: null,
+          error: null
+        });
+        this.resolveRemoteRefresh(null);
+        break;
+
+      case 'refresh-request': {
+        if (!this.sync.isLeader()) return;
+
+        // Our copy may already be fresh - share it instead of refreshing again,
+        // unless it is the very token the other tab had rejected
+        const session = StorageManager.getSession();
+        if (session && session.access_token !== message.staleToken) {
+          this.sync.broadcast({ type: 'refresh', session });
+        } else {
+          this.refreshSession();
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Bookkeeping after a new session has been stored
+   */
+  handleSessionStored(session) {
+    this.lastValidation = { valid: true, at: Date.now() };
+    this.scheduleRefresh(session);
+  }
+
+  /**
+   * Bookkeeping after the session has been cleared
+   */
+  handleSessionCleared() {
+    this.lastValidation = null;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Forget the cached validation result, e.g. after the server rejected the token
+   */
+  invalidateValidation() {
+    this.lastValidation = null;
+  }
+
+  /**
+   * Validate current session. Results are cached briefly and concurrent
+   * calls share one validation, so a burst of API calls costs a single check.
+   */
+  validateSession() {
+    const cached = this.lastValidation;
+    if (cached && Date.now() - cached.at < this.options.validationCacheTtl) {
+      return Promise.resolve(cached.valid);
+    }
+
+    if (!this.validationPromise) {
+      this.validationPromise = this.performValidation()
+        .then((valid) => {
+          this.lastValidation = { valid, at: Date.now() };
+          return valid;
+        })
+        .finally(() => {
+          this.validationPromise = null;
+        });
+    }
+    return this.validationPromise;
+  }
+
+  async performValidation() {
+    // Make sure the persisted session has been loaded into memory
+    await StorageManager.initialize();
     
     // First try to get valid session (auto-clears if expired)
     const session = StorageManager.getSession();
     if (session) {
+      if (!this.refreshTimer) {
+        this.scheduleRefresh(session);
+      }
       return true;
     }
 
     // If no valid session, check for raw session data (may contain refresh token)
     const rawSession = StorageManager.getRawSession();
     
-    if (!rawSession) {
+    if (!rawSession && !this.hostIdentity) {
       return false;
     }
 
-    // Check if we have a refresh token
-    if (!rawSession.refresh_token) {
+    // Check if we have a refresh token (host identities renew through getToken instead)
+    if (!rawSession?.refresh_token && !this.hostIdentity) {
       StorageManager.clearSession();
       return false;
     }
 
-    
     // Try to refresh using the available refresh token
     const refreshResult = await this.refreshSession();
-    
-    
-    return refreshResult.success;
+    if (refreshResult.success) {
+      return true;
+    }
+
+    // A failed refresh inside the expiry buffer doesn't invalidate a token that still works
+    return !!refreshResult.retryable && Date.now() < rawSession?.expires_at * 1000;
   }
 
   /**
@@ -365,13 +757,41 @@ export class AuthClient {
     return StorageManager.isAuthenticated();
   }
 
+  /**
+   * Stop the refresh scheduler and cross-tab sync
+   */
+  destroy() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.sync.destroy();
+    this.resolveRemoteRefresh(null);
+    this.listeners = [];
+  }
+
   /**
    * Initialize and validate session on startup
    */
   async initialize() {
+    this.sync.start();
+    await StorageManager.initialize();
+
+    // Finish a redirect-mode SSO sign-in that brought us back to this page
+    const ssoResult = await this.sso.handleRedirectCallback()
+      .catch(error => ({ success: false, error: error.message }));
+    if (ssoResult) {
+      this.completeSsoLogin(ssoResult);
+    }
+
     const isValid = await this.validateSession();
     
-    if (!isValid) {
+    if (isValid) {
+      const session = StorageManager.getRawSession();
+      this.updateState({
+        isAuthenticated: true,
+        user: session?.user || null,
+        session
+      });
+    } else {
       this.updateState({
         isAuthenticated: false,
         user: null,
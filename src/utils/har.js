@@ -0,0 +1,355 @@
+/**
+ * HAR 1.2 (HTTP Archive) conversion for captured network logs, so a report's
+ * traffic can be opened in browser DevTools or any HAR viewer, and a HAR file
+ * can be loaded back into the network tab.
+ * Spec: http://www.softwareishard.com/blog/har-12-spec/
+ */
+
+const HAR_VERSION = '1.2';
+const CREATOR = { name: 'Visual Feedback Widget', version: '1.2.0' };
+const PAGE_ID = 'page_1';
+
+// The capture doesn't see the protocol; DevTools shows this for unknown entries too
+const DEFAULT_HTTP_VERSION = 'HTTP/1.1';
+
+// Log types that DevTools names differently in _resourceType
+const RESOURCE_TYPES = { beacon: 'ping' };
+const LOG_TYPES = { ping: 'beacon' };
+
+/**
+ * Build a HAR document from captured network logs.
+ * Options: { pageUrl, pageTitle, startedAt } describe the page the report came from.
+ */
+export function networkLogsToHar(networkLogs, options = {}) {
+  const baseUrl = options.pageUrl || window.location.href;
+  const entries = networkLogs
+    .map(log => logToHarEntry(log, baseUrl))
+    .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+
+  const firstStart = entries[0]?.startedDateTime || new Date().toISOString();
+
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: CREATOR,
+      pages: [{
+        startedDateTime: options.startedAt ? new Date(options.startedAt).toISOString() : firstStart,
+        id: PAGE_ID,
+        title: options.pageTitle || baseUrl,
+        pageTimings: { onContentLoad: -1, onLoad: -1 }
+      }],
+      entries
+    }
+  };
+}
+
+/**
+ * One HAR entry for a captured request
+ */
+export function logToHarEntry(log, baseUrl = window.location.href) {
+  const url = resolveUrl(log.url, baseUrl);
+  const duration = Math.max(0, Number(log.duration) || 0);
+  const startedAt = log.startedAt || (log.timestamp || Date.now()) - duration;
+  const requestMimeType = getHeader(log.requestHeaders, 'content-type') || guessPayloadMimeType(log.requestPayload);
+  const responseText = log.responseData ?? '';
+  const responseSize = Number(log.size);
+
+  const entry = {
+    pageref: PAGE_ID,
+    startedDateTime: new Date(startedAt).toISOString(),
+    time: duration,
+    request: {
+      method: (log.method || 'GET').toUpperCase(),
+      url,
+      httpVersion: DEFAULT_HTTP_VERSION,
+      cookies: [],
+      headers: toNameValueList(log.requestHeaders),
+      queryString: getQueryString(url),
+      headersSize: -1,
+      bodySize: log.requestPayload ? log.requestPayload.length : 0
+    },
+    response: {
+      status: log.status || 0,
+      statusText: log.statusText || '',
+      httpVersion: DEFAULT_HTTP_VERSION,
+      cookies: [],
+      headers: toNameValueList(log.headers),
+      content: {
+        size: Number.isFinite(responseSize) ? responseSize : responseText.length,
+        mimeType: getHeader(log.headers, 'content-type') || guessPayloadMimeType(responseText) || 'x-unknown',
+        text: responseText
+      },
+      redirectURL: getHeader(log.headers, 'location') || '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: toHarTimings(log.timing, duration),
+    _resourceType: RESOURCE_TYPES[log.type] || log.type || 'fetch'
+  };
+
+  // Frames as Chrome exports them; times in seconds, opcode 1 for text and 2 for binary
+  if (log.type === 'websocket') {
+    entry._webSocketMessages = (log.messages || []).map(message => ({
+      type: message.direction === 'sent' ? 'send' : 'receive',
+      time: message.timestamp / 1000,
+      opcode: message.binary ? 2 : 1,
+      data: message.data ?? ''
+    }));
+    if (log.closeCode !== undefined) {
+      entry._webSocketClose = { code: log.closeCode, reason: log.closeReason || '', wasClean: !!log.wasClean };
+    }
+  }
+  if (log.type === 'eventsource') {
+    entry._eventSourceMessages = (log.messages || []).map(message => ({
+      time: message.timestamp / 1000,
+      eventName: message.event,
+      eventId: message.id || '',
+      data: message.data ?? ''
+    }));
+    entry._reconnects = log.reconnects || 0;
+  }
+  if (log.messageCount > (log.messages || []).length) {
+    entry._droppedMessages = log.messageCount - log.messages.length;
+  }
+
+  if (log.requestPayload) {
+    entry.request.postData = toPostData(log.requestPayload, requestMimeType);
+  }
+  if (log.error) {
+    entry.response._error = log.error;
+  }
+  if (log.redactions && Object.keys(log.redactions).length > 0) {
+    entry._redactions = log.redactions;
+  }
+
+  return entry;
+}
+
+/**
+ * Turn a HAR document (object or JSON text) back into network log entries
+ * in the shape the console logger captures
+ */
+export function harToNetworkLogs(har) {
+  const data = typeof har === 'string' ? JSON.parse(har) : har;
+  if (!Array.isArray(data?.log?.entries)) {
+    throw new Error('Not a HAR file: missing log.entries');
+  }
+
+  return data.log.entries.map(entry => {
+    const { request = {}, response = {} } = entry;
+    const content = response.content || {};
+    const startedAt = Date.parse(entry.startedDateTime) || Date.now();
+    const duration = Math.round(Number(entry.time) || 0);
+
+    return {
+      method: request.method || 'GET',
+      url: request.url || '',
+      status: response.status || 0,
+      statusText: response.statusText || '',
+      duration,
+      size: content.size >= 0 ? content.size : (content.text?.length || 0),
+      type: LOG_TYPES[entry._resourceType] || entry._resourceType || 'fetch',
+      ...fromStreamMessages(entry),
+      headers: fromNameValueList(response.headers),
+      requestHeaders: fromNameValueList(request.headers),
+      requestPayload: request.postData ? fromPostData(request.postData) : null,
+      responseData: decodeContent(content),
+      error: response._error || null,
+      startedAt,
+      timestamp: startedAt + duration,
+      timing: fromHarTimings(entry.timings),
+      redactions: entry._redactions || {}
+    };
+  });
+}
+
+/**
+ * Connection phases of a request from the Resource Timing API, in HAR terms, or
+ * null when the browser doesn't expose them (cross-origin without Timing-Allow-Origin)
+ */
+export function getResourceTiming(url, startedAt) {
+  if (typeof performance === 'undefined' || !performance.getEntriesByName) return null;
+
+  const absoluteUrl = resolveUrl(url, window.location.href);
+  const startTime = startedAt - (performance.timeOrigin || Date.now() - performance.now());
+  // The same URL may have been requested several times; take the closest start
+  const resource = performance.getEntriesByName(absoluteUrl, 'resource')
+    .filter(item => item.initiatorType === 'fetch' || item.initiatorType === 'xmlhttprequest')
+    .sort((a, b) => Math.abs(a.startTime - startTime) - Math.abs(b.startTime - startTime))[0];
+
+  if (!resource || !resource.requestStart) return null;
+
+  const span = (from, to) => (from > 0 && to >= from ? round(to - from) : -1);
+  const connectStart = resource.connectStart || resource.requestStart;
+
+  return {
+    blocked: span(resource.startTime, resource.domainLookupStart || connectStart),
+    dns: span(resource.domainLookupStart, resource.domainLookupEnd),
+    connect: span(resource.connectStart, resource.connectEnd),
+    ssl: span(resource.secureConnectionStart, resource.connectEnd),
+    send: 0,
+    wait: span(resource.requestStart, resource.responseStart),
+    receive: span(resource.responseStart, resource.responseEnd)
+  };
+}
+
+/**
+ * WebSocket frames or EventSource events of a HAR entry, in the logger's shape
+ */
+function fromStreamMessages(entry) {
+  if (Array.isArray(entry._webSocketMessages)) {
+    const messages = entry._webSocketMessages.map(message => ({
+      direction: message.type === 'send' ? 'sent' : 'received',
+      binary: message.opcode === 2,
+      data: message.data,
+      size: message.data?.length || 0,
+      timestamp: Math.round(message.time * 1000)
+    }));
+    const close = entry._webSocketClose;
+
+    return {
+      messages,
+      messageCount: messages.length + (entry._droppedMessages || 0),
+      state: 'closed',
+      ...(close ? { closeCode: close.code, closeReason: close.reason, wasClean: close.wasClean } : {})
+    };
+  }
+
+  if (Array.isArray(entry._eventSourceMessages)) {
+    const messages = entry._eventSourceMessages.map(message => ({
+      event: message.eventName || 'message',
+      id: message.eventId || null,
+      binary: false,
+      data: message.data,
+      size: message.data?.length || 0,
+      timestamp: Math.round(message.time * 1000)
+    }));
+
+    return {
+      messages,
+      messageCount: messages.length + (entry._droppedMessages || 0),
+      state: 'closed',
+      reconnects: entry._reconnects || 0
+    };
+  }
+
+  return {};
+}
+
+function toHarTimings(timing, duration) {
+  if (timing) return { ...timing };
+
+  // Without resource timing, the whole request counts as waiting for the server
+  return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: duration, receive: 0 };
+}
+
+function fromHarTimings(timings) {
+  if (!timings) return null;
+
+  return ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive'].reduce((result, phase) => {
+    result[phase] = typeof timings[phase] === 'number' ? timings[phase] : -1;
+    return result;
+  }, {});
+}
+
+function toPostData(payload, mimeType) {
+  // Form bodies also list their fields, as DevTools does
+  if (payload.startsWith('FormData: ')) {
+    return {
+      mimeType: 'multipart/form-data',
+      params: parseFields(payload.slice(10), ', '),
+      text: payload.slice(10)
+    };
+  }
+  if (mimeType?.startsWith('application/x-www-form-urlencoded')) {
+    return { mimeType, params: parseFields(payload, '&'), text: payload };
+  }
+  return { mimeType: mimeType || 'text/plain', text: payload };
+}
+
+function fromPostData(postData) {
+  if (typeof postData.text === 'string' && postData.text) {
+    return postData.mimeType?.startsWith('multipart/form-data') && !postData.text.includes('\r\n')
+      ? `FormData: ${postData.text}`
+      : postData.text;
+  }
+  if (Array.isArray(postData.params)) {
+    return postData.params.map(({ name, value = '' }) => `${name}=${value}`).join('&');
+  }
+  return null;
+}
+
+function decodeContent(content) {
+  if (typeof content.text !== 'string') return null;
+
+  if (content.encoding === 'base64') {
+    try {
+      return atob(content.text);
+    } catch (error) {
+      return '[Binary content]';
+    }
+  }
+  return content.text;
+}
+
+function parseFields(text, separator) {
+  if (!text) return [];
+
+  return text.split(separator).map(pair => {
+    const equals = pair.indexOf('=');
+    return equals === -1
+      ? { name: pair, value: '' }
+      : { name: pair.slice(0, equals), value: pair.slice(equals + 1) };
+  });
+}
+
+function getQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+function toNameValueList(headers) {
+  if (!headers || typeof headers !== 'object') return [];
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function fromNameValueList(list) {
+  if (!Array.isArray(list)) return {};
+  return list.reduce((result, { name, value }) => {
+    // Repeated headers are joined, as the Headers API does
+    result[name] = result[name] !== undefined ? `${result[name]}, ${value}` : value;
+    return result;
+  }, {});
+}
+
+function getHeader(headers, name) {
+  if (!headers || typeof headers !== 'object') return null;
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? String(headers[key]) : null;
+}
+
+function guessPayloadMimeType(text) {
+  if (typeof text !== 'string' || !text) return null;
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'application/json';
+  if (trimmed.startsWith('<')) return 'text/html';
+  if (/^[^\s=&]+=[^\s]*$/.test(trimmed)) return 'application/x-www-form-urlencoded';
+  return 'text/plain';
+}
+
+function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (error) {
+    return url || '';
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,100 @@
+import { networkLogsToHar, harToNetworkLogs } from './har.js';
+
+function createLog(overrides = {}) {
+  return {
+    method: 'post',
+    url: '/api/items?page=2',
+    status: 201,
+    statusText: 'Created',
+    duration: 120,
+    size: 17,
+    type: 'fetch',
+    timestamp: Date.parse('2024-05-01T10:00:00.120Z'),
+    headers: { 'content-type': 'application/json' },
+    requestHeaders: { 'content-type': 'application/json' },
+    requestPayload: '{"name":"Widget"}',
+    responseData: '{"id":"item-1"}',
+    error: null,
+    ...overrides
+  };
+}
+
+describe('HAR conversion', () => {
+  it('exports a request as a HAR 1.2 entry', () => {
+    const har = networkLogsToHar([createLog()], { pageUrl: 'https://app.example.com/items' });
+    const [entry] = har.log.entries;
+
+    expect(har.log.version).toBe('1.2');
+    expect(entry.startedDateTime).toBe('2024-05-01T10:00:00.000Z');
+    expect(entry.request.method).toBe('POST');
+    expect(entry.request.url).toBe('https://app.example.com/api/items?page=2');
+    expect(entry.request.queryString).toEqual([{ name: 'page', value: '2' }]);
+    expect(entry.request.postData).toEqual({ mimeType: 'application/json', text: '{"name":"Widget"}' });
+    expect(entry.response.content.mimeType).toBe('application/json');
+    expect(entry.timings.wait).toBe(120);
+  });
+
+  it('sorts entries by start time', () => {
+    const later = createLog({ url: '/later', timestamp: Date.parse('2024-05-01T10:00:05Z') });
+    const earlier = createLog({ url: '/earlier', timestamp: Date.parse('2024-05-01T10:00:01Z') });
+    const har = networkLogsToHar([later, earlier], { pageUrl: 'https://app.example.com/' });
+
+    expect(har.log.entries.map(entry => entry.request.url)).toEqual([
+      'https://app.example.com/earlier',
+      'https://app.example.com/later'
+    ]);
+  });
+
+  it('reads an exported file back into network logs', () => {
+    const log = createLog({ url: 'https://app.example.com/api/items', redactions: { 'header:authorization': 1 } });
+    const [imported] = harToNetworkLogs(JSON.stringify(networkLogsToHar([log])));
+
+    expect(imported).toMatchObject({
+      method: 'POST',
+      url: 'https://app.example.com/api/items',
+      status: 201,
+      duration: 120,
+      size: 17,
+      type: 'fetch',
+      requestPayload: log.requestPayload,
+      responseData: log.responseData,
+      timestamp: log.timestamp,
+      redactions: { 'header:authorization': 1 }
+    });
+  });
+
+  it('keeps WebSocket frames and the close code', () => {
+    const socket = createLog({
+      method: 'GET',
+      url: 'wss://app.example.com/live',
+      type: 'websocket',
+      requestPayload: null,
+      responseData: null,
+      messages: [
+        { direction: 'sent', data: 'ping', timestamp: 1714557600500 },
+        { direction: 'received', data: 'pong', timestamp: 1714557600600 }
+      ],
+      messageCount: 5,
+      closeCode: 1006,
+      closeReason: '',
+      wasClean: false
+    });
+    const [imported] = harToNetworkLogs(networkLogsToHar([socket]));
+
+    expect(imported.messages.map(({ direction, data, timestamp }) => ({ direction, data, timestamp })))
+      .toEqual(socket.messages);
+    expect(imported.messageCount).toBe(5);
+    expect(imported).toMatchObject({ closeCode: 1006, wasClean: false, state: 'closed' });
+  });
+
+  it('decodes base64 response bodies', () => {
+    const har = networkLogsToHar([createLog()]);
+    har.log.entries[0].response.content = { size: 5, mimeType: 'text/plain', text: btoa('hello'), encoding: 'base64' };
+
+    expect(harToNetworkLogs(har)[0].responseData).toBe('hello');
+  });
+
+  it('rejects files without entries', () => {
+    expect(() => harToNetworkLogs({ log: {} })).toThrow('Not a HAR file');
+  });
+});
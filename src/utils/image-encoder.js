@@ -0,0 +1,270 @@
+/**
+ * Screenshot export: downscale to a pixel budget and encode as WebP, JPEG or PNG,
+ * whichever the browser supports and suits the image, within a byte budget.
+ * Encoding runs in a Web Worker with OffscreenCanvas where available, so a
+ * large screenshot doesn't freeze the page.
+ */
+
+const DEFAULT_OPTIONS = {
+  format: 'auto', // 'auto', 'webp', 'jpeg' or 'png'
+  quality: 0.85,
+  maxPixels: 1920 * 1080, // Per tileHeight rows of the image
+  maxBytes: 2 * 1024 * 1024,
+  tileHeight: null // Height of one viewport in image pixels; null budgets the whole image
+};
+
+// Sampled colors above which an image is treated as a photo rather than UI
+const PHOTO_COLOR_THRESHOLD = 4096;
+const SAMPLE_WIDTH = 512;
+
+// Rounds of downscaling when no format fits the byte budget
+const MAX_DOWNSCALE_PASSES = 3;
+const DOWNSCALE_STEP = 0.75;
+
+// Plain string so the bundler doesn't transpile it into helpers the worker lacks
+const WORKER_SOURCE = `
+self.onmessage = function (event) {
+  var job = event.data;
+  var canvas = new OffscreenCanvas(job.width, job.height);
+  var ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(job.bitmap, 0, 0, job.width, job.height);
+  job.bitmap.close();
+
+  var best = null;
+  var next = function (index) {
+    if (index >= job.attempts.length) return Promise.resolve(best);
+    var attempt = job.attempts[index];
+    return canvas.convertToBlob(attempt).then(function (blob) {
+      if (blob.type !== attempt.type) return next(index + 1);
+      var result = { blob: blob, type: blob.type, quality: attempt.quality };
+      if (!best || blob.size < best.blob.size) best = result;
+      return blob.size <= job.maxBytes ? result : next(index + 1);
+    });
+  };
+
+  next(0).then(function (result) {
+    self.postMessage({ result: result });
+  }, function (error) {
+    self.postMessage({ error: String((error && error.message) || error) });
+  });
+};
+`;
+
+let webpSupport = null;
+
+/**
+ * Whether the browser can encode WebP (decoding alone isn't enough)
+ */
+export function supportsWebp() {
+  if (webpSupport === null) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = 1;
+      webpSupport = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+    } catch (error) {
+      webpSupport = false;
+    }
+  }
+  return webpSupport;
+}
+
+/**
+ * 'photo' or 'graphic' (UI, text, flat colors), from the number of distinct
+ * colors in a nearest-neighbour sample of the image
+ */
+export function analyzeImageContent(image) {
+  const scale = Math.min(1, SAMPLE_WIDTH / image.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = false; // Don't invent colors by blending
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  // Colors at 5 bits per channel, so gradients and noise don't count individually
+  const colors = new Set();
+  for (let i = 0; i < data.length; i += 4) {
+    colors.add(((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3));
+    if (colors.size > PHOTO_COLOR_THRESHOLD) return 'photo';
+  }
+  return 'graphic';
+}
+
+/**
+ * Encodings to try, best first: the configured format, or for 'auto' lossless PNG
+ * for UI screenshots and WebP (else JPEG) for photos. Lossy formats step down in
+ * quality; the last resort is always a lossy format.
+ */
+export function chooseEncodings(content, options = {}) {
+  const { format, quality } = { ...DEFAULT_OPTIONS, ...options };
+  const lossy = supportsWebp() ? ['image/webp', 'image/jpeg'] : ['image/jpeg'];
+
+  let types;
+  if (format === 'png') {
+    types = ['image/png', ...lossy];
+  } else if (format === 'jpeg') {
+    types = ['image/jpeg'];
+  } else if (format === 'webp') {
+    types = lossy;
+  } else {
+    types = content === 'graphic' ? ['image/png', ...lossy] : lossy;
+  }
+
+  const qualities = [quality, quality - 0.15, quality - 0.3]
+    .filter(step => step >= 0.4)
+    .map(step => Math.round(step * 100) / 100);
+
+  return types.flatMap(type => (
+    type === 'image/png'
+      ? [{ type }]
+      : (qualities.length > 0 ? qualities : [quality]).map(step => ({ type, quality: step }))
+  ));
+}
+
+/**
+ * File extension for an encoded image type
+ */
+export function getImageExtension(type) {
+  return { 'image/webp': 'webp', 'image/jpeg': 'jpg' }[type] || 'png';
+}
+
+/**
+ * Width and height that fit in maxPixels, keeping the aspect ratio. With a
+ * tileHeight the budget applies to each tile of that height, so a tall
+ * full-page capture keeps the width of a single viewport.
+ */
+export function fitPixelBudget(width, height, maxPixels, tileHeight = null) {
+  const budgetHeight = Math.min(height, tileHeight || height);
+  const scale = maxPixels ? Math.min(1, Math.sqrt(maxPixels / (width * budgetHeight))) : 1;
+  return {
+    width: Math.max(1, Math.floor(width * scale)),
+    height: Math.max(1, Math.floor(height * scale))
+  };
+}
+
+/**
+ * Encode an image (Blob or canvas) for upload.
+ * Resolves with { blob, type, quality, width, height, originalWidth, originalHeight }.
+ */
+export async function encodeImage(source, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const image = await loadImage(source);
+
+  try {
+    const attempts = chooseEncodings(analyzeImageContent(image), settings);
+    let { width, height } = fitPixelBudget(image.width, image.height, settings.maxPixels, settings.tileHeight);
+    let best = null;
+
+    for (let pass = 0; pass < MAX_DOWNSCALE_PASSES; pass++) {
+      const result = await encodeAttempts(image, width, height, attempts, settings.maxBytes);
+      if (result && (!best || result.blob.size < best.blob.size)) {
+        best = { ...result, width, height };
+      }
+      if (!settings.maxBytes || best?.blob.size <= settings.maxBytes) break;
+
+      width = Math.max(1, Math.floor(width * DOWNSCALE_STEP));
+      height = Math.max(1, Math.floor(height * DOWNSCALE_STEP));
+    }
+
+    if (!best) {
+      throw new Error('Could not encode the screenshot');
+    }
+
+    return { ...best, originalWidth: image.width, originalHeight: image.height };
+  } finally {
+    image.close?.();
+  }
+}
+
+/**
+ * Decode the source into something drawable and transferable to a worker
+ */
+async function loadImage(source) {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(source);
+  }
+  if (source instanceof HTMLCanvasElement) {
+    return source;
+  }
+
+  const url = URL.createObjectURL(source);
+  try {
+    return await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to load image for encoding'));
+      img.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Try the encodings in order at one size: in a worker when possible, on the
+ * main thread otherwise. Resolves with the first result within maxBytes, or the smallest.
+ */
+async function encodeAttempts(image, width, height, attempts, maxBytes) {
+  const canUseWorker = typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap;
+
+  if (canUseWorker) {
+    try {
+      return await encodeInWorker(image, width, height, attempts, maxBytes);
+    } catch (error) {
+      // Blocked by CSP or no OffscreenCanvas encoder - encode on the main thread
+    }
+  }
+
+  return encodeOnMainThread(image, width, height, attempts, maxBytes);
+}
+
+function encodeInWorker(image, width, height, attempts, maxBytes) {
+  const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+
+  return new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => {
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.result);
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      reject(new Error(event.message || 'Encoder worker failed'));
+    };
+
+    // The bitmap is copied, so the next pass can reuse it
+    worker.postMessage({ bitmap: image, width, height, attempts, maxBytes: maxBytes || Infinity });
+  }).finally(() => {
+    worker.terminate();
+    URL.revokeObjectURL(url);
+  });
+}
+
+async function encodeOnMainThread(image, width, height, attempts, maxBytes) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, width, height);
+
+  let best = null;
+  for (const attempt of attempts) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, attempt.type, attempt.quality));
+    if (!blob || blob.type !== attempt.type) continue; // Not supported by this browser
+
+    const result = { blob, type: blob.type, quality: attempt.quality };
+    if (!best || blob.size < best.blob.size) best = result;
+    if (!maxBytes || blob.size <= maxBytes) return result;
+  }
+  return best;
+}
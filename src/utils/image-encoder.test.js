@@ -0,0 +1,68 @@
+import { chooseEncodings, fitPixelBudget, getImageExtension } from './image-encoder.js';
+
+describe('image encoder', () => {
+  describe('fitPixelBudget', () => {
+    it('scales down to the budget keeping the aspect ratio', () => {
+      expect(fitPixelBudget(3840, 2160, 1920 * 1080)).toEqual({ width: 1920, height: 1080 });
+      expect(fitPixelBudget(1280, 720, 1920 * 1080)).toEqual({ width: 1280, height: 720 });
+      expect(fitPixelBudget(3840, 2160, null)).toEqual({ width: 3840, height: 2160 });
+    });
+
+    it('applies the budget per tile to tall captures', () => {
+      expect(fitPixelBudget(1920, 10000, 1920 * 1080, 1080)).toEqual({ width: 1920, height: 10000 });
+      expect(fitPixelBudget(3840, 20000, 1920 * 1080, 2160)).toEqual({ width: 1920, height: 10000 });
+    });
+
+    it('never goes below one pixel', () => {
+      expect(fitPixelBudget(10000, 1, 100)).toEqual({ width: 1000, height: 1 });
+    });
+  });
+
+  describe('chooseEncodings', () => {
+    beforeAll(() => {
+      // jsdom can't encode; pretend the browser writes WebP
+      jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/webp;base64,');
+    });
+
+    afterAll(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('keeps UI screenshots lossless and falls back to lossy formats', () => {
+      expect(chooseEncodings('graphic')).toEqual([
+        { type: 'image/png' },
+        { type: 'image/webp', quality: 0.85 },
+        { type: 'image/webp', quality: 0.7 },
+        { type: 'image/webp', quality: 0.55 },
+        { type: 'image/jpeg', quality: 0.85 },
+        { type: 'image/jpeg', quality: 0.7 },
+        { type: 'image/jpeg', quality: 0.55 }
+      ]);
+    });
+
+    it('encodes photos lossy', () => {
+      expect(chooseEncodings('photo').map(({ type }) => type)).not.toContain('image/png');
+    });
+
+    it('follows the configured format and quality', () => {
+      expect(chooseEncodings('graphic', { format: 'jpeg', quality: 0.5 })).toEqual([{ type: 'image/jpeg', quality: 0.5 }]);
+      expect(chooseEncodings('photo', { format: 'webp', quality: 0.3 })).toEqual([
+        { type: 'image/webp', quality: 0.3 },
+        { type: 'image/jpeg', quality: 0.3 }
+      ]);
+      expect(chooseEncodings('photo', { format: 'png' })[0]).toEqual({ type: 'image/png' });
+    });
+
+    it('uses JPEG when the browser cannot write WebP', () => {
+      HTMLCanvasElement.prototype.toDataURL.mockReturnValue('data:image/png;base64,');
+      jest.isolateModules(() => {
+        const { chooseEncodings: choose } = require('./image-encoder.js');
+        expect(choose('photo', { quality: 0.5 })).toEqual([{ type: 'image/jpeg', quality: 0.5 }]);
+      });
+    });
+  });
+
+  it('maps encoded types to file extensions', () => {
+    expect(['image/webp', 'image/jpeg', 'image/png'].map(getImageExtension)).toEqual(['webp', 'jpg', 'png']);
+  });
+});
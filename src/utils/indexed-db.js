@@ -0,0 +1,55 @@
+/**
+ * Minimal promise wrappers around IndexedDB
+ */
+
+export function isIndexedDBAvailable() {
+  try {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  } catch {
+    return false;
+  }
+}
+
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open a database, creating the given object stores on first use
+ * stores: { storeName: { keyPath } }
+ */
+export function openDatabase(name, version, stores) {
+  if (!isIndexedDBAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = window.indexedDB.open(name, version);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    Object.entries(stores).forEach(([storeName, storeOptions]) => {
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName, storeOptions);
+      }
+    });
+  };
+
+  return promisifyRequest(request);
+}
+
+/**
+ * Run a single request against an object store and resolve with its result
+ */
+export function withStore(db, storeName, mode, callback) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
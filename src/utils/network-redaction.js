@@ -0,0 +1,294 @@
+/**
+ * Network Redaction
+ * Removes credentials and personal data from captured requests before they are
+ * stored: denylisted headers, JSON-path masks on bodies, query parameters and
+ * form fields, and PII patterns in free text. Every rule that fires is counted,
+ * so the report can say what was removed without saying what it was.
+ */
+
+import { findPii } from './pii-patterns.js';
+
+export const REDACTED = '[REDACTED]';
+
+export const DEFAULT_REDACTION_RULES = {
+  // Matched case-insensitively; a trailing * matches any suffix
+  headers: [
+    'authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+    'x-api-key', 'x-auth-token', 'x-access-token', 'x-csrf-token', 'x-xsrf-token', 'x-amz-security-token'
+  ],
+  // JSON paths: $.a.b, $.items[0].c, $.items[*].c, and $..name for a key at any depth.
+  // Key names match case-insensitively.
+  bodyPaths: [
+    '$..password', '$..passwd', '$..new_password', '$..current_password', '$..secret', '$..client_secret',
+    '$..token', '$..access_token', '$..refresh_token', '$..id_token', '$..api_key', '$..apiKey',
+    '$..card_number', '$..cvv', '$..ssn'
+  ],
+  // Query parameters (and form fields) whose values are removed
+  queryParams: [
+    'token', 'access_token', 'refresh_token', 'id_token', 'code', 'api_key', 'apikey', 'key',
+    'signature', 'sig', 'password', 'secret', 'client_secret', 'session', 'sessionid', 'auth'
+  ],
+  // PII patterns (see pii-patterns.js) masked in URLs and bodies
+  textPatterns: ['email', 'phone', 'iban']
+};
+
+/**
+ * Merge configured rules into the defaults. Pass `false` to turn redaction off,
+ * or `useDefaults: false` to use only the configured lists.
+ */
+export function compileRedactionRules(config = {}) {
+  if (config === false) return null;
+
+  const { useDefaults = true, ...rules } = config || {};
+  const merge = (name) => [
+    ...(useDefaults ? DEFAULT_REDACTION_RULES[name] : []),
+    ...(rules[name] || [])
+  ];
+  const textPatterns = rules.textPatterns !== undefined ? rules.textPatterns : DEFAULT_REDACTION_RULES.textPatterns;
+
+  return {
+    headers: merge('headers').map(name => name.toLowerCase()),
+    bodyPaths: merge('bodyPaths')
+      .map(path => ({ path, segments: parseJsonPath(path) }))
+      .filter(({ segments }) => segments),
+    queryParams: merge('queryParams').map(name => name.toLowerCase()),
+    // Form bodies are redacted by the query params and the last key of each body path
+    formFields: [
+      ...merge('queryParams'),
+      ...merge('bodyPaths').map(path => path.match(/([A-Za-z0-9_-]+)$/)?.[1]).filter(Boolean)
+    ].map(name => name.toLowerCase()),
+    textPatterns
+  };
+}
+
+/**
+ * Redact a captured network log entry. Returns a redacted copy and the rules
+ * that were applied ({ 'header:authorization': 1, 'body:$..password': 2, ... }).
+ */
+export function redactNetworkLog(entry, rules) {
+  const applied = {};
+  const record = (rule, count = 1) => {
+    applied[rule] = (applied[rule] || 0) + count;
+  };
+
+  if (!rules) return { entry, applied };
+
+  const redacted = {
+    ...entry,
+    url: redactUrl(entry.url, rules, record),
+    headers: redactHeaders(entry.headers, rules, record),
+    requestHeaders: redactHeaders(entry.requestHeaders, rules, record),
+    requestPayload: redactBody(entry.requestPayload, rules, record),
+    responseData: redactBody(entry.responseData, rules, record)
+  };
+
+  // WebSocket frames and EventSource events
+  if (Array.isArray(entry.messages)) {
+    redacted.messages = entry.messages.map(message => (
+      message.binary ? message : { ...message, data: redactBody(message.data, rules, record) }
+    ));
+  }
+
+  return { entry: redacted, applied };
+}
+
+/**
+ * Replace denylisted header values
+ */
+export function redactHeaders(headers, rules, record = () => {}) {
+  if (!headers || typeof headers !== 'object') return headers;
+
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+    const rule = rules.headers.find(pattern => matchesName(name.toLowerCase(), pattern));
+    if (!rule) return [name, value];
+
+    record(`header:${rule}`);
+    return [name, REDACTED];
+  }));
+}
+
+/**
+ * Scrub query parameter values and mask PII in a URL, keeping its original form
+ */
+export function redactUrl(url, rules, record = () => {}) {
+  if (typeof url !== 'string') return url;
+
+  const hashIndex = url.indexOf('#');
+  const withoutHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  const queryIndex = withoutHash.indexOf('?');
+
+  let result = withoutHash;
+  if (queryIndex !== -1) {
+    const query = redactFormFields(withoutHash.slice(queryIndex + 1), '&', rules.queryParams, 'query', record);
+    result = `${withoutHash.slice(0, queryIndex)}?${query}`;
+  }
+
+  return maskPii(result + hash, rules.textPatterns, record);
+}
+
+/**
+ * Redact a request or response body: JSON by path, form data by field name,
+ * then PII patterns in whatever text is left (inside string values for JSON)
+ */
+export function redactBody(body, rules, record = () => {}) {
+  if (typeof body !== 'string' || !body) return body;
+
+  let result = body;
+  const trimmed = body.trim();
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      const data = JSON.parse(trimmed);
+      rules.bodyPaths.forEach(({ path, segments }) => {
+        const count = redactJsonPath(data, segments);
+        if (count > 0) record(`body:${path}`, count);
+      });
+      // Masking the serialized text would also hit numbers and break the JSON
+      const masked = maskPiiInJson(data, rules.textPatterns, record);
+      // Keep the formatting the logger used (pretty-printed responses)
+      return JSON.stringify(masked, null, body.includes('\n') ? 2 : 0);
+    } catch (error) {
+      // Not JSON after all - treat as text
+    }
+  } else if (body.startsWith('FormData: ')) {
+    result = `FormData: ${redactFormFields(body.slice(10), ', ', rules.formFields, 'form', record)}`;
+  } else if (/^[^\s=&{[<]+=[^\s]*$/.test(trimmed)) {
+    result = redactFormFields(trimmed, '&', rules.formFields, 'form', record);
+  }
+
+  return maskPii(result, rules.textPatterns, record);
+}
+
+/**
+ * Mask the PII patterns in free text, such as console messages
+ */
+export function redactText(text, rules, record = () => {}) {
+  return maskPii(text, rules.textPatterns, record);
+}
+
+/**
+ * Parse the supported JSON-path subset into segments, or null if it's invalid:
+ * [{ type: 'child' | 'descendant', name }] where name may be '*', or { type: 'index', index }
+ */
+export function parseJsonPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) return null;
+
+  const segments = [];
+  const pattern = /\.\.([^.[\]]+)|\.([^.[\]]+)|\[(\*|\d+|'[^']*'|"[^"]*")\]/y;
+  pattern.lastIndex = 1;
+
+  while (pattern.lastIndex < path.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(path);
+    if (!match || match.index !== start) return null;
+
+    const [, descendant, child, bracket] = match;
+    if (descendant) {
+      segments.push({ type: 'descendant', name: descendant });
+    } else if (child) {
+      segments.push({ type: 'child', name: child });
+    } else if (/^\d+$/.test(bracket)) {
+      segments.push({ type: 'index', index: Number(bracket) });
+    } else {
+      segments.push({ type: 'child', name: bracket === '*' ? '*' : bracket.slice(1, -1) });
+    }
+  }
+
+  return segments.length > 0 ? segments : null;
+}
+
+/**
+ * Replace every value the path matches with REDACTED; returns how many were replaced
+ */
+export function redactJsonPath(data, segments) {
+  let count = 0;
+  const keyMatches = (key, name) => name === '*' || String(key).toLowerCase() === name.toLowerCase();
+
+  const visit = (node, index) => {
+    if (!node || typeof node !== 'object') return;
+
+    const segment = segments[index];
+    const isLast = index === segments.length - 1;
+    const handle = (key) => {
+      if (isLast) {
+        if (node[key] !== REDACTED) {
+          node[key] = REDACTED;
+          count++;
+        }
+      } else {
+        visit(node[key], index + 1);
+      }
+    };
+
+    if (segment.type === 'index') {
+      if (Array.isArray(node) && segment.index < node.length) handle(segment.index);
+      return;
+    }
+
+    Object.keys(node).forEach(key => {
+      if (keyMatches(key, segment.name)) {
+        handle(key);
+      }
+      // Recursive descent keeps looking below every key, matched or not
+      if (segment.type === 'descendant' && node[key] !== REDACTED) {
+        visit(node[key], index);
+      }
+    });
+  };
+
+  visit(data, 0);
+  return count;
+}
+
+/**
+ * Add up the rules applied across entries: [{ rule, count }] sorted by rule
+ */
+export function summarizeRedactions(counts) {
+  return Object.entries(counts)
+    .map(([rule, count]) => ({ rule, count }))
+    .sort((a, b) => a.rule.localeCompare(b.rule));
+}
+
+function matchesName(name, pattern) {
+  return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern;
+}
+
+function redactFormFields(text, separator, names, kind, record) {
+  return text.split(separator).map(pair => {
+    const equals = pair.indexOf('=');
+    if (equals === -1) return pair;
+
+    let name = pair.slice(0, equals);
+    try {
+      name = decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (error) {
+      // Malformed escape - match the raw name
+    }
+
+    const rule = names.find(pattern => matchesName(name.toLowerCase(), pattern));
+    if (!rule) return pair;
+
+    record(`${kind}:${rule}`);
+    return `${pair.slice(0, equals)}=${REDACTED}`;
+  }).join(separator);
+}
+
+function maskPiiInJson(node, patterns, record) {
+  if (typeof node === 'string') return maskPii(node, patterns, record);
+  if (Array.isArray(node)) return node.map(item => maskPiiInJson(item, patterns, record));
+  if (!node || typeof node !== 'object') return node;
+
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, maskPiiInJson(value, patterns, record)]));
+}
+
+function maskPii(text, patterns, record) {
+  if (!text || !patterns || patterns.length === 0) return text;
+
+  return findPii(text, patterns)
+    .reverse()
+    .reduce((masked, { type, index, length }) => {
+      record(`pii:${type}`);
+      return `${masked.slice(0, index)}[${type}]${masked.slice(index + length)}`;
+    }, text);
+}
@@ -0,0 +1,100 @@
+import {
+  REDACTED,
+  compileRedactionRules,
+  redactNetworkLog,
+  redactBody,
+  redactUrl,
+  parseJsonPath,
+  summarizeRedactions
+} from './network-redaction.js';
+
+describe('network redaction', () => {
+  const rules = compileRedactionRules();
+
+  it('keeps JSON bodies valid while masking PII in string values', () => {
+    const body = JSON.stringify({
+      score: 0.876543219,
+      location: { lat: 0.12345678, lng: 51.5 },
+      contact: { email: 'jane@example.com', phone: '+44 20 7946 0958' },
+      password: 'hunter2',
+      tags: ['call 020 7946 0958', 42]
+    });
+    const applied = {};
+    const redacted = redactBody(body, rules, (rule, count = 1) => {
+      applied[rule] = (applied[rule] || 0) + count;
+    });
+
+    expect(JSON.parse(redacted)).toEqual({
+      score: 0.876543219,
+      location: { lat: 0.12345678, lng: 51.5 },
+      contact: { email: '[email]', phone: '[phone]' },
+      password: REDACTED,
+      tags: ['call [phone]', 42]
+    });
+    expect(applied).toEqual({ 'body:$..password': 1, 'pii:email': 1, 'pii:phone': 2 });
+  });
+
+  it('keeps the pretty-printing of logged responses', () => {
+    const body = JSON.stringify({ token: 'abc', count: 2 }, null, 2);
+
+    expect(redactBody(body, rules)).toBe(JSON.stringify({ token: REDACTED, count: 2 }, null, 2));
+  });
+
+  it('redacts nested and indexed JSON paths', () => {
+    const custom = compileRedactionRules({ useDefaults: false, bodyPaths: ['$.users[*].name', '$.items[1].sku'], textPatterns: [] });
+    const body = JSON.stringify({ users: [{ name: 'Ann' }, { name: 'Bob' }], items: [{ sku: 'a' }, { sku: 'b' }] });
+
+    expect(JSON.parse(redactBody(body, custom))).toEqual({
+      users: [{ name: REDACTED }, { name: REDACTED }],
+      items: [{ sku: 'a' }, { sku: REDACTED }]
+    });
+  });
+
+  it('redacts form fields and masks PII in plain text', () => {
+    expect(redactBody('user=ann&password=secret&note=hi', rules)).toBe(`user=ann&password=${REDACTED}&note=hi`);
+    expect(redactBody('FormData: token=abc, file=[File: a.png]', rules)).toBe(`FormData: token=${REDACTED}, file=[File: a.png]`);
+    expect(redactBody('Reply to jane@example.com', rules)).toBe('Reply to [email]');
+  });
+
+  it('scrubs query parameters and keeps the rest of the URL', () => {
+    expect(redactUrl('/api/items?page=2&access_token=abc#top', rules)).toBe(`/api/items?page=2&access_token=${REDACTED}#top`);
+  });
+
+  it('redacts headers, bodies and stream messages of a log entry', () => {
+    const { entry, applied } = redactNetworkLog({
+      url: '/login?code=xyz',
+      requestHeaders: { Authorization: 'Bearer abc', Accept: 'application/json' },
+      headers: { 'Set-Cookie': 'sid=1' },
+      requestPayload: '{"password":"p"}',
+      responseData: null,
+      messages: [{ data: '{"token":"t"}' }, { data: 'AAEC', binary: true }]
+    }, rules);
+
+    expect(entry.url).toBe(`/login?code=${REDACTED}`);
+    expect(entry.requestHeaders).toEqual({ Authorization: REDACTED, Accept: 'application/json' });
+    expect(entry.headers).toEqual({ 'Set-Cookie': REDACTED });
+    expect(JSON.parse(entry.requestPayload)).toEqual({ password: REDACTED });
+    expect(entry.messages.map(message => message.data)).toEqual([JSON.stringify({ token: REDACTED }), 'AAEC']);
+    expect(summarizeRedactions(applied)).toEqual([
+      { rule: 'body:$..password', count: 1 },
+      { rule: 'body:$..token', count: 1 },
+      { rule: 'header:authorization', count: 1 },
+      { rule: 'header:set-cookie', count: 1 },
+      { rule: 'query:code', count: 1 }
+    ]);
+  });
+
+  it('turns redaction off with false', () => {
+    const entry = { url: '/?token=abc' };
+
+    expect(compileRedactionRules(false)).toBeNull();
+    expect(redactNetworkLog(entry, null).entry).toBe(entry);
+  });
+
+  it('rejects unsupported JSON paths', () => {
+    expect(parseJsonPath('$..token')).toEqual([{ type: 'descendant', name: 'token' }]);
+    expect(parseJsonPath('$.a[0]')).toEqual([{ type: 'child', name: 'a' }, { type: 'index', index: 0 }]);
+    expect(parseJsonPath('token')).toBeNull();
+    expect(parseJsonPath('$.a[?(@.b)]')).toBeNull();
+  });
+});
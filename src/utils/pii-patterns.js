@@ -0,0 +1,73 @@
+/**
+ * PII Patterns
+ * Detection of personal data (emails, phone numbers, IBANs) in free text
+ */
+
+export const PII_PATTERNS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  iban: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+  // International (+44 20 7946 0958, +491701234567) or national (020 7946 0958) numbers with
+  // their digit groups split by spaces, dashes or brackets, so decimals like 0.87654321 don't match
+  phone: /(?:\+\d{8,15}|(?:\+\d{1,3}[ -]?|0)(?:\(\d{1,5}\)[ -]?|\d{1,5}[ -])(?:\d{1,5}[ -]){0,4}\d{2,8})(?!\w|\.\d)/g
+};
+
+const VALIDATORS = {
+  iban: (match) => isValidIban(match),
+  phone: (match, before) => {
+    // Not the tail of a longer number, word or date (no lookbehind in older browsers)
+    if (/[\w.+-]/.test(before)) return false;
+
+    const digits = match.replace(/\D/g, '').length;
+    return digits >= 9 && digits <= 15;
+  }
+};
+
+/**
+ * ISO 13616 check: move the country code and check digits to the end,
+ * convert letters to numbers and the result mod 97 must be 1
+ */
+export function isValidIban(value) {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+    return false;
+  }
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+
+  return remainder === 1;
+}
+
+/**
+ * Find personal data in a string.
+ * Returns [{ type, index, length }] sorted by position; when matches overlap
+ * the type listed first wins.
+ */
+export function findPii(text, types = Object.keys(PII_PATTERNS)) {
+  if (!text) return [];
+
+  const matches = [];
+  types.forEach(type => {
+    const pattern = PII_PATTERNS[type];
+    if (!pattern) return;
+
+    for (const match of text.matchAll(pattern)) {
+      if (VALIDATORS[type] && !VALIDATORS[type](match[0], text.charAt(match.index - 1))) continue;
+
+      const start = match.index;
+      const end = start + match[0].length;
+      const overlaps = matches.some(other => start < other.index + other.length && other.index < end);
+      if (!overlaps) {
+        matches.push({ type, index: start, length: match[0].length });
+      }
+    }
+  });
+
+  return matches.sort((a, b) => a.index - b.index);
+}
@@ -0,0 +1,41 @@
+import { findPii, isValidIban } from './pii-patterns.js';
+
+const found = (text, types) => findPii(text, types).map(({ type, index, length }) => [type, text.substr(index, length)]);
+
+describe('PII patterns', () => {
+  it('finds emails', () => {
+    expect(found('Contact jane.doe+test@example.co.uk today', ['email']))
+      .toEqual([['email', 'jane.doe+test@example.co.uk']]);
+  });
+
+  it('finds phone numbers in international and national formats', () => {
+    expect(found('Call +44 20 7946 0958 or 020 7946 0958', ['phone'])).toEqual([
+      ['phone', '+44 20 7946 0958'],
+      ['phone', '020 7946 0958']
+    ]);
+    expect(found('US: +1 (555) 123-4567', ['phone'])).toEqual([['phone', '+1 (555) 123-4567']]);
+    expect(found('{"phone":"+491701234567"}', ['phone'])).toEqual([['phone', '+491701234567']]);
+  });
+
+  it('leaves decimals, dates and other numbers alone', () => {
+    expect(found('{"score":0.876543219,"lat":0.12345678}', ['phone'])).toEqual([]);
+    expect(found('Released 2024-05-01, build 10 123 456 789', ['phone'])).toEqual([]);
+    expect(found('Order 0612', ['phone'])).toEqual([]);
+  });
+
+  it('only reports IBANs with a valid checksum', () => {
+    expect(isValidIban('GB82 WEST 1234 5698 7654 32')).toBe(true);
+    expect(isValidIban('GB82 WEST 1234 5698 7654 33')).toBe(false);
+    expect(found('Pay to GB82WEST12345698765432', ['iban'])).toEqual([['iban', 'GB82WEST12345698765432']]);
+    expect(found('Pay to GB82WEST12345698765433', ['iban'])).toEqual([]);
+  });
+
+  it('sorts matches by position', () => {
+    const text = 'Mail +44 20 7946 0958 or bob@example.com';
+
+    expect(found(text, ['email', 'phone'])).toEqual([
+      ['phone', '+44 20 7946 0958'],
+      ['email', 'bob@example.com']
+    ]);
+  });
+});
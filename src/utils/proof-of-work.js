@@ -0,0 +1,41 @@
+/**
+ * Hashcash-style proof of work for guest submissions.
+ * Find a nonce so that SHA-256(challenge + ':' + nonce) starts with
+ * `difficulty` zero bits. Cheap for one report, expensive for a spammer.
+ */
+
+export function hasLeadingZeroBits(bytes, bits) {
+  let remaining = bits;
+
+  for (const byte of bytes) {
+    if (remaining <= 0) return true;
+
+    if (remaining >= 8) {
+      if (byte !== 0) return false;
+      remaining -= 8;
+    } else {
+      return (byte >> (8 - remaining)) === 0;
+    }
+  }
+
+  return remaining <= 0;
+}
+
+export async function solveProofOfWork(challenge, difficulty, options = {}) {
+  const { batchSize = 500, maxAttempts = 50000000 } = options;
+  const encoder = new TextEncoder();
+
+  for (let nonce = 0; nonce < maxAttempts; nonce++) {
+    const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+    if (hasLeadingZeroBits(new Uint8Array(digest), difficulty)) {
+      return String(nonce);
+    }
+
+    // Yield so the page stays responsive while we search
+    if (nonce % batchSize === batchSize - 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  throw new Error('Could not solve the verification challenge');
+}
@@ -0,0 +1,33 @@
+import { createHash, webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { hasLeadingZeroBits, solveProofOfWork } from './proof-of-work.js';
+
+describe('proof of work', () => {
+  beforeAll(() => {
+    // jsdom has neither SubtleCrypto nor TextEncoder
+    Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+    global.TextEncoder = TextEncoder;
+  });
+
+  it('counts leading zero bits across bytes', () => {
+    const bytes = new Uint8Array([0x00, 0x0f, 0xff]);
+
+    expect(hasLeadingZeroBits(bytes, 0)).toBe(true);
+    expect(hasLeadingZeroBits(bytes, 8)).toBe(true);
+    expect(hasLeadingZeroBits(bytes, 12)).toBe(true);
+    expect(hasLeadingZeroBits(bytes, 13)).toBe(false);
+    expect(hasLeadingZeroBits(new Uint8Array([0, 0]), 24)).toBe(false);
+  });
+
+  it('finds a nonce the server can verify', async () => {
+    const nonce = await solveProofOfWork('challenge-1', 10);
+    const digest = createHash('sha256').update(`challenge-1:${nonce}`).digest();
+
+    expect(hasLeadingZeroBits(digest, 10)).toBe(true);
+  });
+
+  it('gives up after maxAttempts', async () => {
+    await expect(solveProofOfWork('challenge-1', 64, { maxAttempts: 20 }))
+      .rejects.toThrow('Could not solve the verification challenge');
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Session Sync
+ * Propagates login, logout and refresh between tabs of the same origin and
+ * elects one tab to refresh tokens, so tabs don't race on the refresh token
+ */
+
+const CHANNEL_NAME = 'mg_widget_auth_sync';
+const SYNC_KEY = 'mg_widget_auth_sync';
+const LEADER_LOCK = 'mg_widget_auth_leader';
+const LEADER_KEY = 'mg_widget_auth_leader';
+
+export class SessionSync {
+  constructor(options = {}) {
+    this.options = {
+      leaseDuration: 5000, // Only used when the Web Locks API is unavailable
+      onMessage: null, // (message) => void
+      ...options
+    };
+
+    this.tabId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    this.channel = null;
+    this.isLeaderTab = false;
+    this.releaseLock = null;
+    this.lockPending = false;
+    this.leaseTimer = null;
+    this.started = false;
+
+    this.handleStorage = this.handleStorage.bind(this);
+    this.handleUnload = this.handleUnload.bind(this);
+    this.handlePageShow = this.handlePageShow.bind(this);
+  }
+
+  /**
+   * Start listening to other tabs and join the leader election
+   */
+  start() {
+    if (this.started || typeof window === 'undefined') return;
+    this.started = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.receive(event.data);
+    } else {
+      window.addEventListener('storage', this.handleStorage);
+    }
+
+    window.addEventListener('pagehide', this.handleUnload);
+    window.addEventListener('pageshow', this.handlePageShow);
+    this.electLeader();
+  }
+
+  /**
+   * Send a message to every other tab.
+   * The storage event fallback never carries tokens: receivers reload the
+   * session from the shared storage backend instead.
+   */
+  broadcast(message) {
+    if (!this.started) return;
+
+    const envelope = { ...message, tabId: this.tabId };
+
+    if (this.channel) {
+      this.channel.postMessage(envelope);
+      return;
+    }
+
+    try {
+      const signal = { type: envelope.type, tabId: envelope.tabId, at: Date.now() };
+      localStorage.setItem(SYNC_KEY, JSON.stringify(signal));
+    } catch (error) {
+      // localStorage unavailable - tabs stay independent
+    }
+  }
+
+  handleStorage(event) {
+    if (event.key !== SYNC_KEY || !event.newValue) return;
+
+    try {
+      this.receive(JSON.parse(event.newValue));
+    } catch (error) {
+      // Ignore malformed sync messages
+    }
+  }
+
+  receive(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    if (this.options.onMessage) {
+      this.options.onMessage(message);
+    }
+  }
+
+  /**
+   * Whether this tab is responsible for refreshing tokens
+   */
+  isLeader() {
+    // Without any cross-tab channel every tab is on its own
+    if (!this.started) return true;
+
+    if (this.leaseTimer) {
+      this.renewLease();
+    }
+    return this.isLeaderTab;
+  }
+
+  /**
+   * The tab holding the Web Lock is the leader. When it closes, the browser
+   * hands the lock to the next waiting tab.
+   */
+  electLeader() {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      this.lockPending = true;
+      navigator.locks.request(LEADER_LOCK, () => {
+        this.lockPending = false;
+        if (!this.started) return null;
+
+        this.isLeaderTab = true;
+        return new Promise((resolve) => {
+          this.releaseLock = resolve;
+        });
+      }).catch(() => {});
+      return;
+    }
+
+    // Fallback: a lease in localStorage, renewed while the tab is alive
+    this.renewLease();
+    this.leaseTimer = setInterval(() => this.renewLease(), this.options.leaseDuration / 2);
+  }
+
+  renewLease() {
+    try {
+      const now = Date.now();
+      const lease = JSON.parse(localStorage.getItem(LEADER_KEY) || 'null');
+
+      if (!lease || lease.tabId === this.tabId || lease.expiresAt < now) {
+        localStorage.setItem(LEADER_KEY, JSON.stringify({
+          tabId: this.tabId,
+          expiresAt: now + this.options.leaseDuration
+        }));
+        this.isLeaderTab = true;
+      } else {
+        this.isLeaderTab = false;
+      }
+    } catch (error) {
+      this.isLeaderTab = true;
+    }
+  }
+
+  /**
+   * Hand leadership over as soon as the tab goes away
+   */
+  handleUnload() {
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+
+    if (this.leaseTimer && this.isLeaderTab) {
+      try {
+        localStorage.removeItem(LEADER_KEY);
+      } catch (error) {
+        // Lease will simply expire
+      }
+    }
+
+    this.isLeaderTab = false;
+  }
+
+  /**
+   * Rejoin the election when the page is restored from the back/forward cache
+   */
+  handlePageShow(event) {
+    if (event.persisted && !this.isLeaderTab && !this.lockPending && !this.leaseTimer) {
+      this.electLeader();
+    }
+  }
+
+  destroy() {
+    this.handleUnload();
+    clearInterval(this.leaseTimer);
+    this.leaseTimer = null;
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', this.handleStorage);
+      window.removeEventListener('pagehide', this.handleUnload);
+      window.removeEventListener('pageshow', this.handlePageShow);
+    }
+
+    this.started = false;
+  }
+}
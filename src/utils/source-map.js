@@ -0,0 +1,139 @@
+/**
+ * Source Map
+ * Minimal reader for source map v3 files: decodes the VLQ mappings and looks up
+ * the original position of a generated line and column
+ * Spec: https://sourcemaps.info/spec.html
+ */
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = BASE64_CHARS.split('').reduce((values, char, index) => {
+  values[char] = index;
+  return values;
+}, {});
+
+/**
+ * Parse a source map (object or JSON text) into { sources, names, lines }, where
+ * lines[generatedLine] holds [column, sourceIndex, originalLine, originalColumn, nameIndex]
+ * segments sorted by column, all 0-based
+ */
+export function parseSourceMap(map) {
+  // Some servers prefix JSON with )]}' against XSSI
+  const data = typeof map === 'string' ? JSON.parse(map.replace(/^\)\]\}'[^\n]*\n/, '')) : map;
+
+  if (!data || data.version !== 3) {
+    throw new Error('Unsupported source map version');
+  }
+  if (data.sections) {
+    throw new Error('Indexed source maps are not supported');
+  }
+
+  const sourceRoot = data.sourceRoot ? data.sourceRoot.replace(/\/?$/, '/') : '';
+
+  return {
+    sources: (data.sources || []).map(source => (source && sourceRoot && !/^[a-z]+:/i.test(source) ? sourceRoot + source : source)),
+    names: data.names || [],
+    lines: decodeMappings(data.mappings || '')
+  };
+}
+
+/**
+ * Original position of a 1-based generated line and column, or null when unmapped.
+ * Returns { source, line, column, name } with 1-based line and column.
+ */
+export function originalPositionFor(sourceMap, line, column) {
+  const segments = sourceMap.lines[line - 1];
+  if (!segments || segments.length === 0) return null;
+
+  // Last segment starting at or before the column
+  const target = column - 1;
+  let low = 0;
+  let high = segments.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (segments[mid][0] <= target) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const segment = segments[found];
+  if (!segment || segment.length < 4) return null;
+
+  return {
+    source: sourceMap.sources[segment[1]] || null,
+    line: segment[2] + 1,
+    column: segment[3] + 1,
+    name: segment.length >= 5 ? sourceMap.names[segment[4]] || null : null
+  };
+}
+
+/**
+ * Decode the mappings string; fields other than the column are relative to the
+ * previous segment across lines, the column only within a line
+ */
+export function decodeMappings(mappings) {
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+  let nameIndex = 0;
+
+  return mappings.split(';').map(lineText => {
+    let column = 0;
+    const segments = [];
+
+    lineText.split(',').forEach(segmentText => {
+      if (!segmentText) return;
+
+      const values = decodeVlq(segmentText);
+      column += values[0];
+      const segment = [column];
+
+      if (values.length >= 4) {
+        sourceIndex += values[1];
+        originalLine += values[2];
+        originalColumn += values[3];
+        segment.push(sourceIndex, originalLine, originalColumn);
+
+        if (values.length >= 5) {
+          nameIndex += values[4];
+          segment.push(nameIndex);
+        }
+      }
+
+      segments.push(segment);
+    });
+
+    return segments.sort((a, b) => a[0] - b[0]);
+  });
+}
+
+/**
+ * Base64 VLQ: 5 bits per digit with a continuation bit; the lowest bit of the
+ * value is the sign
+ */
+export function decodeVlq(text) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const digit = BASE64_VALUES[text[i]];
+    if (digit === undefined) {
+      throw new Error(`Invalid source map mapping character "${text[i]}"`);
+    }
+
+    value += (digit & 31) * Math.pow(2, shift);
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value % 2 === 1 ? -Math.floor(value / 2) : value / 2);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
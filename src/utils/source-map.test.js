@@ -0,0 +1,42 @@
+import { decodeVlq, decodeMappings, parseSourceMap, originalPositionFor } from './source-map.js';
+
+describe('source maps', () => {
+  it('decodes base64 VLQ values', () => {
+    expect(decodeVlq('AAAA')).toEqual([0, 0, 0, 0]);
+    expect(decodeVlq('CDgB')).toEqual([1, -1, 16]);
+    expect(() => decodeVlq('A!')).toThrow('Invalid source map mapping character "!"');
+  });
+
+  it('decodes mappings relative to the previous segment', () => {
+    expect(decodeMappings('AAAA,IAAIA;;AACA,G')).toEqual([
+      [[0, 0, 0, 0], [4, 0, 0, 4, 0]],
+      [],
+      [[0, 0, 1, 4], [3]]
+    ]);
+  });
+
+  it('looks up the original position of a generated line and column', () => {
+    const sourceMap = parseSourceMap({
+      version: 3,
+      sourceRoot: 'webpack:///src',
+      sources: ['app.js'],
+      names: ['handleClick'],
+      mappings: 'AAAA,IAAIA;AACA'
+    });
+
+    expect(originalPositionFor(sourceMap, 1, 7)).toEqual({ source: 'webpack:///src/app.js', line: 1, column: 5, name: 'handleClick' });
+    expect(originalPositionFor(sourceMap, 2, 10)).toEqual({ source: 'webpack:///src/app.js', line: 2, column: 5, name: null });
+    expect(originalPositionFor(sourceMap, 3, 1)).toBeNull();
+  });
+
+  it('reads JSON text with an XSSI prefix', () => {
+    const text = `)]}'\n${JSON.stringify({ version: 3, sources: ['a.js'], names: [], mappings: 'AAAA' })}`;
+
+    expect(parseSourceMap(text).sources).toEqual(['a.js']);
+  });
+
+  it('rejects unsupported maps', () => {
+    expect(() => parseSourceMap({ version: 2 })).toThrow('Unsupported source map version');
+    expect(() => parseSourceMap({ version: 3, sections: [] })).toThrow('Indexed source maps are not supported');
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * SSO Client
+ * OAuth 2.0 authorization code flow with PKCE, run in a popup or as a full-page redirect.
+ * Providers are configured per organization:
+ *   ssoProviders: {
+ *     'organization-id': { clientId, authorizationUrl, tokenUrl, scope, mode }
+ *   }
+ * authorizationUrl and tokenUrl default to the portal's /auth/sso endpoints.
+ */
+
+const PENDING_KEY = 'mg_widget_sso_pending';
+const POPUP_NAME = 'mg_widget_sso';
+
+export class SsoClient {
+  constructor(baseUrl, options = {}) {
+    this.baseUrl = baseUrl;
+    this.options = {
+      providers: null,
+      organizationId: null,
+      mode: 'popup', // 'popup' or 'redirect'
+      redirectUri: null, // Defaults to the current page
+      popupTimeout: 5 * 60 * 1000,
+      ...options
+    };
+  }
+
+  /**
+   * SSO configuration for the widget's organization, if any
+   */
+  getProvider() {
+    const providers = this.options.providers;
+    if (!providers || !this.options.organizationId) {
+      return null;
+    }
+
+    const provider = providers[this.options.organizationId];
+    if (!provider?.clientId) {
+      return null;
+    }
+
+    return {
+      authorizationUrl: `${this.baseUrl}/auth/sso/authorize`,
+      tokenUrl: `${this.baseUrl}/auth/sso/token`,
+      scope: 'openid profile email',
+      mode: this.options.mode,
+      ...provider
+    };
+  }
+
+  isAvailable() {
+    return !!this.getProvider();
+  }
+
+  getRedirectUri() {
+    return this.options.redirectUri || `${window.location.origin}${window.location.pathname}`;
+  }
+
+  /**
+   * Whether this window is the SSO popup (the opener completes the flow)
+   */
+  static isPopupWindow() {
+    return typeof window !== 'undefined' && !!window.opener && window.name === POPUP_NAME;
+  }
+
+  /**
+   * Start the sign-in flow. Resolves with the session in popup mode; in
+   * redirect mode the page navigates away and the flow finishes in
+   * handleRedirectCallback() on the next load.
+   */
+  async signIn() {
+    const provider = this.getProvider();
+    if (!provider) {
+      return { success: false, error: 'Single sign-on is not configured for this organization' };
+    }
+
+    // Open the popup synchronously, while we are still inside the click handler,
+    // so popup blockers allow it
+    let popup = null;
+    if (provider.mode === 'popup') {
+      popup = window.open('', POPUP_NAME, 'width=500,height=650');
+      if (!popup) {
+        return { success: false, error: 'The sign-in popup was blocked. Please allow popups for this site.' };
+      }
+    }
+
+    try {
+      const pending = {
+        state: SsoClient.randomString(16),
+        codeVerifier: SsoClient.randomString(32),
+        redirectUri: this.getRedirectUri(),
+        organizationId: this.options.organizationId,
+        createdAt: Date.now()
+      };
+      const codeChallenge = await SsoClient.createCodeChallenge(pending.codeVerifier);
+      const authorizationUrl = this.buildAuthorizationUrl(provider, pending, codeChallenge);
+
+      if (!popup) {
+        sessionStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+        window.location.assign(authorizationUrl);
+        return { success: false, redirecting: true };
+      }
+
+      popup.location.href = authorizationUrl;
+      const params = await this.waitForPopup(popup, pending.redirectUri);
+      return this.completeAuthorization(params, pending);
+    } catch (error) {
+      if (popup && !popup.closed) {
+        popup.close();
+      }
+      return { success: false, error: error.message || 'Single sign-on failed' };
+    }
+  }
+
+  buildAuthorizationUrl(provider, pending, codeChallenge) {
+    const url = new URL(provider.authorizationUrl);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', pending.redirectUri);
+    url.searchParams.set('scope', provider.scope);
+    url.searchParams.set('state', pending.state);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    url.searchParams.set('organization_id', pending.organizationId);
+    return url.toString();
+  }
+
+  /**
+   * Poll the popup until it lands back on our redirect URI.
+   * Reading its location throws while it is on the identity provider's origin.
+   */
+  waitForPopup(popup, redirectUri) {
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+
+      const timer = setInterval(() => {
+        if (popup.closed) {
+          clearInterval(timer);
+          reject(new Error('Sign-in was cancelled'));
+          return;
+        }
+
+        if (Date.now() - startedAt > this.options.popupTimeout) {
+          clearInterval(timer);
+          popup.close();
+          reject(new Error('Sign-in timed out'));
+          return;
+        }
+
+        let href;
+        try {
+          href = popup.location.href;
+        } catch (error) {
+          return; // Still on the identity provider
+        }
+
+        if (!href || !href.startsWith(redirectUri)) return;
+
+        const params = new URL(href).searchParams;
+        if (!params.get('code') && !params.get('error')) return;
+
+        clearInterval(timer);
+        popup.close();
+        resolve(params);
+      }, 500);
+    });
+  }
+
+  /**
+   * Finish a redirect-mode sign-in if the current URL carries the authorization response
+   */
+  async handleRedirectCallback() {
+    if (typeof window === 'undefined' || SsoClient.isPopupWindow()) {
+      return null;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    if (!params.get('state') || (!params.get('code') && !params.get('error'))) {
+      return null;
+    }
+
+    let pending;
+    try {
+      pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || 'null');
+    } catch (error) {
+      pending = null;
+    }
+
+    if (!pending || pending.state !== params.get('state')) {
+      return null; // Not our callback
+    }
+
+    sessionStorage.removeItem(PENDING_KEY);
+
+    // Drop the code from the address bar and history
+    const url = new URL(window.location.href);
+    ['code', 'state', 'error', 'error_description', 'session_state'].forEach(name => url.searchParams.delete(name));
+    window.history.replaceState(window.history.state, '', url.toString());
+
+    return this.completeAuthorization(params, pending);
+  }
+
+  async completeAuthorization(params, pending) {
+    if (params.get('error')) {
+      return { success: false, error: params.get('error_description') || params.get('error') };
+    }
+
+    if (params.get('state') !== pending.state) {
+      return { success: false, error: 'Sign-in response did not match the request' };
+    }
+
+    return this.exchangeCode(params.get('code'), pending);
+  }
+
+  /**
+   * Exchange the authorization code for tokens
+   */
+  async exchangeCode(code, pending) {
+    const provider = this.getProvider();
+    if (!provider) {
+      return { success: false, error: 'Single sign-on is not configured for this organization' };
+    }
+
+    const response = await fetch(provider.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: pending.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: pending.codeVerifier
+      }).toString()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { success: false, error: data.error_description || data.error || `Token exchange failed: ${response.status}` };
+    }
+
+    const session = {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token,
+      expires_at: data.expires_in ? (Date.now() / 1000) + data.expires_in : (Date.now() / 1000) + (24 * 60 * 60),
+      user: {
+        id: data.user?.id,
+        email: data.user?.email,
+        full_name: data.user?.full_name || data.user?.name,
+        avatar_url: data.user?.avatar_url,
+        role: data.user?.role || 'user'
+      }
+    };
+
+    return { success: true, data: session };
+  }
+
+  static randomString(byteLength) {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(byteLength));
+    return SsoClient.base64UrlEncode(bytes);
+  }
+
+  /**
+   * S256 code challenge: base64url(sha256(verifier))
+   */
+  static async createCodeChallenge(codeVerifier) {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return SsoClient.base64UrlEncode(new Uint8Array(digest));
+  }
+
+  static base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Stack Trace
+ * Parsing of Chrome/Edge ("at fn (file:1:2)") and Firefox/Safari ("fn@file:1:2")
+ * stack traces, and fingerprints that group repeats of the same error
+ */
+
+// Frames that identify where an error comes from; deeper frames vary with the caller
+const FINGERPRINT_FRAMES = 5;
+const MAX_FRAMES = 20;
+
+const CHROME_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+const FIREFOX_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Frames of a stack trace, innermost first:
+ * [{ functionName, fileName, lineNumber, columnNumber }] with 1-based lines and columns
+ */
+export function parseStackTrace(stack) {
+  if (typeof stack !== 'string') return [];
+
+  return stack.split('\n')
+    .map(line => {
+      const match = line.match(CHROME_FRAME) || line.match(FIREFOX_FRAME);
+      if (!match) return null;
+
+      const [, functionName, fileName, lineNumber, columnNumber] = match;
+      return {
+        functionName: functionName || null,
+        fileName,
+        lineNumber: Number(lineNumber),
+        columnNumber: Number(columnNumber)
+      };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_FRAMES);
+}
+
+/**
+ * Render frames as a Chrome-style stack trace
+ */
+export function formatStackTrace(name, message, frames) {
+  const lines = frames.map(({ functionName, fileName, lineNumber, columnNumber }) => {
+    const location = `${fileName}:${lineNumber}:${columnNumber}`;
+    return functionName ? `    at ${functionName} (${location})` : `    at ${location}`;
+  });
+  return [`${name}: ${message}`, ...lines].join('\n');
+}
+
+/**
+ * Replace the parts of an error message that differ between repeats of the same
+ * error - URLs, ids and numbers - so they group together
+ */
+export function normalizeErrorMessage(message) {
+  return String(message || '')
+    .replace(/\b[a-z][a-z0-9+.-]*:\/\/\S+/gi, '<url>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+    .replace(/\b(?:0x)?[0-9a-f]{8,}\b/gi, '<hex>')
+    .replace(/\d+(?:\.\d+)?/g, '<n>')
+    .trim();
+}
+
+/**
+ * Stable id for an error: its type, normalized message and top frames.
+ * Query strings and origins are left out of file names, so cache busting and
+ * CDN hosts don't split a group.
+ */
+export function fingerprintError({ name, message, frames = [] }) {
+  const location = frames.slice(0, FINGERPRINT_FRAMES).map(frame => (
+    `${stripUrl(frame.fileName)}:${frame.functionName || '?'}:${frame.lineNumber}:${frame.columnNumber}`
+  ));
+
+  return hashString([name || 'Error', normalizeErrorMessage(message), ...location].join('|'));
+}
+
+function stripUrl(fileName) {
+  return String(fileName).replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '').split(/[?#]/)[0];
+}
+
+/**
+ * 32-bit FNV-1a hash as 8 hex digits
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,46 @@
+import { parseStackTrace, formatStackTrace, normalizeErrorMessage, fingerprintError } from './stack-trace.js';
+
+const CHROME_STACK = `TypeError: Cannot read properties of undefined (reading 'id')
+    at loadUser (https://app.example.com/static/main.js?v=3:12:34)
+    at https://app.example.com/static/main.js?v=3:40:5`;
+
+const FIREFOX_STACK = `loadUser@https://app.example.com/static/main.js:12:34
+@https://app.example.com/static/main.js:40:5`;
+
+describe('stack traces', () => {
+  it('parses Chrome and Firefox frames', () => {
+    const frames = [
+      { functionName: 'loadUser', fileName: 'https://app.example.com/static/main.js?v=3', lineNumber: 12, columnNumber: 34 },
+      { functionName: null, fileName: 'https://app.example.com/static/main.js?v=3', lineNumber: 40, columnNumber: 5 }
+    ];
+
+    expect(parseStackTrace(CHROME_STACK)).toEqual(frames);
+    expect(parseStackTrace(FIREFOX_STACK)).toEqual(frames.map(frame => ({ ...frame, fileName: 'https://app.example.com/static/main.js' })));
+    expect(parseStackTrace(undefined)).toEqual([]);
+  });
+
+  it('formats frames back into a Chrome-style trace', () => {
+    const frames = parseStackTrace(CHROME_STACK);
+
+    expect(formatStackTrace('TypeError', "Cannot read properties of undefined (reading 'id')", frames)).toBe(CHROME_STACK);
+  });
+
+  it('normalizes the parts of a message that change between repeats', () => {
+    expect(normalizeErrorMessage('Request to https://api.example.com/users/42 failed after 3.5s'))
+      .toBe('Request to <url> failed after <n>s');
+    expect(normalizeErrorMessage('Order 3f2b8c1e-9a4d-4e5f-8b6a-1c2d3e4f5a6b not found')).toBe('Order <uuid> not found');
+  });
+
+  it('groups repeats of an error across origins and cache busting', () => {
+    const error = { name: 'TypeError', message: 'User 17 missing', frames: parseStackTrace(CHROME_STACK) };
+    const repeat = {
+      name: 'TypeError',
+      message: 'User 23 missing',
+      frames: parseStackTrace(CHROME_STACK.replace(/https:\/\/app\.example\.com/g, 'https://cdn.example.net').replace(/v=3/g, 'v=4'))
+    };
+
+    expect(fingerprintError(error)).toMatch(/^[0-9a-f]{8}$/);
+    expect(fingerprintError(repeat)).toBe(fingerprintError(error));
+    expect(fingerprintError({ ...error, name: 'RangeError' })).not.toBe(fingerprintError(error));
+  });
+});
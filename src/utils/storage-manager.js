@@ -1,39 +1,144 @@
 // Removed TypeScript imports
 
+import { createTokenStorage } from './token-storage.js';
+
 /**
  * Storage Manager for handling authentication tokens
- * Handles localStorage operations with optional encryption for security
+ * Keeps the session in memory and persists it through a pluggable backend
+ * ('encrypted', 'session' or 'memory', see token-storage.js)
  */
 export class StorageManager {
   static STORAGE_KEY = 'mg_widget_auth';
   static ACCESS_TOKEN_KEY = 'mg_access_token';
   static REFRESH_TOKEN_KEY = 'mg_refresh_token';
-  static STORAGE_VERSION = '1.0';
+  static STORAGE_VERSION = '2.0';
+  static LEGACY_STORAGE_VERSION = '1.0';
+
+  static options = {
+    tokenStorage: 'encrypted',
+    legacyTokenKeys: false // Mirror raw tokens to localStorage for the MG Tickets portal
+  };
+
+  static backend = null;
+  static sessionData = null;
+  // The current session was stored with persist: false
+  static memoryOnly = false;
+  static readyPromise = null;
+  static pendingWrite = Promise.resolve();
 
   /**
-   * Simple encryption/decryption using base64 and basic obfuscation
-   * Note: This is not cryptographically secure, but adds a layer of obfuscation
+   * Configure the storage backend. Must be called before initialize().
    */
-  static encrypt(data) {
-    try {
-      // Simple obfuscation: reverse + base64
-      const reversed = data.split('').reverse().join('');
-      return btoa(reversed);
-    } catch (error) {
-      return data;
+  static configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+    this.options = { ...this.options, ...Object.fromEntries(defined) };
+    this.backend = null;
+    this.readyPromise = null;
+  }
+
+  static getBackend() {
+    if (!this.backend) {
+      this.backend = createTokenStorage(this.options.tokenStorage, this.STORAGE_KEY);
+    }
+    return this.backend;
+  }
+
+  /**
+   * Load the persisted session into memory, migrating sessions written by
+   * older versions of the widget. Safe to call more than once.
+   */
+  static initialize() {
+    if (!this.readyPromise) {
+      this.readyPromise = (async () => {
+        try {
+          const stored = await this.getBackend().load();
+          // A session stored while we were loading (e.g. a fresh login) wins
+          if (stored?.version === this.STORAGE_VERSION && !this.sessionData) {
+            this.sessionData = stored;
+          } else if (stored && !this.memoryOnly) {
+            await this.getBackend().clear();
+          }
+        } catch (error) {
+          // Unreadable (e.g. the key was deleted) - start without a session
+          await this.getBackend().clear().catch(() => {});
+        }
+
+        this.migrateLegacySession();
+      })();
     }
+    return this.readyPromise;
   }
 
-  static decrypt(data) {
+  /**
+   * Re-read the session from the backend, e.g. after another tab changed it
+   */
+  static async reload() {
+    await this.pendingWrite;
+    this.sessionData = null;
+    this.memoryOnly = false;
+    this.readyPromise = null;
+    await this.initialize();
+    return this.getRawSession();
+  }
+
+  /**
+   * Adopt a session (or logout, when null) received from another tab. Shared
+   * backends were already written by the sender, per-tab backends need their own copy.
+   */
+  static applySession(session) {
+    if (this.getBackend().shared) {
+      this.sessionData = session ? {
+        version: this.STORAGE_VERSION,
+        data: session,
+        timestamp: Date.now()
+      } : null;
+      this.memoryOnly = false;
+      return true;
+    }
+
+    if (!session) {
+      this.clearSession();
+      return true;
+    }
+    return this.storeSession(session);
+  }
+
+  /**
+   * Move a version 1.0 session (obfuscated in localStorage) into the configured backend
+   */
+  static migrateLegacySession() {
+    if (!this.isStorageAvailable()) {
+      return;
+    }
+
     try {
-      // Reverse the obfuscation
-      const decoded = atob(data);
-      return decoded.split('').reverse().join('');
+      const stored = localStorage.getItem(this.STORAGE_KEY);
+      if (!stored) {
+        return;
+      }
+
+      localStorage.removeItem(this.STORAGE_KEY);
+      if (!this.options.legacyTokenKeys) {
+        localStorage.removeItem(this.ACCESS_TOKEN_KEY);
+        localStorage.removeItem(this.REFRESH_TOKEN_KEY);
+      }
+
+      const sessionData = JSON.parse(this.decodeLegacy(stored));
+      if (!this.sessionData && sessionData.version === this.LEGACY_STORAGE_VERSION && sessionData.data) {
+        this.storeSession(sessionData.data);
+      }
     } catch (error) {
-      return data;
+      // Corrupted legacy data - already removed above
     }
   }
 
+  /**
+   * Decode the reverse + base64 obfuscation used by version 1.0
+   */
+  static decodeLegacy(data) {
+    return atob(data).split('').reverse().join('');
+  }
+
   /**
    * Check if localStorage is available
    */
@@ -53,33 +158,47 @@ export class StorageManager {
   }
 
   /**
-   * Store authentication session
+   * Queue a backend write so saves and clears land in order
    */
-  static storeSession(session) {
-    if (!this.isStorageAvailable()) {
-      return false;
-    }
+  static persist(operation) {
+    this.pendingWrite = this.pendingWrite
+      .then(operation)
+      .catch(() => {
+        // Keep the in-memory session even if the backend write failed
+      });
+    return this.pendingWrite;
+  }
 
+  /**
+   * Store authentication session. With persist: false the session is kept in
+   * memory only, so it ends with the page. Storage is left alone: a persisted
+   * session there may belong to other tabs.
+   */
+  static storeSession(session, { persist = true } = {}) {
     try {
-      
-      
       const sessionData = {
         version: this.STORAGE_VERSION,
         data: session,
         timestamp: Date.now()
       };
 
-      // Store encrypted session data
-      const encrypted = this.encrypt(JSON.stringify(sessionData));
-      localStorage.setItem(this.STORAGE_KEY, encrypted);
-      
-      // Also store tokens in MG Tickets API format for compatibility
-      if (session.access_token) {
-        localStorage.setItem(this.ACCESS_TOKEN_KEY, session.access_token);
+      this.sessionData = sessionData;
+      this.memoryOnly = !persist;
+
+      if (!persist) {
+        return true;
       }
-      if (session.refresh_token) {
-        localStorage.setItem(this.REFRESH_TOKEN_KEY, session.refresh_token);
-      } else {
+
+      this.persist(() => this.getBackend().save(sessionData));
+      
+      // Plaintext copies for the MG Tickets portal, only when explicitly enabled
+      if (this.options.legacyTokenKeys && this.isStorageAvailable()) {
+        if (session.access_token) {
+          localStorage.setItem(this.ACCESS_TOKEN_KEY, session.access_token);
+        }
+        if (session.refresh_token) {
+          localStorage.setItem(this.REFRESH_TOKEN_KEY, session.refresh_token);
+        }
       }
       
       return true;
@@ -89,75 +208,29 @@ export class StorageManager {
   }
 
   /**
-   * Retrieve authentication session (auto-clears if expired)
+   * Retrieve authentication session (returns null if expired)
    */
   static getSession() {
-    if (!this.isStorageAvailable()) {
+    const session = this.sessionData?.data;
+    if (!session) {
       return null;
     }
 
-    try {
-      const stored = localStorage.getItem(this.STORAGE_KEY);
-      if (!stored) {
-        return null;
-      }
-
-      const decrypted = this.decrypt(stored);
-      const sessionData = JSON.parse(decrypted);
-
-      // Check version compatibility
-      if (sessionData.version !== this.STORAGE_VERSION) {
-        this.clearSession();
-        return null;
-      }
-
-      // Check if session is expired
-      const session = sessionData.data;
-      const expired = this.isSessionExpired(session);
-      if (expired) {
-        // Do not clear storage here to preserve the refresh token for the
-        // refresh flow. Simply signal that the current session is not valid.
-        return null;
-      }
-
-      return session;
-    } catch (error) {
-      this.clearSession(); // Clear corrupted data
+    // Check if session is expired
+    if (this.isSessionExpired(session)) {
+      // Do not clear storage here to preserve the refresh token for the
+      // refresh flow. Simply signal that the current session is not valid.
       return null;
     }
+
+    return session;
   }
 
   /**
    * Retrieve raw session data without expiration check (for refresh token access)
    */
   static getRawSession() {
-    if (!this.isStorageAvailable()) {
-      return null;
-    }
-
-    try {
-      const stored = localStorage.getItem(this.STORAGE_KEY);
-      if (!stored) {
-        return null;
-      }
-
-      const decrypted = this.decrypt(stored);
-      const sessionData = JSON.parse(decrypted);
-
-      // Check version compatibility
-      if (sessionData.version !== this.STORAGE_VERSION) {
-        this.clearSession();
-        return null;
-      }
-
-      
-
-      // Return session data without expiration check
-      return sessionData.data;
-    } catch (error) {
-      this.clearSession(); // Clear corrupted data
-      return null;
-    }
+    return this.sessionData?.data || null;
   }
 
   /**
@@ -170,15 +243,35 @@ export class StorageManager {
 
     const now = Date.now();
     const expiryTime = session.expires_at * 1000; // Convert to milliseconds
-    const bufferTime = 5 * 60 * 1000; // 5 minutes buffer
+    let bufferTime = 5 * 60 * 1000; // 5 minutes buffer
+
+    // Don't let the buffer swallow most of a short-lived token's lifetime
+    if (session.issued_at) {
+      bufferTime = Math.min(bufferTime, (expiryTime - session.issued_at * 1000) / 4);
+    }
 
     return now >= (expiryTime - bufferTime);
   }
 
   /**
-   * Clear stored session
+   * Clear stored session. A memory-only session was never written, so storage
+   * (and the other tabs' session in it) is kept.
    */
   static clearSession() {
+    this.sessionData = null;
+    if (this.memoryOnly) {
+      this.memoryOnly = false;
+      return;
+    }
+
+    this.persist(() => this.getBackend().clear());
+    this.clearLegacyKeys();
+  }
+
+  /**
+   * Remove the version 1.0 session and the plaintext token copies from localStorage
+   */
+  static clearLegacyKeys() {
     if (!this.isStorageAvailable()) {
       return;
     }
@@ -215,7 +308,7 @@ export class StorageManager {
     }
     
     // Fallback to individual key for MG Tickets API compatibility
-    if (this.isStorageAvailable()) {
+    if (this.options.legacyTokenKeys && this.isStorageAvailable()) {
       return localStorage.getItem(this.REFRESH_TOKEN_KEY) || null;
     }
     
@@ -232,7 +325,7 @@ export class StorageManager {
     }
     
     // Fallback to individual key for MG Tickets API compatibility
-    if (this.isStorageAvailable()) {
+    if (this.options.legacyTokenKeys && this.isStorageAvailable()) {
       return localStorage.getItem(this.ACCESS_TOKEN_KEY) || null;
     }
     
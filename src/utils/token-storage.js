@@ -0,0 +1,183 @@
+/**
+ * Token Storage Backends
+ * Where StorageManager persists the authentication session.
+ * Every backend implements async load(), save(value) and clear().
+ */
+
+import { isIndexedDBAvailable, openDatabase, withStore } from './indexed-db.js';
+
+const KEYSTORE_DB_NAME = 'mg_widget_keystore';
+const KEYSTORE_DB_VERSION = 1;
+const KEY_STORE = 'keys';
+const SESSION_STORE = 'sessions';
+const KEY_ID = 'session-key';
+const SESSION_ID = 'session';
+
+/**
+ * Keeps the session for the lifetime of the page only
+ */
+export class MemoryTokenStorage {
+  constructor() {
+    this.value = null;
+  }
+
+  async load() {
+    return this.value;
+  }
+
+  async save(value) {
+    this.value = value;
+  }
+
+  async clear() {
+    this.value = null;
+  }
+}
+
+/**
+ * Keeps the session until the tab is closed
+ */
+export class SessionTokenStorage {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+  }
+
+  static isAvailable() {
+    try {
+      if (typeof window === 'undefined' || !window.sessionStorage) {
+        return false;
+      }
+
+      const test = '__storage_test__';
+      sessionStorage.setItem(test, test);
+      sessionStorage.removeItem(test);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async load() {
+    const stored = sessionStorage.getItem(this.storageKey);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async save(value) {
+    sessionStorage.setItem(this.storageKey, JSON.stringify(value));
+  }
+
+  async clear() {
+    sessionStorage.removeItem(this.storageKey);
+  }
+}
+
+/**
+ * Persists the session encrypted with AES-GCM. The key is generated as
+ * non-extractable and kept in IndexedDB, which protects the tokens at rest
+ * (disk, backups, storage dumps) and keeps the key from being exported.
+ * It is no defence against XSS: any script on the origin can call getItem()
+ * and get the decrypted tokens.
+ */
+export class EncryptedTokenStorage {
+  constructor() {
+    this.shared = true; // IndexedDB is visible to every tab of the origin
+    this.dbPromise = null;
+    this.keyPromise = null;
+  }
+
+  static isAvailable() {
+    return isIndexedDBAvailable() &&
+      typeof window.crypto !== 'undefined' &&
+      !!window.crypto.subtle;
+  }
+
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(KEYSTORE_DB_NAME, KEYSTORE_DB_VERSION, {
+        [KEY_STORE]: { keyPath: 'id' },
+        [SESSION_STORE]: { keyPath: 'id' }
+      });
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Load the encryption key, generating it on first use
+   */
+  getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = (async () => {
+        const db = await this.getDatabase();
+        const record = await withStore(db, KEY_STORE, 'readonly', store => store.get(KEY_ID));
+        if (record?.key) {
+          return record.key;
+        }
+
+        const key = await window.crypto.subtle.generateKey(
+          { name: 'AES-GCM', length: 256 },
+          false,
+          ['encrypt', 'decrypt']
+        );
+        await withStore(db, KEY_STORE, 'readwrite', store => store.put({ id: KEY_ID, key }));
+        return key;
+      })();
+      this.keyPromise.catch(() => {
+        this.keyPromise = null;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  async load() {
+    const db = await this.getDatabase();
+    const record = await withStore(db, SESSION_STORE, 'readonly', store => store.get(SESSION_ID));
+    if (!record) {
+      return null;
+    }
+
+    const key = await this.getKey();
+    const decrypted = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: record.iv },
+      key,
+      record.data
+    );
+    return JSON.parse(new TextDecoder().decode(decrypted));
+  }
+
+  async save(value) {
+    const key = await this.getKey();
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+
+    const db = await this.getDatabase();
+    await withStore(db, SESSION_STORE, 'readwrite', store => store.put({ id: SESSION_ID, iv, data }));
+  }
+
+  async clear() {
+    const db = await this.getDatabase();
+    await withStore(db, SESSION_STORE, 'readwrite', store => store.delete(SESSION_ID));
+  }
+}
+
+/**
+ * Create the requested backend, falling back to the next most durable
+ * option the browser supports ('encrypted' -> 'session' -> 'memory')
+ */
+export function createTokenStorage(type, storageKey) {
+  if (type === 'encrypted' && EncryptedTokenStorage.isAvailable()) {
+    return new EncryptedTokenStorage();
+  }
+
+  if ((type === 'encrypted' || type === 'session') && SessionTokenStorage.isAvailable()) {
+    return new SessionTokenStorage(storageKey);
+  }
+
+  return new MemoryTokenStorage();
+}
@@ -28,6 +28,27 @@ const DEFAULT_CONFIG = {
   enableConsoleLogging: true,
   enableNetworkLogging: true,
   enableSystemInfo: true,
+  enableAiChat: true,
+  
+  // Authentication token storage
+  tokenStorage: 'encrypted', // 'encrypted' (AES-GCM, IndexedDB key), 'session' or 'memory'
+  legacyTokenKeys: false, // Also write plaintext mg_access_token/mg_refresh_token to localStorage
+  
+  // Single sign-on (OAuth 2.0 + PKCE), keyed by organizationId:
+  // { 'org-id': { clientId, authorizationUrl, tokenUrl, scope } }
+  ssoProviders: null,
+  ssoMode: 'popup', // 'popup' or 'redirect'
+  ssoRedirectUri: null, // Defaults to the current page
+  
+  // Guest feedback (no account required)
+  allowGuestFeedback: false,
+  guestEndpoint: null, // Defaults to {apiUrl}/widget/guest/tickets
+  guestChallenge: null, // async ({ email, name }) => captcha token
+  guestProofOfWork: false, // Solve a server-issued proof-of-work challenge before submitting
+  
+  // AI Triage Assistant
+  chatEndpoint: null, // Defaults to `${apiUrl}/widget/chat`
+  chatProvider: null, // Custom provider: { sendMessage({ messages, context }, { onToken, onFollowUp, signal }) }
   
   // Modal Configuration
   modalTitle: 'Send Feedback',
@@ -49,8 +70,26 @@ const DEFAULT_CONFIG = {
   // Advanced Options
   debugMode: false,
   maxFileSize: 10 * 1024 * 1024, // 10MB
+  chunkedUploadThreshold: 5 * 1024 * 1024, // Files above 5MB use resumable chunked upload
+  chunkSize: 2 * 1024 * 1024, // 2MB per chunk
+  maxChunkedFileSize: 500 * 1024 * 1024, // 500MB
   allowedFileTypes: ['image/*', 'video/*'],
-  maxScreenshotSize: 1920 * 1080,
+  maxScreenshotSize: 1920 * 1080, // Pixels per viewport height; larger screenshots are downscaled before upload
+  maxScreenshotBytes: 2 * 1024 * 1024, // Encoded size budget per screenshot
+  screenshotFormat: 'auto', // 'auto' (PNG for UI, WebP/JPEG for photos), 'webp', 'jpeg' or 'png'
+  screenshotQuality: 0.85, // WebP/JPEG quality, lowered step by step to meet the size budget
+  maxScreenshots: 5, // Screenshots per report, added from the thumbnail strip
+  screenshotMode: 'html2canvas', // 'pixel-perfect' grabs the tab with getDisplayMedia (asks permission)
+  screenshotArea: 'viewport', // 'full-page', or a scroll region { top, height } in page pixels
+  
+  // Privacy: cover personal data before the screenshot is rendered
+  maskPii: true,
+  maskSelectors: ['[data-vfw-mask]', '.pii'], // Elements masked entirely (password fields always are)
+  maskTextPatterns: ['email', 'phone', 'iban'], // Text patterns masked wherever they appear
+  networkRedaction: {}, // Extra { headers, bodyPaths, queryParams } to redact from network logs, or false
+  
+  // Source maps for error stacks: { baseUrl, maps } (see README), or null to keep minified stacks
+  sourceMaps: null,
   
   // Internationalization
   language: 'en',
@@ -69,6 +108,7 @@ export default class VisualFeedbackWidget {
     this.triggerButton = null;
     this.isInitialized = false;
     this.isDestroyed = false;
+    this.pendingReports = 0;
     
     // Validate configuration
     this.validateConfig();
@@ -118,7 +158,8 @@ export default class VisualFeedbackWidget {
       onOpen: this.handleModalOpen.bind(this),
       onClose: this.handleModalClose.bind(this),
       onSubmit: this.handleModalSubmit.bind(this),
-      onError: this.handleModalError.bind(this)
+      onError: this.handleModalError.bind(this),
+      onPendingChange: this.handlePendingChange.bind(this)
     });
     
     // Create trigger button if enabled
@@ -149,7 +190,7 @@ export default class VisualFeedbackWidget {
     
     this.triggerButton = document.createElement('button');
     this.triggerButton.className = 'help-button';
-    this.triggerButton.innerHTML = this.config.triggerButtonText;
+    this.renderTriggerButtonContent();
     this.triggerButton.setAttribute('aria-label', this.config.ariaLabel);
     this.triggerButton.style.cssText = this.getTriggerButtonStyles();
     
@@ -167,6 +208,18 @@ export default class VisualFeedbackWidget {
     document.body.appendChild(this.triggerButton);    
   }
   
+  /**
+   * Render trigger button text with the pending reports badge
+   */
+  renderTriggerButtonContent() {
+    if (!this.triggerButton) return;
+    
+    const badge = this.pendingReports > 0
+      ? ` <span class="pending-reports-badge" title="${this.pendingReports} report(s) waiting to be sent">${this.pendingReports}</span>`
+      : '';
+    this.triggerButton.innerHTML = `${this.config.triggerButtonText}${badge}`;
+  }
+  
   /**
    * Get trigger button styles based on position
    */
@@ -321,7 +374,7 @@ export default class VisualFeedbackWidget {
     
     // Update trigger button if needed
     if (this.triggerButton) {
-      this.triggerButton.innerHTML = this.config.triggerButtonText;
+      this.renderTriggerButtonContent();
       this.triggerButton.setAttribute('aria-label', this.config.ariaLabel);
     }
     
@@ -380,6 +433,14 @@ export default class VisualFeedbackWidget {
     }
   }
   
+  /**
+   * Handle change in the number of queued (undelivered) reports
+   */
+  handlePendingChange(count) {
+    this.pendingReports = count;
+    this.renderTriggerButtonContent();
+  }
+  
   /**
    * Handle modal error event
    */
@@ -453,6 +514,29 @@ export default class VisualFeedbackWidget {
     return '1.0.0';
   }
   
+  /**
+   * Sign the widget in as the host application's user, so the login form is skipped.
+   * identity: { token } or { getToken: async () => token }, optional user
+   * ({ id, email, name }) and exchange: true to trade a host-signed JWT for a widget session.
+   * getToken is called again whenever the token expires.
+   */
+  identify(identity) {
+    if (this.isDestroyed || !this.modal) {
+      return Promise.resolve({ success: false, error: 'Widget is not initialized' });
+    }
+    
+    return this.modal.identify(identity);
+  }
+  
+  /**
+   * Forget the host-provided identity, e.g. when the user signs out of the host app
+   */
+  clearIdentity() {
+    if (this.isDestroyed || !this.modal) return;
+    
+    this.modal.clearIdentity();
+  }
+  
   /**
    * Capture screenshot programmatically
    */
@@ -496,6 +580,7 @@ export default class VisualFeedbackWidget {
       initialized: this.isInitialized,
       destroyed: this.isDestroyed,
       modalOpen: this.isOpen(),
+      pendingReports: this.pendingReports,
       config: this.getConfig(),
       version: this.getVersion()
     };
@@ -1,6 +1,7 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const PORT = 8080;
 
@@ -28,7 +29,7 @@ const server = http.createServer((req, res) => {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Project-ID, Upload-Offset, Content-Range, Idempotency-Key');
   
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -108,6 +109,385 @@ process.on('SIGINT', () => {
   });
 });
 
+// In-memory state for the resumable chunked upload reference implementation
+const chunkedUploads = new Map();
+
+const readBody = (req) => new Promise((resolve) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+// Resumable chunked upload protocol: init, chunk, status, complete
+const handleChunkedUpload = (req, res) => {
+  if (req.url === '/api/widget/upload/init' && req.method === 'POST') {
+    readBody(req).then(body => {
+      const { filename, size, type, chunk_size } = JSON.parse(body.toString() || '{}');
+      const uploadId = 'upl_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+      
+      chunkedUploads.set(uploadId, { filename, size, type, chunks: [], offset: 0, complete: false });
+      
+      res.writeHead(200);
+      res.end(JSON.stringify({ upload_id: uploadId, chunk_size: chunk_size || 2 * 1024 * 1024, offset: 0 }));
+    }).catch(() => {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'Invalid request body' }));
+    });
+    return true;
+  }
+  
+  const match = req.url.match(/^\/api\/widget\/upload\/([^/]+)(\/chunk|\/complete)?$/);
+  if (!match || !chunkedUploads.has(match[1])) {
+    return false;
+  }
+  
+  const upload = chunkedUploads.get(match[1]);
+  const action = match[2];
+  
+  if (!action && req.method === 'GET') {
+    res.writeHead(200);
+    res.end(JSON.stringify({ offset: upload.offset, size: upload.size, complete: upload.complete }));
+    return true;
+  }
+  
+  if (action === '/chunk' && req.method === 'PUT') {
+    readBody(req).then(body => {
+      const offset = parseInt(req.headers['upload-offset'], 10);
+      
+      if (offset !== upload.offset) {
+        res.writeHead(409);
+        res.end(JSON.stringify({ error: 'Offset mismatch', offset: upload.offset }));
+        return;
+      }
+      
+      upload.chunks.push(body);
+      upload.offset += body.length;
+      
+      res.writeHead(200);
+      res.end(JSON.stringify({ offset: upload.offset }));
+    });
+    return true;
+  }
+  
+  if (action === '/complete' && req.method === 'POST') {
+    if (upload.offset !== upload.size) {
+      res.writeHead(409);
+      res.end(JSON.stringify({ error: 'Upload incomplete', offset: upload.offset }));
+      return true;
+    }
+    
+    upload.complete = true;
+    const id = 'file_' + match[1];
+    
+    res.writeHead(200);
+    res.end(JSON.stringify({
+      success: true,
+      data: {
+        id,
+        filename: upload.filename,
+        url: `https://example.com/uploads/${id}`,
+        size: Buffer.concat(upload.chunks).length,
+        type: upload.type
+      }
+    }));
+    return true;
+  }
+  
+  return false;
+};
+
+// Mock AI triage assistant: streams a canned reply token by token as Server-Sent Events
+const handleMockChat = (req, res) => {
+  readBody(req).then(body => {
+    const { messages = [], context = {} } = JSON.parse(body.toString() || '{}');
+    const userTurns = messages.filter(m => m.role === 'user').length;
+    const errorCount = (context.consoleErrors || []).length;
+    const failureCount = (context.networkFailures || []).length;
+    
+    let reply;
+    let followUp = null;
+    
+    if (userTurns <= 1) {
+      reply = `Thanks for the report. I can see ${errorCount} console error(s) and ${failureCount} failed request(s) on ${context.url || 'this page'}.`;
+      followUp = 'What did you expect to happen?';
+    } else if (userTurns === 2) {
+      reply = 'Got it, that helps.';
+      followUp = 'Does this happen every time, or only sometimes?';
+    } else {
+      reply = 'That is everything I need. Click **Submit Feedback** to send the report to the team.';
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    
+    const events = reply.split(/(\s+)/).map(token => ({ type: 'token', content: token }));
+    if (followUp) {
+      events.push({ type: 'follow_up', content: followUp });
+    }
+    events.push({ type: 'done' });
+    
+    let index = 0;
+    const timer = setInterval(() => {
+      res.write(`data: ${JSON.stringify(events[index])}\n\n`);
+      index++;
+      if (index === events.length) {
+        clearInterval(timer);
+        res.end();
+      }
+    }, 40);
+    
+    req.on('close', () => clearInterval(timer));
+  }).catch(() => {
+    res.writeHead(400);
+    res.end(JSON.stringify({ error: 'Invalid request body' }));
+  });
+};
+
+// Mock OAuth 2.0 authorization server (authorization code + PKCE) for testing SSO
+const ssoCodes = new Map();
+const ssoRefreshTokens = new Map();
+
+const mockSsoUser = {
+  id: 'sso-user-1',
+  email: 'jane.doe@example.org',
+  full_name: 'Jane Doe',
+  role: 'user'
+};
+
+const issueMockTokens = (user) => {
+  const refreshToken = crypto.randomBytes(24).toString('hex');
+  ssoRefreshTokens.set(refreshToken, user);
+  return {
+    accessToken: 'mock-sso-' + crypto.randomBytes(16).toString('hex'),
+    refreshToken,
+    expiresIn: 3600
+  };
+};
+
+// Only http(s) redirect URIs are accepted; anything else would end up as a link on the mock IdP page
+const parseRedirectUri = (value) => {
+  try {
+    const uri = new URL(value);
+    return uri.protocol === 'http:' || uri.protocol === 'https:' ? uri : null;
+  } catch {
+    return null;
+  }
+};
+
+const handleMockSso = (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (url.pathname === '/api/auth/sso/authorize' && req.method === 'GET') {
+    const params = url.searchParams;
+    const redirectUri = params.get('redirect_uri');
+    const redirect = parseRedirectUri(redirectUri);
+
+    if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256' ||
+        !params.get('code_challenge') || !params.get('client_id') || !redirect) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid authorization request');
+      return true;
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    ssoCodes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri,
+      codeChallenge: params.get('code_challenge'),
+      expiresAt: Date.now() + 60 * 1000
+    });
+
+    const approve = new URL(redirect);
+    approve.searchParams.set('code', code);
+    approve.searchParams.set('state', params.get('state') || '');
+
+    const deny = new URL(redirect);
+    deny.searchParams.set('error', 'access_denied');
+    deny.searchParams.set('state', params.get('state') || '');
+
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<!DOCTYPE html>
+<html>
+  <body style="font-family: sans-serif; padding: 2rem;">
+    <h2>Mock identity provider</h2>
+    <p>Organization: <strong>${(params.get('organization_id') || 'unknown').replace(/[<>&"]/g, '')}</strong></p>
+    <p><a href="${approve.toString()}">Continue as ${mockSsoUser.full_name}</a></p>
+    <p><a href="${deny.toString()}">Cancel</a></p>
+  </body>
+</html>`);
+    return true;
+  }
+
+  if (url.pathname === '/api/auth/sso/token' && req.method === 'POST') {
+    readBody(req).then(body => {
+      const params = new URLSearchParams(body.toString());
+      const grant = ssoCodes.get(params.get('code'));
+      ssoCodes.delete(params.get('code')); // Codes are single use
+
+      const challenge = crypto.createHash('sha256')
+        .update(params.get('code_verifier') || '')
+        .digest('base64url');
+
+      if (params.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+          grant.clientId !== params.get('client_id') || grant.redirectUri !== params.get('redirect_uri') ||
+          grant.codeChallenge !== challenge) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: 'invalid_grant' }));
+        return;
+      }
+
+      const tokens = issueMockTokens(mockSsoUser);
+      res.writeHead(200);
+      res.end(JSON.stringify({
+        access_token: tokens.accessToken,
+        refresh_token: tokens.refreshToken,
+        token_type: 'Bearer',
+        expires_in: tokens.expiresIn,
+        user: mockSsoUser
+      }));
+    });
+    return true;
+  }
+
+  // Refresh for tokens issued by the mock SSO server, in the MG Tickets format
+  if (url.pathname === '/api/auth/external' && req.method === 'POST') {
+    readBody(req).then(body => {
+      const { action, refreshToken } = JSON.parse(body.toString() || '{}');
+      const user = action === 'refresh' && ssoRefreshTokens.get(refreshToken);
+
+      if (!user) {
+        res.writeHead(401);
+        res.end(JSON.stringify({ error: 'Invalid refresh token' }));
+        return;
+      }
+
+      ssoRefreshTokens.delete(refreshToken);
+      const tokens = issueMockTokens(user);
+      res.writeHead(200);
+      res.end(JSON.stringify({
+        session: {
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken,
+          expiresAt: Math.floor(Date.now() / 1000) + tokens.expiresIn
+        },
+        user
+      }));
+    }).catch(() => {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'Invalid request body' }));
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Mock guest ticket endpoint: proof-of-work challenges, per-address rate limit
+// and requester matching by email
+const guestChallenges = new Map();
+const guestRequesters = new Map();
+const guestSubmissions = new Map();
+const GUEST_POW_DIFFICULTY = 12;
+const GUEST_RATE_LIMIT = 5;
+const GUEST_RATE_WINDOW = 10 * 60 * 1000;
+
+const hasLeadingZeroBits = (buffer, bits) => {
+  for (let i = 0; i < bits; i++) {
+    if (buffer[Math.floor(i / 8)] & (0x80 >> (i % 8))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+const handleMockGuest = (req, res) => {
+  if (req.url === '/api/widget/guest/challenge' && req.method === 'GET') {
+    const challenge = crypto.randomBytes(16).toString('hex');
+    guestChallenges.set(challenge, { expiresAt: Date.now() + 5 * 60 * 1000, address: req.socket.remoteAddress });
+
+    res.writeHead(200);
+    res.end(JSON.stringify({ challenge, difficulty: GUEST_POW_DIFFICULTY }));
+    return true;
+  }
+
+  if (req.url === '/api/widget/guest/tickets' && req.method === 'POST') {
+    readBody(req).then(body => {
+      const data = JSON.parse(body.toString() || '{}');
+      const address = req.socket.remoteAddress;
+      const now = Date.now();
+      const recent = (guestSubmissions.get(address) || []).filter(at => at > now - GUEST_RATE_WINDOW);
+
+      if (recent.length >= GUEST_RATE_LIMIT) {
+        const retryAfter = Math.ceil((recent[0] + GUEST_RATE_WINDOW - now) / 1000);
+        res.writeHead(429, { 'Retry-After': String(retryAfter) });
+        res.end(JSON.stringify({ error: 'Too many reports', retry_after: retryAfter }));
+        return;
+      }
+
+      const email = (data.guest?.email || '').trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || !data.title) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ error: 'A title and a valid email address are required' }));
+        return;
+      }
+
+      const pow = data.challenge?.proof_of_work;
+      // A client that was handed a challenge can't skip it by leaving the proof out
+      const challenged = [...guestChallenges.values()]
+        .some(pending => pending.address === address && pending.expiresAt >= now);
+      if (pow || challenged) {
+        const issued = pow ? guestChallenges.get(pow.challenge) : null;
+        guestChallenges.delete(pow?.challenge); // Challenges are single use
+
+        const digest = crypto.createHash('sha256').update(`${pow?.challenge}:${pow?.nonce}`).digest();
+        if (!issued || issued.expiresAt < now || !hasLeadingZeroBits(digest, GUEST_POW_DIFFICULTY)) {
+          res.writeHead(403);
+          res.end(JSON.stringify({ error: 'Verification failed. Please try again.' }));
+          return;
+        }
+      }
+
+      recent.push(now);
+      guestSubmissions.set(address, recent);
+
+      let requester = guestRequesters.get(email);
+      const created = !requester;
+      if (created) {
+        requester = { id: 'guest_' + crypto.randomBytes(6).toString('hex'), email, name: data.guest.name };
+        guestRequesters.set(email, requester);
+      }
+
+      res.writeHead(200);
+      res.end(JSON.stringify({
+        ticket: {
+          id: 'ticket_' + now,
+          ticket_number: 'TK-' + Math.floor(Math.random() * 10000),
+          title: data.title,
+          priority: data.priority,
+          category: data.category,
+          status: 'open',
+          requester_id: requester.id,
+          created_at: new Date().toISOString()
+        },
+        requester: { id: requester.id, created },
+        upload_token: 'guest-upload-' + crypto.randomBytes(16).toString('hex')
+      }));
+    }).catch(() => {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'Invalid request body' }));
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Tickets by Idempotency-Key, so retried submissions return the ticket created first
+const ticketsByIdempotencyKey = new Map();
+
 // Mock API endpoints for testing
 const handleApiRequest = (req, res) => {
   if (req.url.startsWith('/api/')) {
@@ -115,9 +495,27 @@ const handleApiRequest = (req, res) => {
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Access-Control-Allow-Origin', '*');
     
-    if (req.url === '/api/tickets' && req.method === 'POST') {
-      // Mock ticket creation
-      const mockTicket = {
+    if (handleChunkedUpload(req, res)) {
+      return true;
+    }
+    
+    if (handleMockSso(req, res)) {
+      return true;
+    }
+    
+    if (handleMockGuest(req, res)) {
+      return true;
+    }
+    
+    if (req.url === '/api/widget/chat' && req.method === 'POST') {
+      handleMockChat(req, res);
+      return true;
+    }
+    
+    if ((req.url === '/api/tickets' || req.url === '/api/tickets/create') && req.method === 'POST') {
+      // Mock ticket creation; a repeated Idempotency-Key gets the stored ticket back
+      const idempotencyKey = req.headers['idempotency-key'];
+      const mockTicket = ticketsByIdempotencyKey.get(idempotencyKey) || {
         id: 'ticket_' + Date.now(),
         ticket_number: 'TK-' + Math.floor(Math.random() * 10000),
         status: 'open',
@@ -125,6 +523,13 @@ const handleApiRequest = (req, res) => {
         updated_at: new Date().toISOString()
       };
       
+      if (idempotencyKey) {
+        if (ticketsByIdempotencyKey.has(idempotencyKey)) {
+          console.log(`↩️  Replayed ticket ${mockTicket.id} for Idempotency-Key ${idempotencyKey}`);
+        }
+        ticketsByIdempotencyKey.set(idempotencyKey, mockTicket);
+      }
+      
       res.writeHead(200);
       res.end(JSON.stringify({
         success: true,
@@ -151,6 +556,36 @@ const handleApiRequest = (req, res) => {
       return true;
     }
     
+    if (req.url === '/api/widget/upload' && req.method === 'POST') {
+      // Mock widget attachment upload
+      let size = 0;
+      req.on('data', chunk => { size += chunk.length; });
+      req.on('end', () => {
+        const id = 'file_' + Date.now();
+        res.writeHead(200);
+        res.end(JSON.stringify({
+          success: true,
+          data: {
+            id,
+            filename: id,
+            url: `https://example.com/uploads/${id}`,
+            size
+          }
+        }));
+      });
+      return true;
+    }
+    
+    if (/^\/api\/tickets\/[^/]+\/attachments$/.test(req.url) && req.method === 'POST') {
+      // Mock linking uploaded files to a ticket
+      res.writeHead(200);
+      res.end(JSON.stringify({
+        success: true,
+        message: 'Attachments linked'
+      }));
+      return true;
+    }
+    
     if (req.url === '/api/widget/analytics' && req.method === 'POST') {
       // Mock analytics endpoint
       res.writeHead(200);
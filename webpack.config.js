@@ -10,7 +10,16 @@ module.exports = (env, argv) => {
     mode: isProduction ? 'production' : 'development',
     
     entry: {
-      'visual-feedback-widget': './src/visual-feedback-widget.js'
+      'visual-feedback-widget': './src/visual-feedback-widget.js',
+      // Small script for <head> that buffers logs from page load until the widget opens
+      'vfw-early-capture': {
+        import: './src/early-capture.js',
+        library: {
+          name: 'VFWEarlyCapture',
+          type: 'umd',
+          export: 'default'
+        }
+      }
     },
     
     output: {